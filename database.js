@@ -1,23 +1,54 @@
+// --- IndexedDB Database Functions ---
+// The single data layer for CareerJAM. index.html loads it as a classic
+// script before functions.js, so opening the file directly keeps working;
+// Node tests require() it through the exports at the bottom.
+
 const DB_NAME = 'CareerJAM-DB';
-const DB_VERSION = 1;
+const MIGRATION_BACKUP_KEY = 'careerjamPreMigrationBackup';
 let db;
 
 /**
- * Initializes the IndexedDB database.
- * Creates object stores (tables) and indices.
+ * Error thrown by every data-layer function.
+ * `code` is one of: NOT_FOUND, INVALID_ARGUMENT, INVALID_BACKUP,
+ * DECRYPT_FAILED, MIGRATION_FAILED, DB_OPEN_FAILED, CONSTRAINT,
+ * CONFLICT, QUOTA_EXCEEDED, ABORTED, DB_ERROR.
+ * Extra properties (e.g. `details`, `snapshot`) are copied onto the error.
  */
-export function initDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+class DataError extends Error {
+    constructor(code, message, extra = {}) {
+        super(message, extra.cause ? { cause: extra.cause } : undefined);
+        this.name = 'DataError';
+        this.code = code;
+        Object.assign(this, extra);
+    }
+}
 
-        request.onerror = (event) => {
-            console.error("Database error:", event.target.error);
-            reject("Database error");
-        };
+const IDB_ERROR_CODES = {
+    ConstraintError: 'CONSTRAINT',
+    QuotaExceededError: 'QUOTA_EXCEEDED',
+    AbortError: 'ABORTED'
+};
 
-        request.onupgradeneeded = (event) => {
-            db = event.target.result;
+// Wraps an IndexedDB DOMException (or anything else) in a DataError
+function toDataError(error) {
+    if (error instanceof DataError) return error;
+    const code = IDB_ERROR_CODES[error?.name] || 'DB_ERROR';
+    return new DataError(code, error?.message || String(error || 'Unknown database error'), { cause: error });
+}
 
+/**
+ * Ordered schema migrations, one entry per database version.
+ * Every step whose version is above the stored version runs inside the
+ * single upgrade transaction, so a failing step aborts the whole upgrade
+ * and IndexedDB keeps the old version and data.
+ * `upgrade(db, transaction)` may create stores/indexes and may return a
+ * promise when it rewrites existing records (see forEachRecord).
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create companies, profiles, people and jobs stores',
+        upgrade(db) {
             // Create 'companies' store first (parent)
             if (!db.objectStoreNames.contains('companies')) {
                 const companyStore = db.createObjectStore('companies', { keyPath: 'id', autoIncrement: true });
@@ -45,25 +76,415 @@ export function initDB() {
                 jobStore.createIndex('match_percentage', 'match_percentage', { unique: false });
                 jobStore.createIndex('title', 'title', { unique: false });
             }
+        }
+    },
+    {
+        version: 2,
+        description: 'Add status_history store and seed it from current job statuses',
+        upgrade(db, transaction) {
+            const historyStore = db.createObjectStore('status_history', { keyPath: 'id', autoIncrement: true });
+            historyStore.createIndex('job_id', 'job_id', { unique: false });
+            historyStore.createIndex('changed_at', 'changed_at', { unique: false });
+
+            // Existing jobs get one entry: the status they were saved with.
+            return forEachRecord(transaction, 'jobs', job => {
+                historyStore.add({
+                    job_id: job.id,
+                    from_status: null,
+                    to_status: job.status,
+                    changed_at: job.created_at,
+                    source: 'migration'
+                });
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Add [status, sort key] compound indexes for paging the jobs table',
+        upgrade(db, transaction) {
+            const jobStore = transaction.objectStore('jobs');
+            jobStore.createIndex('status_created_at', ['status', 'created_at'], { unique: false });
+            jobStore.createIndex('status_salary', ['status', 'sort_salary'], { unique: false });
+            jobStore.createIndex('status_match_percentage', ['status', 'sort_match'], { unique: false });
+            jobStore.createIndex('status_title', ['status', 'sort_title'], { unique: false });
+            jobStore.createIndex('status_company', ['status', 'sort_company'], { unique: false });
+            return forEachRecord(transaction, 'jobs', job => withSortKeys(job));
+        }
+    },
+    {
+        version: 4,
+        description: 'Sort jobs by company and profile name instead of ID',
+        async upgrade(db, transaction) {
+            transaction.objectStore('jobs').createIndex('status_profile', ['status', 'sort_profile'], { unique: false });
+
+            const companies = await promisifyRequest(transaction.objectStore('companies').getAll());
+            const profiles = await promisifyRequest(transaction.objectStore('profiles').getAll());
+            const companyNames = new Map(companies.map(c => [c.id, c.name]));
+            const profileNames = new Map(profiles.map(p => [p.id, p.name]));
+            return forEachRecord(transaction, 'jobs', job => {
+                job.sort_company = nameSortKey(companyNames.get(job.company_id));
+                job.sort_profile = nameSortKey(profileNames.get(job.profile_id));
+                return job;
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Add search_index store and index existing records',
+        async upgrade(db, transaction) {
+            const searchStore = db.createObjectStore('search_index', { keyPath: 'ref' });
+            searchStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+
+            for (const storeName of ['jobs', 'companies', 'people', 'profiles']) {
+                await forEachRecord(transaction, storeName, record => {
+                    indexRecord(transaction, storeName, record);
+                });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Add snapshots store for rolling local backups',
+        upgrade(db) {
+            const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+            snapshotStore.createIndex('created_at', 'created_at', { unique: false });
+        }
+    },
+    {
+        version: 7,
+        description: 'Add stages store seeded with the built-in statuses',
+        async upgrade(db, transaction) {
+            const stageStore = db.createObjectStore('stages', { keyPath: 'id', autoIncrement: true });
+            stageStore.createIndex('name', 'name', { unique: true });
+            stageStore.createIndex('order', 'order', { unique: false });
+
+            const builtIn = [
+                ['Bookmarked', '#64748b', 'active'],
+                ['Applying', '#0ea5e9', 'active'],
+                ['Applied', '#3b82f6', 'active'],
+                ['Interviewing', '#8b5cf6', 'active'],
+                ['Negotiating', '#f59e0b', 'active'],
+                ['Accepted', '#22c55e', 'terminal'],
+                ['Spam', '#a3a3a3', 'terminal'],
+                ['Rejected', '#ef4444', 'terminal']
+            ];
+            builtIn.forEach(([name, color, kind], order) => {
+                stageStore.add({ name, color, kind, order, retired: false });
+            });
+
+            // Keep any status outside the built-in list (e.g. from an old import)
+            const names = new Set(builtIn.map(([name]) => name));
+            await forEachRecord(transaction, 'jobs', job => {
+                if (job.status && !names.has(job.status)) {
+                    names.add(job.status);
+                    stageStore.add({ name: job.status, color: '#64748b', kind: 'active', order: names.size - 1, retired: false });
+                }
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Add custom_fields store for user-defined fields',
+        upgrade(db) {
+            const fieldStore = db.createObjectStore('custom_fields', { keyPath: 'id', autoIncrement: true });
+            fieldStore.createIndex('entity', 'entity', { unique: false });
+        }
+    },
+    {
+        version: 9,
+        description: 'Replace the LPA salary with structured compensation and add a settings store',
+        upgrade(db, transaction) {
+            db.createObjectStore('settings', { keyPath: 'key' }).add({ ...DEFAULT_PAY_SETTINGS });
+            const jobStore = transaction.objectStore('jobs');
+            if (jobStore.indexNames.contains('salary')) jobStore.deleteIndex('salary');
+            return forEachRecord(transaction, 'jobs', job => withSortKeys(upgradeLegacySalary(job), DEFAULT_PAY_SETTINGS));
+        }
+    },
+    {
+        version: 10,
+        description: 'Add interviews store for interview rounds',
+        upgrade(db) {
+            const interviewStore = db.createObjectStore('interviews', { keyPath: 'id', autoIncrement: true });
+            interviewStore.createIndex('job_id', 'job_id', { unique: false });
+            interviewStore.createIndex('scheduled_at', 'scheduled_at', { unique: false });
+            interviewStore.createIndex('interviewer_ids', 'interviewer_ids', { unique: false, multiEntry: true });
+        }
+    },
+    {
+        version: 11,
+        description: 'Add attachments store for files kept with jobs, profiles and companies',
+        upgrade(db) {
+            const attachmentStore = db.createObjectStore('attachments', { keyPath: 'id', autoIncrement: true });
+            Object.values(ATTACHMENT_OWNERS).forEach(field => attachmentStore.createIndex(field, field, { unique: false }));
+        }
+    },
+    {
+        version: 12,
+        description: 'Mark the applied stage and the terminal stages that mean a reply',
+        upgrade(db, transaction) {
+            return forEachRecord(transaction, 'stages', withStageMarkers);
+        }
+    },
+    {
+        version: 13,
+        description: 'Date jobs and status history saved without a date',
+        async upgrade(db, transaction) {
+            // Version 2 copied created_at into history, so undated jobs left undated entries
+            const now = new Date().toISOString();
+            const createdAt = new Map();
+            await forEachRecord(transaction, 'jobs', job => {
+                if (job.created_at) {
+                    createdAt.set(job.id, job.created_at);
+                    return undefined;
+                }
+                job.created_at = now;
+                return job;
+            });
+            return forEachRecord(transaction, 'status_history', entry => {
+                if (entry.changed_at) return undefined;
+                entry.changed_at = createdAt.get(entry.job_id) || now;
+                return entry;
+            });
+        }
+    },
+    {
+        version: 14,
+        description: 'Add snapshot_files store so snapshots share one copy of each attached file',
+        upgrade(db, transaction) {
+            db.createObjectStore('snapshot_files', { keyPath: 'key' });
+            transaction.objectStore('snapshots').createIndex('file_keys', 'file_keys', { unique: false, multiEntry: true });
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Kept in memory for the session in case localStorage is full.
+let lastMigrationSnapshot = null;
+
+/**
+ * Initializes the IndexedDB database.
+ * Runs any pending MIGRATIONS, taking an exportDB snapshot first.
+ * `onLog(type, message)` receives one entry per migration step.
+ */
+async function initDB({ onLog = () => {} } = {}) {
+    closeDB();
+
+    const storedVersion = await getStoredVersion();
+    if (storedVersion > 0 && storedVersion < DB_VERSION) {
+        onLog('INFO', `Database upgrade needed: v${storedVersion} -> v${DB_VERSION}. Taking a snapshot first.`);
+        lastMigrationSnapshot = await snapshotBeforeMigration(storedVersion);
+        onLog('SUCCESS', 'Pre-migration snapshot saved.');
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        let upgrading = false;
+        let migrationError = null;
+
+        request.onerror = (event) => {
+            const error = migrationError || event.target.error;
+            console.error("Database error:", error);
+            reject(new DataError(
+                upgrading ? 'MIGRATION_FAILED' : 'DB_OPEN_FAILED',
+                `Database error: ${error?.message || error}`,
+                { cause: error, snapshot: upgrading ? lastMigrationSnapshot : null }
+            ));
+        };
+
+        request.onblocked = () => {
+            onLog('ERROR', 'Database upgrade is blocked by another open CareerJAM tab. Close it to continue.');
+        };
+
+        request.onupgradeneeded = (event) => {
+            db = event.target.result;
+            upgrading = true;
+            const transaction = event.target.transaction;
+            const pending = MIGRATIONS.filter(m => m.version > event.oldVersion && m.version <= event.newVersion);
+
+            (async () => {
+                for (const migration of pending) {
+                    onLog('INFO', `Running migration v${migration.version}: ${migration.description}`);
+                    await migration.upgrade(db, transaction);
+                    onLog('SUCCESS', `Migration v${migration.version} complete.`);
+                }
+            })().catch(err => {
+                migrationError = err;
+                onLog('ERROR', `Migration failed, rolling back: ${err.message || err}`);
+                transaction.abort(); // Leaves the stored version and data untouched
+            });
         };
 
         request.onsuccess = (event) => {
             db = event.target.result;
-            resolve();
+            // Let a newer tab upgrade the schema instead of blocking it.
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
+            loadPaySettings().then(() => resolve(), reject);
+        };
+    });
+}
+
+/**
+ * Returns the version of the stored database, or 0 if it doesn't exist yet.
+ */
+function getStoredVersion() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME);
+        // A brand new database would be created empty at version 1; abort so
+        // the real open runs every migration from scratch.
+        request.onupgradeneeded = (event) => event.target.transaction.abort();
+        request.onsuccess = (event) => {
+            const connection = event.target.result;
+            const version = connection.version;
+            connection.close();
+            resolve(version);
+        };
+        request.onerror = (event) => {
+            event.preventDefault();
+            resolve(0);
+        };
+    });
+}
+
+/**
+ * Opens the database at its current version, exports it and keeps the copy
+ * so a failed upgrade can be rolled back by restoring it.
+ */
+async function snapshotBeforeMigration(fromVersion) {
+    db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, fromVersion);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+
+    try {
+        const snapshot = {
+            from_version: fromVersion,
+            to_version: DB_VERSION,
+            created_at: new Date().toISOString(),
+            data: await exportDB()
+        };
+        try {
+            localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify(snapshot));
+        } catch (err) {
+            console.warn('Could not persist pre-migration snapshot:', err);
+        }
+        return snapshot;
+    } finally {
+        db.close();
+        db = null;
+    }
+}
+
+/**
+ * Returns the snapshot taken before the last schema upgrade, if any.
+ */
+function getPreMigrationSnapshot() {
+    if (lastMigrationSnapshot) return lastMigrationSnapshot;
+    try {
+        return JSON.parse(localStorage.getItem(MIGRATION_BACKUP_KEY));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Helper for migrations: calls `transform(record)` for every record in a
+ * store and writes it back when it returns a value.
+ */
+function forEachRecord(transaction, storeName, transform) {
+    return new Promise((resolve, reject) => {
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            try {
+                const changes = transactionJournals.get(transaction);
+                const before = changes && structuredClone(cursor.value);
+                const updated = transform(cursor.value);
+                if (updated) {
+                    cursor.update(updated);
+                    if (changes) noteChange(changes, storeName, cursor.primaryKey, before).after = structuredClone(updated);
+                }
+                cursor.continue();
+            } catch (err) {
+                reject(toDataError(err));
+            }
         };
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+/**
+ * Helper to wrap a single IDBRequest in a promise.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+/**
+ * Helper to wait for a transaction to commit.
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(toDataError(event.target.error));
+        transaction.onabort = (event) => reject(toDataError(event.target.error || new DataError('ABORTED', 'Transaction aborted')));
     });
 }
 
+/**
+ * Starts a transaction on the open database. Throws a DataError instead
+ * of a TypeError/DOMException when the database is closed or a store is
+ * missing. Readwrite transactions are recorded in the undo journal unless
+ * `journal` is false; `label` names the operation there.
+ */
+function openTransaction(storeNames, mode = 'readonly', { journal = true, label = null } = {}) {
+    if (!db) throw new DataError('DB_ERROR', 'Database is not open. Call initDB() first.');
+    let transaction;
+    try {
+        transaction = db.transaction(storeNames, mode);
+    } catch (err) {
+        throw toDataError(err);
+    }
+    if (mode === 'readwrite' && journal && [].concat(storeNames).some(name => JOURNALED_STORES.includes(name))) {
+        journalTransaction(transaction, label);
+    }
+    return transaction;
+}
+
+/**
+ * Closes the database connection, if open, and forgets the undo journal
+ * and cached pay settings.
+ */
+function closeDB() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+    clearJournal();
+    paySettings = { ...DEFAULT_PAY_SETTINGS };
+}
+
 /**
  * Helper function to get an item by its key.
  */
 function getItem(storeName, key) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readonly');
+        const transaction = openTransaction(storeName, 'readonly');
         const store = transaction.objectStore(storeName);
         const request = store.get(key);
         request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
@@ -72,11 +493,14 @@ function getItem(storeName, key) {
  */
 function addItem(storeName, item) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readwrite');
+        const transaction = openTransaction(withSearchStore(storeName), 'readwrite');
         const store = transaction.objectStore(storeName);
         const request = store.add(item);
-        request.onsuccess = (event) => resolve(event.target.result); // Returns the new key
-        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = (event) => {
+            indexRecord(transaction, storeName, { ...item, id: event.target.result });
+            transactionDone(transaction).then(() => resolve(event.target.result), reject); // Returns the new key
+        };
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
@@ -85,11 +509,14 @@ function addItem(storeName, item) {
  */
 function updateItem(storeName, item) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readwrite');
+        const transaction = openTransaction(withSearchStore(storeName), 'readwrite');
         const store = transaction.objectStore(storeName);
         const request = store.put(item);
-        request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = () => {
+            indexRecord(transaction, storeName, item);
+            transactionDone(transaction).then(() => resolve(), reject);
+        };
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
@@ -98,90 +525,399 @@ function updateItem(storeName, item) {
  */
 function deleteItem(storeName, key) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readwrite');
+        const transaction = openTransaction(withSearchStore(storeName), 'readwrite');
         const store = transaction.objectStore(storeName);
         const request = store.delete(key);
-        request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = () => {
+            unindexRecord(transaction, storeName, key);
+            transactionDone(transaction).then(() => resolve(), reject);
+        };
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
 // --- Companies ---
 
-export async function addCompany(company) {
+async function addCompany(company) {
     return await addItem('companies', company);
 }
 
-export async function getCompany(id) {
+async function getCompany(id) {
     return await getItem('companies', id);
 }
 
-export async function getCompanyByName(name) {
+async function getCompanyByName(name) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction('companies', 'readonly');
+        const transaction = openTransaction('companies', 'readonly');
         const store = transaction.objectStore('companies');
         const index = store.index('name');
         const request = index.get(name);
         request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+/**
+ * Updates a company. On rename, its jobs' sort keys and the contacts that
+ * named the old company are updated in the same transaction.
+ */
+async function updateCompany(company) {
+    const transaction = openTransaction(['companies', 'jobs', 'people', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const companyStore = transaction.objectStore('companies');
+    const previous = await promisifyRequest(companyStore.get(company.id));
+    companyStore.put(company);
+    indexRecord(transaction, 'companies', company);
+
+    if (previous && previous.name !== company.name) {
+        const jobStore = transaction.objectStore('jobs');
+        const jobs = await promisifyRequest(jobStore.index('company_id').getAll(company.id));
+        jobs.forEach(job => {
+            job.sort_company = nameSortKey(company.name);
+            jobStore.put(job);
+        });
+
+        const peopleStore = transaction.objectStore('people');
+        const people = await promisifyRequest(peopleStore.getAll());
+        people.filter(p => isSameCompanyName(p.company_name, previous.name)).forEach(person => {
+            person.company_name = company.name;
+            peopleStore.put(person);
+            indexRecord(transaction, 'people', person);
+        });
+    }
+    await done;
+}
+
+// NEW: Function to delete a company
+async function deleteCompany(id) {
+    // Note: This only deletes the company.
+    // Related jobs will now show 'Unknown Company' unless you update them.
+    return await deleteItem('companies', id);
+}
+
+
+/**
+ * Counts the jobs and contacts that point at a company.
+ * Contacts are linked by company name rather than ID.
+ */
+async function getCompanyDependents(companyId) {
+    const transaction = openTransaction(['companies', 'jobs', 'people'], 'readonly');
+    const company = await promisifyRequest(transaction.objectStore('companies').get(companyId));
+    const jobs = await promisifyRequest(transaction.objectStore('jobs').index('company_id').count(companyId));
+    const people = await promisifyRequest(transaction.objectStore('people').getAll());
+    return {
+        jobs,
+        people: company ? people.filter(p => isSameCompanyName(p.company_name, company.name)).length : 0
+    };
+}
+
+/**
+ * Deletes a company and resolves everything linked to it in one transaction.
+ * `mode` is 'reassign' (to company `targetId`), 'clear' (unlink) or 'delete'
+ * (remove the jobs and contacts too). Returns the affected counts.
+ */
+async function deleteCompanyWithDependents(companyId, { mode = 'clear', targetId = null } = {}) {
+    const transaction = openTransaction(['companies', 'jobs', 'people', ...JOB_CHILD_STORES, 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const companyStore = transaction.objectStore('companies');
+
+    const company = await promisifyRequest(companyStore.get(companyId));
+    const target = mode === 'reassign' ? await promisifyRequest(companyStore.get(targetId)) : null;
+    if (!company || (mode === 'reassign' && (!target || targetId === companyId))) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw company
+            ? new DataError('INVALID_ARGUMENT', 'Choose another company to reassign to.')
+            : new DataError('NOT_FOUND', 'Company not found.');
+    }
+
+    const affected = { jobs: 0, people: 0 };
+    const jobStore = transaction.objectStore('jobs');
+    const jobs = await promisifyRequest(jobStore.index('company_id').getAll(companyId));
+    jobs.forEach(job => {
+        affected.jobs++;
+        if (mode === 'delete') {
+            jobStore.delete(job.id);
+            deleteJobChildren(transaction, job.id);
+            unindexRecord(transaction, 'jobs', job.id);
+        } else {
+            job.company_id = mode === 'reassign' ? targetId : null;
+            job.sort_company = nameSortKey(target?.name);
+            jobStore.put(withSortKeys(job));
+        }
+    });
+
+    const peopleStore = transaction.objectStore('people');
+    const people = await promisifyRequest(peopleStore.getAll());
+    people.filter(p => isSameCompanyName(p.company_name, company.name)).forEach(person => {
+        affected.people++;
+        if (mode === 'delete') {
+            peopleStore.delete(person.id);
+            unindexRecord(transaction, 'people', person.id);
+        } else {
+            person.company_name = mode === 'reassign' ? target.name : '';
+            peopleStore.put(person);
+            indexRecord(transaction, 'people', person);
+        }
+    });
+
+    companyStore.delete(companyId);
+    deleteAttachmentsOf(transaction, 'companies', companyId);
+    unindexRecord(transaction, 'companies', companyId);
+    await done;
+    return affected;
+}
+
+// Legal-entity suffixes ignored when matching company names
+const COMPANY_NAME_SUFFIXES = ['inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh', 'plc', 'pvt', 'private', 'ag', 'sa', 'bv', 'pte'];
+
+/**
+ * Reduces a company name to a comparison key, so that "Google LLC",
+ * " google " and "Google, Inc." all become "google".
+ */
+function normalizeCompanyName(name) {
+    const words = (name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[.']/g, '') // "S.A." -> "sa", "McDonald's" -> "mcdonalds"
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    // Strip trailing suffixes ("Acme Pvt Ltd"), but never the whole name
+    while (words.length > 1 && COMPANY_NAME_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join(' ');
+}
+
+/**
+ * Groups companies whose normalized names collide.
+ * Returns an array of groups (each with 2+ companies, oldest first).
+ */
+async function findDuplicateCompanies() {
+    const companies = await getAllCompanies();
+    const groups = new Map();
+    companies.forEach(company => {
+        const key = normalizeCompanyName(company.name);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(company);
+    });
+    return [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => group.sort((a, b) => a.id - b.id));
+}
+
+/**
+ * Merges `duplicateIds` into the surviving company in one transaction.
+ * Empty fields on the survivor are filled from the duplicates, notes are
+ * appended, and all jobs, contacts and attachments are repointed before
+ * the duplicates are deleted. Returns the number of jobs and contacts moved.
+ */
+async function mergeCompanies(survivorId, duplicateIds) {
+    const transaction = openTransaction(['companies', 'jobs', 'people', 'attachments', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const companyStore = transaction.objectStore('companies');
+
+    const survivor = await promisifyRequest(companyStore.get(survivorId));
+    const duplicates = [];
+    for (const id of duplicateIds.filter(id => id !== survivorId)) {
+        const company = await promisifyRequest(companyStore.get(id));
+        if (company) duplicates.push(company);
+    }
+    if (!survivor || duplicates.length === 0) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw new DataError('INVALID_ARGUMENT', 'Nothing to merge.');
+    }
+
+    const moved = { jobs: 0, people: 0 };
+    const jobStore = transaction.objectStore('jobs');
+    const attachmentStore = transaction.objectStore('attachments');
+    for (const duplicate of duplicates) {
+        Object.keys(duplicate).forEach(field => {
+            if (field === 'id' || field === 'name' || field === 'notes') return;
+            if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+        });
+        if (duplicate.notes && duplicate.notes.trim()) {
+            const merged = `--- Merged from ${duplicate.name} ---\n${duplicate.notes.trim()}`;
+            survivor.notes = survivor.notes ? `${survivor.notes.trim()}\n\n${merged}` : merged;
+        }
+
+        const jobs = await promisifyRequest(jobStore.index('company_id').getAll(duplicate.id));
+        jobs.forEach(job => {
+            job.company_id = survivorId;
+            job.sort_company = nameSortKey(survivor.name);
+            jobStore.put(withSortKeys(job));
+            moved.jobs++;
+        });
+        const files = await promisifyRequest(attachmentStore.index('company_id').getAll(duplicate.id));
+        files.forEach(file => attachmentStore.put({ ...file, company_id: survivorId }));
+        companyStore.delete(duplicate.id);
+        unindexRecord(transaction, 'companies', duplicate.id);
+    }
+
+    const peopleStore = transaction.objectStore('people');
+    const people = await promisifyRequest(peopleStore.getAll());
+    people.filter(p => duplicates.some(d => isSameCompanyName(p.company_name, d.name))).forEach(person => {
+        person.company_name = survivor.name;
+        peopleStore.put(person);
+        indexRecord(transaction, 'people', person);
+        moved.people++;
     });
+
+    companyStore.put(survivor);
+    indexRecord(transaction, 'companies', survivor);
+    await done;
+    return moved;
 }
 
-export async function updateCompany(company) {
-    return await updateItem('companies', company);
+// Contacts store their company as free text, so compare names loosely.
+function isSameCompanyName(a, b) {
+    const left = (a || '').trim().toLowerCase();
+    return left !== '' && left === (b || '').trim().toLowerCase();
 }
 
-export async function getAllCompanies() {
+async function getAllCompanies() {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction('companies', 'readonly');
+        const transaction = openTransaction('companies', 'readonly');
         const store = transaction.objectStore('companies');
         const request = store.getAll();
         request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
 // --- Profiles ---
 
-export async function addProfile(profile) {
+async function addProfile(profile) {
     return await addItem('profiles', profile);
 }
 
-export async function getProfile(id) {
+async function getProfile(id) {
     return await getItem('profiles', id);
 }
 
-export async function deleteProfile(id) {
+// NEW: Function to update a profile (renames re-key its jobs' sort_profile)
+async function updateProfile(profile) {
+    const transaction = openTransaction(['profiles', 'jobs', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const profileStore = transaction.objectStore('profiles');
+    const previous = await promisifyRequest(profileStore.get(profile.id));
+    profileStore.put(profile);
+    indexRecord(transaction, 'profiles', profile);
+
+    if (previous && previous.name !== profile.name) {
+        const jobStore = transaction.objectStore('jobs');
+        const jobs = await promisifyRequest(jobStore.index('profile_id').getAll(profile.id));
+        jobs.forEach(job => {
+            job.sort_profile = nameSortKey(profile.name);
+            jobStore.put(job);
+        });
+    }
+    await done;
+}
+
+
+async function deleteProfile(id) {
     return await deleteItem('profiles', id);
 }
 
-export async function getAllProfiles() {
+/**
+ * Deletes a profile and resolves the jobs applied with it in one transaction.
+ * `mode` is 'reassign' (to profile `targetId`), 'clear' or 'delete'.
+ * Match results are reset on reassigned/cleared jobs since they were
+ * computed against the deleted profile. Returns the affected job count.
+ */
+async function deleteProfileWithDependents(profileId, { mode = 'clear', targetId = null } = {}) {
+    const transaction = openTransaction(['profiles', 'jobs', ...JOB_CHILD_STORES, 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const profileStore = transaction.objectStore('profiles');
+
+    const profile = await promisifyRequest(profileStore.get(profileId));
+    const target = mode === 'reassign' ? await promisifyRequest(profileStore.get(targetId)) : null;
+    if (!profile || (mode === 'reassign' && (!target || targetId === profileId))) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw profile
+            ? new DataError('INVALID_ARGUMENT', 'Choose another profile to reassign to.')
+            : new DataError('NOT_FOUND', 'Profile not found.');
+    }
+
+    const jobStore = transaction.objectStore('jobs');
+    const jobs = await promisifyRequest(jobStore.index('profile_id').getAll(profileId));
+    jobs.forEach(job => {
+        if (mode === 'delete') {
+            jobStore.delete(job.id);
+            deleteJobChildren(transaction, job.id);
+            unindexRecord(transaction, 'jobs', job.id);
+        } else {
+            job.profile_id = mode === 'reassign' ? targetId : null;
+            job.sort_profile = nameSortKey(target?.name);
+            job.match_percentage = null;
+            job.match_justification = null;
+            jobStore.put(withSortKeys(job));
+        }
+    });
+
+    profileStore.delete(profileId);
+    deleteAttachmentsOf(transaction, 'profiles', profileId);
+    unindexRecord(transaction, 'profiles', profileId);
+    await done;
+    return { jobs: jobs.length };
+}
+
+async function getAllProfiles() {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction('profiles', 'readonly');
+        const transaction = openTransaction('profiles', 'readonly');
         const store = transaction.objectStore('profiles');
         const request = store.getAll();
         request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
 // --- People ---
 
-export async function addPerson(person) {
+async function addPerson(person) {
     return await addItem('people', person);
 }
 
-export async function getAllPeople() {
+// NEW: Function to get a single person
+async function getPerson(id) {
+    return await getItem('people', id);
+}
+
+// NEW: Function to update a person
+async function updatePerson(person) {
+    return await updateItem('people', person);
+}
+
+// UPDATED: Also takes the contact off the interview rounds they sat on
+async function deletePerson(id) {
+    const transaction = openTransaction(['people', 'interviews', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const interviewStore = transaction.objectStore('interviews');
+    const interviews = await promisifyRequest(interviewStore.index('interviewer_ids').getAll(id));
+    interviews.forEach(interview => {
+        interviewStore.put({ ...interview, interviewer_ids: interview.interviewer_ids.filter(personId => personId !== id) });
+    });
+    transaction.objectStore('people').delete(id);
+    unindexRecord(transaction, 'people', id);
+    await done;
+}
+
+async function getAllPeople() {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction('people', 'readonly');
+        const transaction = openTransaction('people', 'readonly');
         const store = transaction.objectStore('people');
         const request = store.getAll();
         request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
-export async function updatePersonNotes(id, notes) {
+async function updatePersonNotes(id, notes) {
     const person = await getItem('people', id);
     if (person) {
         person.notes = notes;
@@ -192,145 +928,3121 @@ export async function updatePersonNotes(id, notes) {
 
 // --- Jobs ---
 
-export async function addJob(job) {
-    return await addItem('jobs', job);
-}
+// Sort option key (from the sort dropdown) -> [status, sort key] compound index.
+const JOB_SORT_OPTIONS = {
+    created_at: 'status_created_at',
+    salary: 'status_salary',
+    match_percentage: 'status_match_percentage',
+    title: 'status_title',
+    company_name: 'status_company',
+    profile_name: 'status_profile'
+};
 
-export async function getJob(id) {
-    return await getItem('jobs', id);
+/**
+ * Sets the derived sort_* fields computed from the job's own fields.
+ * A record is left out of an index when any key part is null, so missing
+ * salary/match values are stored as -1 and sort after real values in DESC,
+ * and a job without created_at (e.g. from an older backup) is dated now.
+ * sort_salary is the yearly pay in the home currency (see normalizePay).
+ * Call this before every write to the jobs store.
+ */
+function withSortKeys(job, settings = paySettings) {
+    if (!job.created_at) job.created_at = new Date().toISOString();
+    job.sort_salary = normalizePay(job.compensation, settings) ?? -1;
+    job.sort_match = typeof job.match_percentage === 'number' ? job.match_percentage : -1;
+    job.sort_title = String(job.title ?? '').toLowerCase();
+    return job;
 }
 
-export async function updateJob(job) {
-    return await updateItem('jobs', job);
+// Sort key for a joined company/profile name; jobs without one sort last in A-Z.
+function nameSortKey(name) {
+    return name ? name.toLowerCase() : '\uffff';
 }
 
-export async function updateJobNotes(id, notes) {
-    const job = await getItem('jobs', id);
-    if (job) {
-        job.notes = notes;
-        return await updateItem('jobs', job);
-    }
+/**
+ * Sets sort_company/sort_profile from the linked records. `transaction`
+ * must include the companies and profiles stores.
+ */
+async function setJoinedSortKeys(transaction, job) {
+    const company = typeof job.company_id === 'number'
+        ? await promisifyRequest(transaction.objectStore('companies').get(job.company_id))
+        : null;
+    const profile = typeof job.profile_id === 'number'
+        ? await promisifyRequest(transaction.objectStore('profiles').get(job.profile_id))
+        : null;
+    job.sort_company = nameSortKey(company?.name);
+    job.sort_profile = nameSortKey(profile?.name);
+    return job;
 }
 
-export async function getJobCount(status) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const index = store.index('status');
-        const request = index.count(status);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+/**
+ * Adds a job and records its starting status in status_history.
+ * `source` names the view that created it. The starting stage's reminder
+ * rule applies as if the job had just moved there.
+ */
+async function addJob(job, source = 'new-job') {
+    const transaction = openTransaction(['jobs', 'status_history', 'companies', 'profiles', 'stages', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    applyStageReminder(job, await promisifyRequest(transaction.objectStore('stages').index('name').get(job.status)), job.created_at || new Date().toISOString());
+    await setJoinedSortKeys(transaction, withSortKeys(job));
+    const jobId = await promisifyRequest(transaction.objectStore('jobs').add(job));
+    indexRecord(transaction, 'jobs', { ...job, id: jobId });
+    transaction.objectStore('status_history').add({
+        job_id: jobId,
+        from_status: null,
+        to_status: job.status,
+        changed_at: job.created_at || new Date().toISOString(),
+        source
     });
+    await done;
+    return jobId;
+}
+
+async function getJob(id) {
+    return await getItem('jobs', id);
 }
 
-export async function getJobsByCompanyId(companyId) {
+async function getAllJobs() {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction('jobs', 'readonly');
+        const transaction = openTransaction('jobs', 'readonly');
         const store = transaction.objectStore('jobs');
-        const index = store.index('company_id');
-        const request = index.getAll(companyId);
+        const request = store.getAll();
         request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
+        request.onerror = (event) => reject(toDataError(event.target.error));
     });
 }
 
-/**
- * Gets paginated and sorted jobs.
- */
-export async function getPaginatedJobs(status, sortBy, page, itemsPerPage) {
-    return new Promise((resolve, reject) => {
-        const [sortKey, sortOrder] = sortBy.split(' ');
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const index = store.index(sortKey === 'company_name' ? 'company_id' : sortKey);
-
-        const results = [];
-        let skipped = 0;
-        const skipCount = (page - 1) * itemsPerPage;
-
-        // Note: This implementation is complex because IndexedDB cursors
-        // are the only way to do sorting + filtering + pagination.
-        // We filter by status *manually* if not sorting by it.
-
-        const range = sortKey === 'status' ? IDBKeyRange.only(status) : null;
-        const direction = sortOrder === 'DESC' ? 'prev' : 'next';
+async function updateJob(job) {
+    const transaction = openTransaction(['jobs', 'companies', 'profiles', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    await setJoinedSortKeys(transaction, withSortKeys(job));
+    transaction.objectStore('jobs').put(job);
+    indexRecord(transaction, 'jobs', job);
+    await done;
+}
 
-        const request = index.openCursor(range, direction);
+// NEW: Function to delete a job (and its status history, interviews and attachments)
+async function deleteJob(id) {
+    const transaction = openTransaction(['jobs', ...JOB_CHILD_STORES, 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    transaction.objectStore('jobs').delete(id);
+    deleteJobChildren(transaction, id);
+    unindexRecord(transaction, 'jobs', id);
+    await done;
+}
 
-        request.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                if (sortKey !== 'status' && cursor.value.status !== status) {
-                    cursor.continue(); // Skip if status doesn't match
-                    return;
-                }
+/**
+ * Changes a job's status and appends the transition to status_history
+ * in the same transaction. Returns the updated job, or null if not found.
+ */
+async function setJobStatus(jobId, newStatus, source) {
+    const transaction = openTransaction(['jobs', 'status_history', 'stages'], 'readwrite');
+    const done = transactionDone(transaction);
+    const jobStore = transaction.objectStore('jobs');
+    const job = await promisifyRequest(jobStore.get(jobId));
+    if (!job) {
+        transaction.abort();
+        await done.catch(() => {});
+        return null;
+    }
+    const oldStatus = job.status;
+    if (oldStatus !== newStatus) {
+        const changedAt = new Date().toISOString();
+        job.status = newStatus;
+        applyStageReminder(job, await promisifyRequest(transaction.objectStore('stages').index('name').get(newStatus)), changedAt);
+        jobStore.put(withSortKeys(job));
+        transaction.objectStore('status_history').add({
+            job_id: jobId,
+            from_status: oldStatus,
+            to_status: newStatus,
+            changed_at: changedAt,
+            source
+        });
+    }
+    await done;
+    return job;
+}
 
-                if (skipped < skipCount) {
-                    skipped++;
-                    cursor.continue();
-                    return;
-                }
+// --- Bulk Job Actions ---
 
-                if (results.length < itemsPerPage) {
-                    results.push(cursor.value);
-                    cursor.continue();
-                } else {
-                    resolve(results); // Page is full
-                }
-            } else {
-                resolve(results); // No more results
-            }
-        };
-        request.onerror = (event) => reject(event.target.error);
+/**
+ * Trims tags and drops empty and duplicate ones (ignoring case), keeping
+ * the first spelling of each.
+ */
+function normalizeTags(tags) {
+    const seen = new Map();
+    (tags || []).forEach(tag => {
+        const trimmed = String(tag).trim();
+        if (trimmed && !seen.has(trimmed.toLowerCase())) seen.set(trimmed.toLowerCase(), trimmed);
     });
+    return [...seen.values()];
+}
+
+/**
+ * Applies `change(job, transaction)` to each job in one transaction, so a
+ * failure leaves every job as it was. `change` returns false when it left
+ * the job alone. Returns { updated, unchanged, missing }.
+ */
+async function updateJobsTogether(ids, change, extraStores = []) {
+    const transaction = openTransaction(['jobs', 'companies', 'profiles', 'search_index', ...extraStores], 'readwrite');
+    const done = transactionDone(transaction);
+    const jobStore = transaction.objectStore('jobs');
+    const result = { updated: 0, unchanged: 0, missing: 0 };
+    try {
+        for (const id of new Set(ids)) {
+            const job = await promisifyRequest(jobStore.get(id));
+            if (!job) {
+                result.missing++;
+            } else if (change(job, transaction) === false) {
+                result.unchanged++;
+            } else {
+                await setJoinedSortKeys(transaction, withSortKeys(job));
+                jobStore.put(job);
+                indexRecord(transaction, 'jobs', job);
+                result.updated++;
+            }
+        }
+    } catch (err) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw toDataError(err);
+    }
+    await done;
+    return result;
+}
+
+/**
+ * Moves jobs to `status`, recording each transition and applying the
+ * stage's reminder rule like setJobStatus.
+ */
+async function bulkSetJobStatus(ids, status, source = 'bulk') {
+    const changedAt = new Date().toISOString();
+    const stage = (await getStages()).find(s => s.name === status);
+    return updateJobsTogether(ids, (job, transaction) => {
+        if (job.status === status) return false;
+        transaction.objectStore('status_history').add({ job_id: job.id, from_status: job.status, to_status: status, changed_at: changedAt, source });
+        job.status = status;
+        applyStageReminder(job, stage, changedAt);
+    }, ['status_history']);
+}
+
+/**
+ * Links jobs to a profile (or none, with null). Match results belong to
+ * the previous profile, so they are cleared.
+ */
+async function bulkAssignProfile(ids, profileId) {
+    if (profileId !== null && !await getItem('profiles', profileId)) {
+        throw new DataError('NOT_FOUND', 'Profile not found.');
+    }
+    return updateJobsTogether(ids, job => {
+        if ((job.profile_id ?? null) === profileId) return false;
+        job.profile_id = profileId;
+        job.match_percentage = null;
+        job.match_justification = null;
+    });
+}
+
+/**
+ * Adds and/or removes tags (matched ignoring case) on jobs.
+ */
+async function bulkTagJobs(ids, { add = [], remove = [] }) {
+    const removed = new Set(normalizeTags(remove).map(tag => tag.toLowerCase()));
+    return updateJobsTogether(ids, job => {
+        const tags = normalizeTags([...(job.tags || []), ...add]).filter(tag => !removed.has(tag.toLowerCase()));
+        if (JSON.stringify(tags) === JSON.stringify(job.tags || [])) return false;
+        job.tags = tags;
+    });
+}
+
+/**
+ * Deletes jobs with their status history, interviews and attachments. Returns { deleted, missing }.
+ */
+async function bulkDeleteJobs(ids) {
+    const transaction = openTransaction(['jobs', ...JOB_CHILD_STORES, 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const jobStore = transaction.objectStore('jobs');
+    const result = { deleted: 0, missing: 0 };
+    for (const id of new Set(ids)) {
+        if (await promisifyRequest(jobStore.count(id)) === 0) {
+            result.missing++;
+            continue;
+        }
+        jobStore.delete(id);
+        deleteJobChildren(transaction, id);
+        unindexRecord(transaction, 'jobs', id);
+        result.deleted++;
+    }
+    await done;
+    return result;
+}
+
+/**
+ * Returns the ids of every job queryJobs would list for these arguments.
+ */
+async function getMatchingJobIds({ status, filter = {} }) {
+    const transaction = openTransaction('jobs', 'readonly');
+    const statusIndex = transaction.objectStore('jobs').index('status');
+    const statuses = filter.statuses?.length ? filter.statuses : [status];
+    const ids = [];
+    for (const value of new Set(statuses)) {
+        const jobs = await promisifyRequest(statusIndex.getAll(value));
+        jobs.forEach(job => { if (jobMatchesFilter(job, filter)) ids.push(job.id); });
+    }
+    return ids;
+}
+
+/**
+ * Exports jobs in the backup format with their history and interviews and
+ * the companies, profiles, interviewers and custom fields they use, so the
+ * file can be merge-imported.
+ */
+async function exportJobs(ids) {
+    const transaction = openTransaction(['jobs', 'companies', 'profiles', 'people', ...JOB_CHILD_STORES, 'custom_fields'], 'readonly');
+    const get = (storeName, key) => promisifyRequest(transaction.objectStore(storeName).get(key));
+    const data = { companies: [], profiles: [], people: [], jobs: [], status_history: [], interviews: [] };
+    const companyIds = new Set();
+    const profileIds = new Set();
+    const personIds = new Set();
+
+    for (const id of new Set(ids)) {
+        const job = await get('jobs', id);
+        if (!job) continue;
+        data.jobs.push(job);
+        data.status_history.push(...await promisifyRequest(transaction.objectStore('status_history').index('job_id').getAll(id)));
+        const interviews = await promisifyRequest(transaction.objectStore('interviews').index('job_id').getAll(id));
+        interviews.forEach(interview => (interview.interviewer_ids || []).forEach(personId => personIds.add(personId)));
+        data.interviews.push(...interviews);
+        if (typeof job.company_id === 'number') companyIds.add(job.company_id);
+        if (typeof job.profile_id === 'number') profileIds.add(job.profile_id);
+    }
+    for (const id of companyIds) data.companies.push(await get('companies', id));
+    for (const id of profileIds) data.profiles.push(await get('profiles', id));
+    for (const id of personIds) data.people.push(await get('people', id));
+    data.companies = data.companies.filter(Boolean);
+    data.profiles = data.profiles.filter(Boolean);
+    data.people = data.people.filter(Boolean);
+    data.custom_fields = await promisifyRequest(transaction.objectStore('custom_fields').index('entity').getAll('jobs'));
+    return JSON.stringify(data, null, 2);
+}
+
+async function updateJobNotes(id, notes) {
+    const job = await getItem('jobs', id);
+    if (job) {
+        job.notes = notes;
+        return await updateItem('jobs', withSortKeys(job));
+    }
+}
+
+async function getJobCount(status) {
+    return new Promise((resolve, reject) => {
+        const transaction = openTransaction('jobs', 'readonly');
+        const store = transaction.objectStore('jobs');
+        const index = store.index('status');
+        const request = index.count(status);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+async function getJobsByCompanyId(companyId) {
+    return new Promise((resolve, reject) => {
+        const transaction = openTransaction('jobs', 'readonly');
+        const store = transaction.objectStore('jobs');
+        const index = store.index('company_id');
+        const request = index.getAll(companyId);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+// NEW: Helper function to find jobs linked to a profile
+async function getJobsByProfileId(profileId) {
+    return new Promise((resolve, reject) => {
+        const transaction = openTransaction('jobs', 'readonly');
+        const store = transaction.objectStore('jobs');
+        const index = store.index('profile_id');
+        const request = index.getAll(profileId);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+
+// --- Compensation ---
+
+// Pay periods a job's compensation can be quoted in -> periods per year
+const PAY_PERIODS = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+const PAY_PERIOD_ALIASES = { hourly: 'hour', daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year', annual: 'year', annually: 'year' };
+
+// `rates[code]` is what one unit of that currency is worth in the home currency
+const DEFAULT_PAY_SETTINGS = { key: 'pay', home_currency: 'INR', rates: {} };
+
+// Cached by initDB so withSortKeys can stay synchronous
+let paySettings = { ...DEFAULT_PAY_SETTINGS };
+
+/**
+ * Builds a job's `compensation` from form or CSV values:
+ * { min, max, currency, period, equity, bonus }. Amounts are in the
+ * currency's units per period; equity and bonus are free text. Returns
+ * null when nothing is given. Throws INVALID_ARGUMENT for a bad amount,
+ * currency or period.
+ */
+function toCompensation({ min = null, max = null, currency = '', period = '', equity = '', bonus = '' }) {
+    const amount = (value, label) => {
+        if (isEmptyValue(value)) return null;
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.-]/g, ''));
+        if (!Number.isFinite(number) || number < 0) throw new DataError('INVALID_ARGUMENT', `${label} "${value}" is not valid.`);
+        return number;
+    };
+    const compensation = {
+        min: amount(min, 'Minimum pay'),
+        max: amount(max, 'Maximum pay'),
+        currency: String(currency || paySettings.home_currency).trim().toUpperCase(),
+        period: String(period || 'year').trim().toLowerCase(),
+        equity: String(equity || '').trim(),
+        bonus: String(bonus || '').trim()
+    };
+    compensation.period = PAY_PERIOD_ALIASES[compensation.period] || compensation.period;
+    if (compensation.min === null && compensation.max === null && !compensation.equity && !compensation.bonus) return null;
+    if (!/^[A-Z]{3}$/.test(compensation.currency)) throw new DataError('INVALID_ARGUMENT', `Currency "${currency}" is not a 3-letter code.`);
+    if (!PAY_PERIODS[compensation.period]) throw new DataError('INVALID_ARGUMENT', `Pay period "${period}" is not one of ${Object.keys(PAY_PERIODS).join(', ')}.`);
+    if (compensation.min !== null && compensation.max !== null && compensation.min > compensation.max) {
+        throw new DataError('INVALID_ARGUMENT', 'Minimum pay is above the maximum.');
+    }
+    return compensation;
+}
+
+/**
+ * Converts a compensation to a yearly amount in the home currency, or
+ * null when it has no amount or no exchange rate for its currency.
+ * Ranges count at their top, as the old single salary field did.
+ */
+function normalizePay(compensation, settings = paySettings) {
+    const amount = compensation?.max ?? compensation?.min;
+    if (typeof amount !== 'number') return null;
+    const rate = compensation.currency === settings.home_currency ? 1 : settings.rates[compensation.currency];
+    if (!rate) return null;
+    return amount * rate * (PAY_PERIODS[compensation.period] || 1);
+}
+
+// Jobs saved before v9 held `salary` in lakhs of rupees per year
+function upgradeLegacySalary(job) {
+    if ('salary' in job) {
+        if (typeof job.salary === 'number' && !job.compensation) {
+            job.compensation = { min: null, max: job.salary * 100000, currency: 'INR', period: 'year', equity: '', bonus: '' };
+        }
+        delete job.salary;
+    }
+    return job;
+}
+
+async function loadPaySettings() {
+    paySettings = (await getItem('settings', 'pay')) || { ...DEFAULT_PAY_SETTINGS };
+    return paySettings;
+}
+
+/**
+ * Returns { home_currency, rates } as last saved.
+ */
+function getPaySettings() {
+    return structuredClone(paySettings);
+}
+
+/**
+ * Saves the home currency and exchange rates, then recomputes every
+ * job's normalized pay so sorting and filtering use the new rates.
+ * Rates must be positive numbers; one for the home currency is dropped.
+ */
+async function setPaySettings({ home_currency, rates = {} }) {
+    const home = String(home_currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(home)) throw new DataError('INVALID_ARGUMENT', `Home currency "${home_currency}" is not a 3-letter code.`);
+    const next = { ...DEFAULT_PAY_SETTINGS, home_currency: home, rates: {} };
+    for (const [code, rate] of Object.entries(rates)) {
+        const currency = code.trim().toUpperCase();
+        if (currency === home) continue;
+        if (!/^[A-Z]{3}$/.test(currency)) throw new DataError('INVALID_ARGUMENT', `Currency "${code}" is not a 3-letter code.`);
+        if (!(typeof rate === 'number' && rate > 0 && Number.isFinite(rate))) {
+            throw new DataError('INVALID_ARGUMENT', `The rate for ${currency} must be a positive number.`);
+        }
+        next.rates[currency] = rate;
+    }
+
+    const transaction = openTransaction(['settings', 'jobs'], 'readwrite', { label: 'Changed pay settings' });
+    const done = transactionDone(transaction);
+    transaction.objectStore('settings').put(next);
+    await forEachRecord(transaction, 'jobs', job => {
+        const before = job.sort_salary;
+        return withSortKeys(job, next).sort_salary === before ? undefined : job;
+    });
+    await done;
+    paySettings = next;
+    return getPaySettings();
+}
+
+
+// --- Due Dates & Reminders ---
+
+// Job fields holding a due date as 'YYYY-MM-DD' (local time), or null
+const DUE_DATE_FIELDS = ['apply_by', 'follow_up_on', 'offer_expires_on'];
+const MAX_REMINDER_DAYS = 365;
+
+function localDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return localDateKey(date);
+}
+
+// Monday on or before the day; weeks start on Monday
+function startOfWeek(dateKey) {
+    return addDays(dateKey, -((new Date(`${dateKey}T00:00:00`).getDay() + 6) % 7));
+}
+
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00`));
+}
+
+// Throws unless a stage's reminder rule is empty or { field, days }
+function validateReminder(reminder) {
+    if (!reminder) return null;
+    if (!DUE_DATE_FIELDS.includes(reminder.field)) throw new DataError('INVALID_ARGUMENT', `Reminder field must be one of: ${DUE_DATE_FIELDS.join(', ')}.`);
+    if (!Number.isInteger(reminder.days) || reminder.days < 0 || reminder.days > MAX_REMINDER_DAYS) {
+        throw new DataError('INVALID_ARGUMENT', `Reminder days must be a whole number from 0 to ${MAX_REMINDER_DAYS}.`);
+    }
+    return { field: reminder.field, days: reminder.days };
+}
+
+/**
+ * Applies the reminder rule of the stage a job has just entered: the
+ * rule's due date is set `days` after `changedAt`, unless the job already
+ * has one. Returns true when a date was set.
+ */
+function applyStageReminder(job, stage, changedAt) {
+    const rule = stage?.reminder;
+    if (!rule || job[rule.field]) return false;
+    job[rule.field] = addDays(localDateKey(new Date(changedAt)), rule.days);
+    return true;
+}
+
+/**
+ * Lists a job's due dates, soonest first: [{ field, date, days }] where
+ * `days` counts from `today` and is negative when overdue.
+ */
+function jobDueDates(job, today = localDateKey(new Date())) {
+    const start = new Date(`${today}T00:00:00`);
+    return DUE_DATE_FIELDS.filter(field => isDateKey(job[field]))
+        .map(field => ({ field, date: job[field], days: Math.round((new Date(`${job[field]}T00:00:00`) - start) / 86400000) }))
+        .sort((a, b) => a.days - b.days);
+}
+
+/**
+ * Returns the due dates falling at most `within` days from today on jobs
+ * outside terminal stages, overdue first: [{ job, field, date, days }].
+ * Each job has company_name joined.
+ */
+async function getDueDates({ within = 0, today = localDateKey(new Date()) } = {}) {
+    const transaction = openTransaction(['jobs', 'stages', 'companies'], 'readonly');
+    const getAll = storeName => promisifyRequest(transaction.objectStore(storeName).getAll());
+    const [jobs, stages, companies] = [await getAll('jobs'), await getAll('stages'), await getAll('companies')];
+    const terminal = new Set(stages.filter(stage => stage.kind === 'terminal').map(stage => stage.name));
+    const companyNames = new Map(companies.map(c => [c.id, c.name]));
+
+    return jobs.filter(job => !terminal.has(job.status))
+        .flatMap(job => jobDueDates(job, today)
+            .filter(due => due.days <= within)
+            .map(due => ({ job: { ...job, company_name: companyNames.get(job.company_id) || null }, ...due })))
+        .sort((a, b) => a.days - b.days || a.job.id - b.job.id);
+}
+
+/**
+ * Sets or, with null, clears one of a job's DUE_DATE_FIELDS.
+ */
+async function setJobDueDate(jobId, field, date) {
+    if (!DUE_DATE_FIELDS.includes(field)) throw new DataError('INVALID_ARGUMENT', `Unknown due date field "${field}".`);
+    if (date !== null && !isDateKey(date)) throw new DataError('INVALID_ARGUMENT', `Date "${date}" is not a YYYY-MM-DD date.`);
+    const job = await getItem('jobs', jobId);
+    if (!job) throw new DataError('NOT_FOUND', 'Job not found.');
+    job[field] = date;
+    return await updateItem('jobs', job);
+}
+
+
+// --- Duplicate Jobs ---
+
+// Query parameters job boards and mailers add for tracking; they never pick the posting
+const URL_TRACKING_PARAMS = new Set(['gclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', '_hsenc', '_hsmi', 'ref', 'refid', 'ref_src', 'referer', 'referrer', 'src', 'source', 'trk', 'trkinfo', 'trackingid', 'lipi', 'si', 'gh_src']);
+
+/**
+ * Reduces a posting URL to what identifies the posting: no scheme, "www.",
+ * fragment, trailing slash or tracking parameters (utm_* and the like),
+ * remaining parameters sorted. Returns '' when there is no URL.
+ */
+function normalizeJobUrl(url) {
+    const text = (url || '').trim();
+    if (!text) return '';
+    let parsed;
+    try {
+        parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (err) {
+        return text.toLowerCase();
+    }
+    const params = [...parsed.searchParams]
+        .filter(([name]) => !name.toLowerCase().startsWith('utm_') && !URL_TRACKING_PARAMS.has(name.toLowerCase()))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+    return `${parsed.host.toLowerCase().replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${query}`;
+}
+
+// The keys two jobs share when they are the same posting
+function jobDuplicateKeys(job) {
+    const keys = [];
+    const url = normalizeJobUrl(job.url);
+    if (url) keys.push(`url:${url}`);
+    const title = (job.title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (title && typeof job.company_id === 'number') keys.push(`title:${job.company_id}|${title}`);
+    return keys;
+}
+
+/**
+ * Finds saved jobs that look like `job` (by normalized URL, or by title
+ * within the same company), skipping `job.id` itself. Returns the
+ * matches with company_name joined and `duplicate_of` set to 'url' or
+ * 'title'.
+ */
+async function findMatchingJobs(job) {
+    const keys = jobDuplicateKeys(job);
+    if (keys.length === 0) return [];
+    const transaction = openTransaction(['jobs', 'companies', 'profiles'], 'readonly');
+    const jobs = await promisifyRequest(transaction.objectStore('jobs').getAll());
+    const matches = [];
+    jobs.forEach(other => {
+        if (other.id === job.id) return;
+        const shared = jobDuplicateKeys(other).find(key => keys.includes(key));
+        if (shared) matches.push({ ...other, duplicate_of: shared.split(':')[0] });
+    });
+    return joinJobNames(transaction, matches);
+}
+
+/**
+ * Groups jobs that share a normalized URL or a title within a company,
+ * chaining through shared keys. Returns [{ reasons, jobs }] where
+ * `reasons` lists 'url' and/or 'title' and jobs are oldest first.
+ */
+async function findDuplicateJobs() {
+    const transaction = openTransaction(['jobs', 'companies', 'profiles'], 'readonly');
+    const jobs = await promisifyRequest(transaction.objectStore('jobs').getAll());
+    const groupOf = new Map(); // key -> group
+    const groups = [];
+    jobs.forEach(job => {
+        const keys = jobDuplicateKeys(job);
+        const found = [...new Set(keys.map(key => groupOf.get(key)).filter(Boolean))];
+        const group = found[0] || { reasons: new Set(), jobs: [], keys: new Set() };
+        if (!found.length) groups.push(group);
+        found.slice(1).forEach(other => {
+            // This job links two groups; fold the second into the first
+            other.jobs.forEach(j => group.jobs.push(j));
+            other.keys.forEach(key => { group.keys.add(key); groupOf.set(key, group); });
+            other.reasons.forEach(reason => group.reasons.add(reason));
+            groups.splice(groups.indexOf(other), 1);
+        });
+        keys.forEach(key => {
+            if (group.keys.has(key)) group.reasons.add(key.split(':')[0]);
+            group.keys.add(key);
+            groupOf.set(key, group);
+        });
+        group.jobs.push(job);
+    });
+
+    const duplicates = groups.filter(group => group.jobs.length > 1);
+    for (const group of duplicates) await joinJobNames(transaction, group.jobs);
+    return duplicates.map(group => ({
+        reasons: [...group.reasons],
+        jobs: group.jobs.sort((a, b) => a.id - b.id)
+    }));
+}
+
+/**
+ * Merges duplicate jobs into the surviving one in one transaction. Empty
+ * fields and custom values are filled from the duplicates, tags are
+ * combined, notes appended, the earliest save date kept and the
+ * duplicates' status history, interviews and attachments moved over
+ * before they are deleted. Returns { history, interviews, attachments } —
+ * the number of each moved.
+ */
+async function mergeJobs(survivorId, duplicateIds) {
+    const transaction = openTransaction(['jobs', ...JOB_CHILD_STORES, 'companies', 'profiles', 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const jobStore = transaction.objectStore('jobs');
+
+    const survivor = await promisifyRequest(jobStore.get(survivorId));
+    const duplicates = [];
+    for (const id of duplicateIds.filter(id => id !== survivorId)) {
+        const job = await promisifyRequest(jobStore.get(id));
+        if (job) duplicates.push(job);
+    }
+    if (!survivor || duplicates.length === 0) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw new DataError('INVALID_ARGUMENT', 'Nothing to merge.');
+    }
+
+    let history = 0;
+    let interviews = 0;
+    let attachments = 0;
+    const historyStore = transaction.objectStore('status_history');
+    const interviewStore = transaction.objectStore('interviews');
+    const attachmentStore = transaction.objectStore('attachments');
+    for (const duplicate of duplicates) {
+        Object.keys(duplicate).forEach(field => {
+            if (['id', 'status', 'notes', 'tags', 'custom', 'created_at'].includes(field) || field.startsWith('sort_')) return;
+            if (isEmptyValue(survivor[field]) && !isEmptyValue(duplicate[field])) survivor[field] = duplicate[field];
+        });
+        if (duplicate.notes && duplicate.notes.trim()) {
+            const merged = `--- Merged from ${duplicate.title} ---\n${duplicate.notes.trim()}`;
+            survivor.notes = survivor.notes ? `${survivor.notes.trim()}\n\n${merged}` : merged;
+        }
+        survivor.tags = normalizeTags([...(survivor.tags || []), ...(duplicate.tags || [])]);
+        Object.entries(duplicate.custom || {}).forEach(([id, value]) => {
+            survivor.custom = survivor.custom || {};
+            if (isEmptyValue(survivor.custom[id])) survivor.custom[id] = value;
+        });
+        if (duplicate.created_at && (!survivor.created_at || duplicate.created_at < survivor.created_at)) {
+            survivor.created_at = duplicate.created_at;
+        }
+
+        const entries = await promisifyRequest(historyStore.index('job_id').getAll(duplicate.id));
+        entries.forEach(entry => {
+            historyStore.put({ ...entry, job_id: survivorId });
+            history++;
+        });
+        const rounds = await promisifyRequest(interviewStore.index('job_id').getAll(duplicate.id));
+        rounds.forEach(interview => {
+            interviewStore.put({ ...interview, job_id: survivorId });
+            interviews++;
+        });
+        const files = await promisifyRequest(attachmentStore.index('job_id').getAll(duplicate.id));
+        files.forEach(file => {
+            attachmentStore.put({ ...file, job_id: survivorId });
+            attachments++;
+        });
+        jobStore.delete(duplicate.id);
+        unindexRecord(transaction, 'jobs', duplicate.id);
+    }
+
+    await setJoinedSortKeys(transaction, withSortKeys(survivor));
+    jobStore.put(survivor);
+    indexRecord(transaction, 'jobs', survivor);
+    await done;
+    return { history, interviews, attachments };
+}
+
+// --- Pipeline Stages ---
+
+const STAGE_KINDS = ['active', 'terminal'];
+const DEFAULT_STAGE_COLOR = '#64748b';
+
+// Built-in stages that get the markers when older data has none
+const DEFAULT_APPLIED_STAGE = 'Applied';
+const DEFAULT_REPLY_STAGES = ['Accepted', 'Rejected'];
+
+/**
+ * Fills in the `applied` and `reply` markers on a stage saved before they
+ * existed, going by the built-in stage names. Returns the stage.
+ */
+function withStageMarkers(stage) {
+    if (typeof stage.applied !== 'boolean') stage.applied = stage.name === DEFAULT_APPLIED_STAGE;
+    if (typeof stage.reply !== 'boolean') stage.reply = stage.kind === 'terminal' && DEFAULT_REPLY_STAGES.includes(stage.name);
+    return stage;
+}
+
+/**
+ * Returns every stage, retired ones included, in pipeline order.
+ * Stage: { id, name, color, kind: 'active'|'terminal', order, retired,
+ *   applied (jobs count as applied once they reach it; at most one stage),
+ *   reply (terminal stages only: ending here means the employer answered,
+ *   e.g. Rejected but not Spam or Ghosted),
+ *   reminder: null | { field, days } (see applyStageReminder) }
+ */
+async function getStages() {
+    const stages = await new Promise((resolve, reject) => {
+        const transaction = openTransaction('stages', 'readonly');
+        const request = transaction.objectStore('stages').index('order').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+    return stages;
+}
+
+// Throws unless `stage` has a usable name (unique, ignoring case), kind and reminder
+function validateStage(stage, existing) {
+    const name = (stage.name || '').trim();
+    if (!name) throw new DataError('INVALID_ARGUMENT', 'Stage name is required.');
+    if (!STAGE_KINDS.includes(stage.kind)) throw new DataError('INVALID_ARGUMENT', `Stage kind must be one of: ${STAGE_KINDS.join(', ')}.`);
+    validateReminder(stage.reminder);
+    const clash = existing.find(s => s.id !== stage.id && s.name.toLowerCase() === name.toLowerCase());
+    if (clash) throw new DataError('INVALID_ARGUMENT', `A stage named "${clash.name}" already exists.`);
+    return name;
+}
+
+/**
+ * Appends a stage to the end of the pipeline. Returns its id.
+ */
+async function addStage({ name, color = DEFAULT_STAGE_COLOR, kind = 'active', reply = false }) {
+    const transaction = openTransaction('stages', 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore('stages');
+    const existing = await promisifyRequest(store.getAll());
+    const stage = { name, color, kind, retired: false, applied: false, reply: kind === 'terminal' && reply === true };
+    stage.name = validateStage(stage, existing);
+    stage.order = existing.reduce((max, s) => Math.max(max, s.order), -1) + 1;
+    const id = await promisifyRequest(store.add(stage));
+    await done;
+    return id;
+}
+
+/**
+ * Saves a stage's name, colour, kind, retired flag, markers and reminder.
+ * Marking a stage as the applied one unmarks the previous one. A rename
+ * moves every job in the stage and rewrites its status history in the
+ * same transaction. Returns { jobs } — the number of jobs moved.
+ */
+async function updateStage(stage) {
+    const transaction = openTransaction(['stages', 'jobs', 'status_history'], 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore('stages');
+    const previous = await promisifyRequest(store.get(stage.id));
+    if (!previous) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw new DataError('NOT_FOUND', 'Stage not found.');
+    }
+
+    let name;
+    const all = await promisifyRequest(store.getAll());
+    try {
+        name = validateStage(stage, all);
+    } catch (err) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw err;
+    }
+    const applied = stage.applied === true;
+    store.put({ ...previous, ...stage, name, applied, reply: stage.kind === 'terminal' && stage.reply === true, order: previous.order });
+    if (applied) {
+        all.filter(other => other.id !== stage.id && other.applied).forEach(other => store.put({ ...other, applied: false }));
+    }
+
+    let moved = 0;
+    if (name !== previous.name) {
+        const jobStore = transaction.objectStore('jobs');
+        const jobs = await promisifyRequest(jobStore.index('status').getAll(previous.name));
+        jobs.forEach(job => {
+            job.status = name;
+            jobStore.put(job);
+        });
+        moved = jobs.length;
+
+        await forEachRecord(transaction, 'status_history', entry => {
+            if (entry.from_status !== previous.name && entry.to_status !== previous.name) return;
+            if (entry.from_status === previous.name) entry.from_status = name;
+            if (entry.to_status === previous.name) entry.to_status = name;
+            return entry;
+        });
+    }
+    await done;
+    return { jobs: moved };
+}
+
+/**
+ * Sets the pipeline order to follow `ids`.
+ */
+async function reorderStages(ids) {
+    const transaction = openTransaction('stages', 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore('stages');
+    for (const [order, id] of ids.entries()) {
+        const stage = await promisifyRequest(store.get(id));
+        if (stage) store.put({ ...stage, order });
+    }
+    await done;
+}
+
+/**
+ * Deletes a stage that no job uses; stages in use can only be retired.
+ */
+async function deleteStage(id) {
+    const transaction = openTransaction(['stages', 'jobs'], 'readwrite');
+    const done = transactionDone(transaction);
+    const stage = await promisifyRequest(transaction.objectStore('stages').get(id));
+    const inUse = stage ? await promisifyRequest(transaction.objectStore('jobs').index('status').count(stage.name)) : 0;
+    if (!stage || inUse > 0) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw stage
+            ? new DataError('INVALID_ARGUMENT', `"${stage.name}" still has ${inUse} job(s). Retire it instead.`)
+            : new DataError('NOT_FOUND', 'Stage not found.');
+    }
+    transaction.objectStore('stages').delete(id);
+    await done;
+}
+
+/**
+ * Adds an active stage for any status with no stage, inside a transaction
+ * that includes stages. Used after imports bring in unknown statuses.
+ */
+async function ensureStagesForStatuses(transaction, statuses) {
+    const store = transaction.objectStore('stages');
+    const stages = await promisifyRequest(store.getAll());
+    const names = new Set(stages.map(s => s.name));
+    let order = stages.reduce((max, s) => Math.max(max, s.order), -1);
+    for (const status of statuses) {
+        if (!status || names.has(status)) continue;
+        names.add(status);
+        store.add({ name: status, color: DEFAULT_STAGE_COLOR, kind: 'active', order: ++order, retired: false, applied: false, reply: false });
+    }
+}
+
+// --- Custom Fields ---
+
+const CUSTOM_FIELD_ENTITIES = ['jobs', 'companies', 'people'];
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox', 'url'];
+
+/**
+ * Returns the custom field definitions in display order, optionally for
+ * one entity. Field: { id, entity, label, type, options: [], order }.
+ * Records keep their values in `custom`, keyed by field id.
+ */
+async function getCustomFields(entity) {
+    const fields = await new Promise((resolve, reject) => {
+        const transaction = openTransaction('custom_fields', 'readonly');
+        const store = transaction.objectStore('custom_fields');
+        const request = entity ? store.index('entity').getAll(entity) : store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+    return fields.sort((a, b) => a.order - b.order);
+}
+
+// Throws unless `field` is well formed and its label is unique for its entity
+function validateCustomField(field, existing) {
+    const label = (field.label || '').trim();
+    if (!CUSTOM_FIELD_ENTITIES.includes(field.entity)) throw new DataError('INVALID_ARGUMENT', `Custom fields belong to one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}.`);
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) throw new DataError('INVALID_ARGUMENT', `Field type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}.`);
+    if (!label) throw new DataError('INVALID_ARGUMENT', 'Field name is required.');
+    const options = field.type === 'select' ? [...new Set((field.options || []).map(o => String(o).trim()).filter(Boolean))] : [];
+    if (field.type === 'select' && options.length === 0) throw new DataError('INVALID_ARGUMENT', 'A select field needs at least one option.');
+    const clash = existing.find(f => f.id !== field.id && f.entity === field.entity && f.label.toLowerCase() === label.toLowerCase());
+    if (clash) throw new DataError('INVALID_ARGUMENT', `A field named "${clash.label}" already exists.`);
+    return { label, options };
+}
+
+/**
+ * Adds a custom field after the entity's existing ones. Returns its id.
+ */
+async function addCustomField({ entity, label, type, options = [] }) {
+    const transaction = openTransaction('custom_fields', 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore('custom_fields');
+    const existing = await promisifyRequest(store.getAll());
+    const field = { entity, type, ...validateCustomField({ entity, label, type, options }, existing) };
+    field.order = existing.filter(f => f.entity === entity).reduce((max, f) => Math.max(max, f.order), -1) + 1;
+    const id = await promisifyRequest(store.add(field));
+    await done;
+    return id;
+}
+
+/**
+ * Renames a custom field or changes a select field's options. The entity
+ * and type are fixed once values exist, so they are kept from the stored field.
+ */
+async function updateCustomField(field) {
+    const transaction = openTransaction('custom_fields', 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore('custom_fields');
+    const previous = await promisifyRequest(store.get(field.id));
+    try {
+        if (!previous) throw new DataError('NOT_FOUND', 'Custom field not found.');
+        const merged = { ...previous, label: field.label, options: field.options ?? previous.options };
+        store.put({ ...merged, ...validateCustomField(merged, await promisifyRequest(store.getAll())) });
+    } catch (err) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw err;
+    }
+    await done;
+}
+
+/**
+ * Deletes a custom field and removes its value from every record.
+ */
+async function deleteCustomField(id) {
+    const field = await getItem('custom_fields', id);
+    if (!field) throw new DataError('NOT_FOUND', 'Custom field not found.');
+    const transaction = openTransaction(['custom_fields', field.entity, 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    transaction.objectStore('custom_fields').delete(id);
+    await forEachRecord(transaction, field.entity, record => {
+        if (!record.custom || !(id in record.custom)) return;
+        delete record.custom[id];
+        indexRecord(transaction, field.entity, record);
+        return record;
+    });
+    await done;
+}
+
+/**
+ * Converts a raw value (form input, CSV cell) to what a field stores:
+ * numbers, 'YYYY-MM-DD' dates, booleans for checkboxes, one of the options
+ * for selects, trimmed strings otherwise. Empty input becomes null.
+ * Throws INVALID_ARGUMENT for values the field cannot hold.
+ */
+function coerceCustomValue(field, value) {
+    if (field.type === 'checkbox') {
+        return value === true || ['true', 'on', 'yes', '1'].includes(String(value).trim().toLowerCase());
+    }
+    if (isEmptyValue(value) || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    switch (field.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : parseFloat(text);
+            if (!Number.isFinite(number)) throw new DataError('INVALID_ARGUMENT', `"${field.label}" must be a number.`);
+            return number;
+        }
+        case 'date':
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(`${text}T00:00:00`))) {
+                throw new DataError('INVALID_ARGUMENT', `"${field.label}" must be a date (YYYY-MM-DD).`);
+            }
+            return text;
+        case 'select': {
+            const option = field.options.find(o => o.toLowerCase() === text.toLowerCase());
+            if (!option) throw new DataError('INVALID_ARGUMENT', `"${field.label}" must be one of: ${field.options.join(', ')}.`);
+            return option;
+        }
+        default:
+            return text;
+    }
+}
+
+// Custom fields from different databases are the same field when this matches
+function customFieldKey(field) {
+    return `${field.entity}|${(field.label || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Rewrites the custom values in backup data to local field ids, matching
+ * fields by entity and label. Fields with no local match are keyed
+ * 'new:<backup id>'; values of fields missing from the backup are dropped.
+ */
+function mapCustomFieldIds(data, localFields) {
+    const localIds = new Map(localFields.map(field => [customFieldKey(field), field.id]));
+    const ids = new Map((data.custom_fields || []).map(field => [String(field.id), localIds.get(customFieldKey(field)) ?? `new:${field.id}`]));
+    const remap = record => {
+        if (!record.custom) return record;
+        const custom = {};
+        for (const [id, value] of Object.entries(record.custom)) {
+            if (ids.has(id)) custom[ids.get(id)] = value;
+        }
+        return { ...record, custom };
+    };
+    const mapped = { ...data };
+    CUSTOM_FIELD_ENTITIES.forEach(storeName => {
+        if (data[storeName]) mapped[storeName] = data[storeName].map(remap);
+    });
+    return mapped;
+}
+
+// --- Status History ---
+
+/**
+ * Gets all status transitions for a job, oldest first.
+ */
+async function getStatusHistory(jobId) {
+    const transaction = openTransaction('status_history', 'readonly');
+    const index = transaction.objectStore('status_history').index('job_id');
+    const entries = await promisifyRequest(index.getAll(jobId));
+    return entries.sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+}
+
+// Stores whose records belong to a job through a 'job_id' index
+const JOB_CHILD_STORES = ['status_history', 'interviews', 'attachments'];
+
+/**
+ * Deletes a job's history entries, interviews and attachments inside an
+ * existing readwrite transaction that includes JOB_CHILD_STORES.
+ */
+function deleteJobChildren(transaction, jobId) {
+    JOB_CHILD_STORES.forEach(storeName => {
+        const index = transaction.objectStore(storeName).index('job_id');
+        index.openKeyCursor(IDBKeyRange.only(jobId)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                transaction.objectStore(storeName).delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    });
+}
+
+/**
+ * Tests a job against a filter. Every field is optional:
+ * { statuses: [], payMin, payMax (yearly, in the home currency), location, companyId, profileId
+ *   (an id, or 'none' for no profile), matchMin, matchMax,
+ *   savedFrom, savedTo ('YYYY-MM-DD', inclusive, local time), tag,
+ *   custom: { [fieldId]: { contains } | { equals } | { min, max } } }.
+ * `statuses` is not checked here; queryJobs selects by status itself.
+ */
+function jobMatchesFilter(job, filter) {
+    const inRange = (value, min, max) => (isEmptyValue(min) && isEmptyValue(max))
+        || (typeof value === 'number' && (isEmptyValue(min) || value >= min) && (isEmptyValue(max) || value <= max));
+
+    if (!inRange(normalizePay(job.compensation), filter.payMin, filter.payMax)) return false;
+    if (!inRange(job.match_percentage, filter.matchMin, filter.matchMax)) return false;
+    if (filter.location && !(job.location || '').toLowerCase().includes(filter.location.trim().toLowerCase())) return false;
+    if (filter.tag && !(job.tags || []).some(tag => tag.toLowerCase() === filter.tag.trim().toLowerCase())) return false;
+    if (!isEmptyValue(filter.companyId) && job.company_id !== filter.companyId) return false;
+    if (filter.profileId === 'none' ? job.profile_id : (!isEmptyValue(filter.profileId) && job.profile_id !== filter.profileId)) return false;
+    if (filter.savedFrom || filter.savedTo) {
+        const saved = new Date(job.created_at);
+        if (isNaN(saved)) return false;
+        if (filter.savedFrom && saved < new Date(`${filter.savedFrom}T00:00:00`)) return false;
+        if (filter.savedTo && saved > new Date(`${filter.savedTo}T23:59:59.999`)) return false;
+    }
+    for (const [id, condition] of Object.entries(filter.custom || {})) {
+        if (!customValueMatches(job.custom?.[id], condition)) return false;
+    }
+    return true;
+}
+
+// Text matches by substring, checkboxes treat no value as unchecked, and
+// ranges compare numbers or 'YYYY-MM-DD' dates
+function customValueMatches(value, condition) {
+    if ('contains' in condition) {
+        return typeof value === 'string' && value.toLowerCase().includes(String(condition.contains).trim().toLowerCase());
+    }
+    if ('equals' in condition) {
+        return typeof condition.equals === 'boolean' ? Boolean(value) === condition.equals : value === condition.equals;
+    }
+    const { min, max } = condition;
+    if (isEmptyValue(value)) return isEmptyValue(min) && isEmptyValue(max);
+    return (isEmptyValue(min) || value >= min) && (isEmptyValue(max) || value <= max);
+}
+
+// True when a filter narrows jobs by anything other than status
+function hasJobConditions(filter) {
+    return Object.entries(filter).some(([field, value]) => {
+        if (field === 'statuses') return false;
+        if (field === 'custom') return Object.keys(value || {}).length > 0;
+        return !isEmptyValue(value);
+    });
+}
+
+// Sort key for a custom field value; jobs without one sort first ascending
+function customSortKey(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'string') return value.toLowerCase();
+    return typeof value === 'number' ? value : -Infinity;
+}
+
+/**
+ * Gets one page of jobs, sorted via the [status, sort key] compound
+ * indexes, with `company_name` and `profile_name` joined in.
+ * `sortBy` is e.g. 'created_at DESC', 'company_name ASC' or, for a custom
+ * field (always sorted in memory), 'custom.3 ASC'. Pass the
+ * previous page's `next` as `after` to continue from its last key, so
+ * page N costs the same as page 1.
+ * `filter` (see jobMatchesFilter) may list several `statuses`, replacing
+ * `status`, and narrow further; filtered queries are matched and sorted in
+ * memory, with `total` counting only matching jobs.
+ * Returns { jobs, next, total }; `next` is null on the last page.
+ */
+async function queryJobs({ status, filter = {}, sortBy = 'created_at DESC', after = null, limit = 10 }) {
+    const [sortKey, sortOrder] = sortBy.split(' ');
+    const transaction = openTransaction(['jobs', 'companies', 'profiles'], 'readonly');
+    const index = transaction.objectStore('jobs').index(JOB_SORT_OPTIONS[sortKey] || JOB_SORT_OPTIONS.created_at);
+    const direction = sortOrder === 'DESC' ? 'prev' : 'next';
+    const statuses = filter.statuses?.length ? filter.statuses : [status];
+    const customId = sortKey.startsWith('custom.') ? sortKey.slice('custom.'.length) : null;
+    const sortValue = customId
+        ? job => customSortKey(job.custom?.[customId])
+        : job => job[index.keyPath[1]]; // [status, sort field]
+
+    const { rows, total } = statuses.length === 1 && !customId && !hasJobConditions(filter)
+        ? await readIndexPage(index, statuses[0], direction, after, limit)
+        : await readFilteredPage(transaction, sortValue, statuses, filter, direction, after, limit);
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    return {
+        jobs: await joinJobNames(transaction, page.map(r => r.job)),
+        next: hasMore ? page[page.length - 1].cursor : null,
+        total
+    };
+}
+
+// Reads up to limit + 1 jobs of one status straight off the compound index
+async function readIndexPage(index, status, direction, after, limit) {
+    const range = IDBKeyRange.bound([status], [status, []]); // Every key starting with status
+    const total = await promisifyRequest(index.count(range));
+    const rows = await new Promise((resolve, reject) => {
+        const results = [];
+        let positioned = !after;
+        const request = index.openCursor(range, direction);
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve(results); // No more results
+                return;
+            }
+
+            if (!positioned) {
+                // Jump straight past the previous page's last record
+                const order = indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+                const isPast = direction === 'next' ? order > 0 : order < 0;
+                if (!isPast) {
+                    if (order === 0) cursor.continue();
+                    else cursor.continuePrimaryKey(after.key, after.primaryKey);
+                    return;
+                }
+                positioned = true;
+            }
+
+            results.push({ job: cursor.value, cursor: { key: cursor.key, primaryKey: cursor.primaryKey } });
+            if (results.length > limit) {
+                resolve(results); // One extra tells us a next page exists
+            } else {
+                cursor.continue();
+            }
+        };
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+    return { rows, total };
+}
+
+// Loads the jobs of every status, filters and sorts them the way the index would
+async function readFilteredPage(transaction, sortValue, statuses, filter, direction, after, limit) {
+    const statusIndex = transaction.objectStore('jobs').index('status');
+    const jobs = [];
+    for (const status of new Set(statuses)) {
+        jobs.push(...await promisifyRequest(statusIndex.getAll(status)));
+    }
+
+    const sign = direction === 'next' ? 1 : -1;
+    const compare = (a, b) => sign * (indexedDB.cmp(a.key, b.key) || indexedDB.cmp(a.primaryKey, b.primaryKey));
+    // Jobs without a sort value are left out, as they are from the index
+    const matching = jobs
+        .map(job => ({ job, cursor: { key: sortValue(job), primaryKey: job.id } }))
+        .filter(({ job, cursor }) => (typeof cursor.key === 'string' || typeof cursor.key === 'number') && jobMatchesFilter(job, filter))
+        .sort((a, b) => compare(a.cursor, b.cursor));
+
+    const start = after ? matching.findIndex(row => compare(row.cursor, after) > 0) : 0;
+    const rows = start === -1 ? [] : matching.slice(start, start + limit + 1);
+    return { rows, total: matching.length };
+}
+
+/**
+ * Adds `company_name` and `profile_name` to each job from the linked records.
+ * These are read-time fields; they are not stored on the job.
+ */
+async function joinJobNames(transaction, jobs) {
+    const names = { companies: new Map(), profiles: new Map() };
+    const lookup = async (storeName, id) => {
+        if (typeof id !== 'number') return null;
+        if (!names[storeName].has(id)) {
+            const record = await promisifyRequest(transaction.objectStore(storeName).get(id));
+            names[storeName].set(id, record ? record.name : null);
+        }
+        return names[storeName].get(id);
+    };
+
+    for (const job of jobs) {
+        job.company_name = await lookup('companies', job.company_id);
+        job.profile_name = await lookup('profiles', job.profile_id);
+    }
+    return jobs;
+}
+
+// --- Interviews ---
+
+const INTERVIEW_FORMATS = ['phone', 'video', 'onsite', 'take-home', 'other'];
+const INTERVIEW_OUTCOMES = ['pending', 'passed', 'failed', 'cancelled'];
+const DEFAULT_INTERVIEW_MINUTES = 60;
+const MAX_INTERVIEW_MINUTES = 24 * 60;
+
+/**
+ * Checks an interview round and returns it in its stored shape:
+ * { id, job_id, round, scheduled_at (ISO date-time or null), duration_minutes,
+ *   format, location, interviewer_ids: [person ids], outcome, feedback, created_at }.
+ * Throws INVALID_ARGUMENT naming the first bad field.
+ */
+function toInterview(interview) {
+    const round = String(interview.round ?? '').trim();
+    if (!round) throw new DataError('INVALID_ARGUMENT', 'Give the interview round a name.');
+    if (!Number.isInteger(interview.job_id)) throw new DataError('INVALID_ARGUMENT', 'An interview must belong to a job.');
+
+    let scheduledAt = null;
+    if (interview.scheduled_at) {
+        const date = new Date(interview.scheduled_at);
+        if (isNaN(date)) throw new DataError('INVALID_ARGUMENT', `Interview time "${interview.scheduled_at}" is not valid.`);
+        scheduledAt = date.toISOString();
+    }
+    const duration = interview.duration_minutes ?? DEFAULT_INTERVIEW_MINUTES;
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_INTERVIEW_MINUTES) {
+        throw new DataError('INVALID_ARGUMENT', `Interview length must be a whole number from 1 to ${MAX_INTERVIEW_MINUTES} minutes.`);
+    }
+    const format = interview.format || 'video';
+    if (!INTERVIEW_FORMATS.includes(format)) throw new DataError('INVALID_ARGUMENT', `Interview format must be one of: ${INTERVIEW_FORMATS.join(', ')}.`);
+    const outcome = interview.outcome || 'pending';
+    if (!INTERVIEW_OUTCOMES.includes(outcome)) throw new DataError('INVALID_ARGUMENT', `Interview outcome must be one of: ${INTERVIEW_OUTCOMES.join(', ')}.`);
+    const interviewerIds = [...new Set(interview.interviewer_ids || [])];
+    if (!interviewerIds.every(Number.isInteger)) throw new DataError('INVALID_ARGUMENT', 'Interviewers must be contact ids.');
+
+    return {
+        ...(Number.isInteger(interview.id) ? { id: interview.id } : {}),
+        job_id: interview.job_id,
+        round,
+        scheduled_at: scheduledAt,
+        duration_minutes: duration,
+        format,
+        location: String(interview.location ?? '').trim(),
+        interviewer_ids: interviewerIds,
+        outcome,
+        feedback: String(interview.feedback ?? ''),
+        created_at: interview.created_at || new Date().toISOString()
+    };
+}
+
+// Adds or replaces an interview after checking its job and interviewers exist
+async function saveInterview(interview) {
+    const record = toInterview(interview);
+    const transaction = openTransaction(['interviews', 'jobs', 'people'], 'readwrite');
+    const done = transactionDone(transaction);
+    const exists = async (storeName, key) => await promisifyRequest(transaction.objectStore(storeName).count(key)) > 0;
+
+    let missing = null;
+    if (!await exists('jobs', record.job_id)) missing = 'Job not found.';
+    else if (record.id !== undefined && !await exists('interviews', record.id)) missing = 'Interview not found.';
+    else {
+        for (const personId of record.interviewer_ids) {
+            if (!await exists('people', personId)) missing = 'Interviewer not found.';
+        }
+    }
+    if (missing) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw new DataError('NOT_FOUND', missing);
+    }
+    const id = await promisifyRequest(transaction.objectStore('interviews').put(record));
+    await done;
+    return id;
+}
+
+/**
+ * Adds an interview round (see toInterview). Returns its id.
+ */
+async function addInterview(interview) {
+    const { id, ...round } = interview;
+    return await saveInterview(round);
+}
+
+/**
+ * Replaces an existing interview round.
+ */
+async function updateInterview(interview) {
+    if (!Number.isInteger(interview.id)) throw new DataError('INVALID_ARGUMENT', 'Interview id is required.');
+    await saveInterview(interview);
+}
+
+async function deleteInterview(id) {
+    return await deleteItem('interviews', id);
+}
+
+/**
+ * Returns interview rounds, scheduled ones by time and unscheduled ones
+ * last. Narrow to one job with `jobId`, or to rounds starting in
+ * [`from`, `to`) (ISO date-times; unscheduled rounds are then left out).
+ * Each round has `job` (with company_name) and `interviewers` (the
+ * contacts still on file) joined.
+ */
+async function getInterviews({ jobId = null, from = null, to = null } = {}) {
+    const transaction = openTransaction(['interviews', 'jobs', 'companies', 'people'], 'readonly');
+    const store = transaction.objectStore('interviews');
+    let interviews;
+    if (jobId !== null) {
+        interviews = await promisifyRequest(store.index('job_id').getAll(jobId));
+    } else if (from !== null || to !== null) {
+        const range = from !== null && to !== null ? IDBKeyRange.bound(from, to, false, true)
+            : from !== null ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to, true);
+        interviews = await promisifyRequest(store.index('scheduled_at').getAll(range));
+    } else {
+        interviews = await promisifyRequest(store.getAll());
+    }
+    if (jobId !== null && (from !== null || to !== null)) {
+        interviews = interviews.filter(i => i.scheduled_at && (from === null || i.scheduled_at >= from) && (to === null || i.scheduled_at < to));
+    }
+
+    const get = (storeName, key) => promisifyRequest(transaction.objectStore(storeName).get(key));
+    const joined = [];
+    for (const interview of interviews) {
+        const job = await get('jobs', interview.job_id);
+        const company = typeof job?.company_id === 'number' ? await get('companies', job.company_id) : null;
+        const interviewers = (await Promise.all((interview.interviewer_ids || []).map(id => get('people', id)))).filter(Boolean);
+        joined.push({ ...interview, job: job ? { ...job, company_name: company?.name || null } : null, interviewers });
+    }
+    return joined.sort((a, b) => (a.scheduled_at === null) - (b.scheduled_at === null)
+        || (a.scheduled_at || '').localeCompare(b.scheduled_at || '') || a.id - b.id);
+}
+
+const ICS_ENCODER = new TextEncoder();
+
+// Escapes an iCalendar TEXT value (RFC 5545 3.3.11)
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// UTC date-time form, e.g. 20240105T093000Z
+function icsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines over 75 octets continue on the next line after a space
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = ICS_ENCODER.encode(char).length;
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Builds an iCalendar file with one event per scheduled round, from rounds
+ * joined as getInterviews returns them. Cancelled rounds are exported as
+ * cancelled events, so re-importing the file removes them from a calendar.
+ */
+function interviewsToICS(interviews, now = new Date()) {
+    const personName = person => [person.first_name, person.last_name].filter(Boolean).join(' ');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//CareerJAM//Interviews//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    interviews.filter(interview => interview.scheduled_at).forEach(interview => {
+        const start = new Date(interview.scheduled_at);
+        const end = new Date(start.getTime() + interview.duration_minutes * 60000);
+        const job = interview.job || {};
+        const company = job.company_name ? ` at ${job.company_name}` : '';
+        const description = [
+            `Format: ${interview.format}`,
+            interview.interviewers?.length && `Interviewers: ${interview.interviewers.map(p => [personName(p), p.job_title].filter(Boolean).join(', ')).join('; ')}`,
+            interview.outcome !== 'pending' && `Outcome: ${interview.outcome}`,
+            interview.feedback && `Notes: ${interview.feedback}`,
+            job.url && `Posting: ${job.url}`
+        ].filter(Boolean).join('\n');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:interview-${interview.id}@careerjam`,
+            `DTSTAMP:${icsDateTime(now)}`,
+            `DTSTART:${icsDateTime(start)}`,
+            `DTEND:${icsDateTime(end)}`,
+            `SUMMARY:${icsText(`${interview.round}: ${job.title || 'Interview'}${company}`)}`,
+            ...(interview.location ? [`LOCATION:${icsText(interview.location)}`] : []),
+            `DESCRIPTION:${icsText(description)}`,
+            `STATUS:${interview.outcome === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Exports the scheduled rounds of one job (or of all jobs, with no
+ * `jobId`) as an .ics calendar string.
+ */
+async function exportInterviewsICS({ jobId = null } = {}) {
+    return interviewsToICS(await getInterviews({ jobId }));
+}
+
+
+// --- Calendar ---
+
+const CALENDAR_ITEM_ORDER = ['saved', 'applied', 'interview', 'due'];
+
+/**
+ * Collects the dated items of the job search from `from` to `to`
+ * ('YYYY-MM-DD', inclusive, local time), in date order:
+ * { type: 'saved'|'applied'|'interview'|'due', date, job, field?, interview? }.
+ * A job's application date is its first entry into the stage marked
+ * `applied` (see getStages). Due dates carry their `field` (see DUE_DATE_FIELDS) and are left out for
+ * jobs in terminal stages, as in getDueDates; interview rounds carry the
+ * round as getInterviews returns it. Each `job` has company_name joined.
+ */
+async function getCalendarItems({ from, to }) {
+    if (!isDateKey(from) || !isDateKey(to)) throw new DataError('INVALID_ARGUMENT', 'Calendar range must be two YYYY-MM-DD dates.');
+    const transaction = openTransaction(['jobs', 'companies', 'stages', 'status_history'], 'readonly');
+    const getAll = storeName => promisifyRequest(transaction.objectStore(storeName).getAll());
+    const [jobs, companies, stages, history] = [await getAll('jobs'), await getAll('companies'), await getAll('stages'), await getAll('status_history')];
+    const companyNames = new Map(companies.map(c => [c.id, c.name]));
+    const terminal = new Set(stages.filter(stage => stage.kind === 'terminal').map(stage => stage.name));
+    const appliedStage = stages.find(stage => stage.applied)?.name;
+    const inRange = date => date >= from && date <= to;
+
+    const appliedAt = new Map();
+    history.filter(entry => entry.to_status === appliedStage).forEach(entry => {
+        if (!appliedAt.has(entry.job_id) || entry.changed_at < appliedAt.get(entry.job_id)) appliedAt.set(entry.job_id, entry.changed_at);
+    });
+
+    const items = [];
+    const jobsById = new Map();
+    jobs.forEach(record => {
+        const job = { ...record, company_name: companyNames.get(record.company_id) || null };
+        jobsById.set(job.id, job);
+        const saved = job.created_at && localDateKey(new Date(job.created_at));
+        if (saved && inRange(saved)) items.push({ type: 'saved', date: saved, job });
+        const applied = appliedAt.has(job.id) && localDateKey(new Date(appliedAt.get(job.id)));
+        if (applied && inRange(applied)) items.push({ type: 'applied', date: applied, job });
+        if (!terminal.has(job.status)) {
+            DUE_DATE_FIELDS.filter(field => isDateKey(job[field]) && inRange(job[field]))
+                .forEach(field => items.push({ type: 'due', date: job[field], job, field }));
+        }
+    });
+
+    const interviews = await getInterviews({
+        from: new Date(`${from}T00:00:00`).toISOString(),
+        to: new Date(`${addDays(to, 1)}T00:00:00`).toISOString()
+    });
+    interviews.filter(interview => jobsById.has(interview.job_id)).forEach(interview => {
+        items.push({ type: 'interview', date: localDateKey(new Date(interview.scheduled_at)), job: jobsById.get(interview.job_id), interview });
+    });
+
+    return items.sort((a, b) => a.date.localeCompare(b.date)
+        || CALENDAR_ITEM_ORDER.indexOf(a.type) - CALENDAR_ITEM_ORDER.indexOf(b.type)
+        || (a.interview?.scheduled_at || '').localeCompare(b.interview?.scheduled_at || '')
+        || a.job.id - b.job.id);
+}
+
+
+// --- Pipeline Analytics ---
+
+/**
+ * Computes dashboard statistics from plain store contents (see
+ * getPipelineStats). Stages are read as a funnel: the active stages in
+ * order, ended by the terminal stage placed right after the last of them
+ * (Accepted by default). A job reached every funnel stage up to the
+ * furthest one it has been in. It counts as applied once it reached the
+ * stage marked `applied`, and as responded to once it then moved further
+ * along the funnel or ended in a terminal stage marked `reply`. With no
+ * applied stage in the funnel, no job counts as applied.
+ */
+function computePipelineStats({ jobs, history, stages, companies, profiles }, { weeks = 12, now = new Date() } = {}) {
+    const ordered = [...stages].filter(stage => !stage.retired).sort((a, b) => a.order - b.order);
+    const active = ordered.filter(stage => stage.kind === 'active');
+    const outcome = active.length > 0 && ordered.find(stage => stage.kind === 'terminal' && stage.order > active.at(-1).order);
+    const funnel = outcome ? [...active, outcome] : active;
+    const funnelIndex = new Map(funnel.map((stage, index) => [stage.name, index]));
+    const appliedIndex = funnel.findIndex(stage => stage.applied);
+    const replies = new Set(stages.filter(stage => stage.kind === 'terminal' && stage.reply).map(stage => stage.name));
+    const stageColors = new Map(stages.map(stage => [stage.name, stage.color]));
+
+    const historyByJob = new Map();
+    // Undated entries (none are written now, but old data may hold them) sort first and time nothing
+    [...history].sort((a, b) => (a.changed_at || '').localeCompare(b.changed_at || '')).forEach(entry => {
+        if (!historyByJob.has(entry.job_id)) historyByJob.set(entry.job_id, []);
+        historyByJob.get(entry.job_id).push(entry);
+    });
+
+    // Weekly buckets, oldest first, ending with the current week
+    const thisWeek = startOfWeek(localDateKey(now));
+    const weekly = Array.from({ length: weeks }, (_, i) => ({ week: addDays(thisWeek, (i - weeks + 1) * 7), applied: 0 }));
+    const weekSlots = new Map(weekly.map(slot => [slot.week, slot]));
+
+    const reachedCounts = funnel.map(() => 0);
+    const groups = { profiles: new Map(), companies: new Map() };
+    const stays = new Map();
+    const matchOutcomes = [];
+    const totals = { jobs: jobs.length, applied: 0, responded: 0 };
+    const countIn = (map, id, responded) => {
+        const group = map.get(id) || { applied: 0, responded: 0 };
+        group.applied++;
+        if (responded) group.responded++;
+        map.set(id, group);
+    };
+
+    jobs.forEach(job => {
+        const entries = historyByJob.get(job.id) || [];
+        const reached = Math.max(-1, ...[...entries.map(entry => entry.to_status), job.status].map(name => funnelIndex.get(name) ?? -1));
+        for (let i = 0; i <= reached; i++) reachedCounts[i]++;
+
+        if (appliedIndex >= 0 && reached >= appliedIndex) {
+            const responded = reached > appliedIndex || replies.has(job.status);
+            totals.applied++;
+            if (responded) totals.responded++;
+            countIn(groups.profiles, job.profile_id ?? null, responded);
+            countIn(groups.companies, job.company_id ?? null, responded);
+            const appliedEntry = entries.find(entry => (funnelIndex.get(entry.to_status) ?? -1) >= appliedIndex);
+            const slot = appliedEntry?.changed_at && weekSlots.get(startOfWeek(localDateKey(new Date(appliedEntry.changed_at))));
+            if (slot) slot.applied++;
+        }
+
+        // A stay ends at the next transition; the current one is still running
+        entries.slice(0, -1).forEach((entry, i) => {
+            if (!entry.changed_at || !entries[i + 1].changed_at) return;
+            const stay = stays.get(entry.to_status) || { total: 0, count: 0 };
+            stay.total += new Date(entries[i + 1].changed_at) - new Date(entry.changed_at);
+            stay.count++;
+            stays.set(entry.to_status, stay);
+        });
+
+        if (typeof job.match_percentage === 'number') {
+            matchOutcomes.push({ job_id: job.id, title: job.title, match: job.match_percentage, reached: funnel[reached]?.name ?? null, status: job.status });
+        }
+    });
+
+    const names = {
+        profiles: new Map(profiles.map(p => [p.id, p.name])),
+        companies: new Map(companies.map(c => [c.id, c.name]))
+    };
+    const answerRates = storeName => [...groups[storeName]].map(([id, group]) => ({
+        id,
+        name: id === null ? null : names[storeName].get(id) ?? null,
+        applied: group.applied,
+        responded: group.responded,
+        rate: group.responded / group.applied
+    })).sort((a, b) => b.applied - a.applied || b.rate - a.rate);
+
+    return {
+        totals,
+        appliedStage: funnel[appliedIndex]?.name ?? null,
+        funnel: funnel.map((stage, i) => ({
+            stage: stage.name,
+            color: stage.color,
+            reached: reachedCounts[i],
+            conversion: i === 0 || reachedCounts[i - 1] === 0 ? null : reachedCounts[i] / reachedCounts[i - 1]
+        })),
+        weekly,
+        byProfile: answerRates('profiles'),
+        byCompany: answerRates('companies'),
+        stageDurations: ordered.filter(stage => stays.has(stage.name)).map(stage => ({
+            stage: stage.name,
+            color: stageColors.get(stage.name),
+            average: stays.get(stage.name).total / stays.get(stage.name).count,
+            stays: stays.get(stage.name).count
+        })),
+        matchOutcomes
+    };
+}
+
+/**
+ * Returns the dashboard statistics, computed locally from every job and
+ * status change:
+ * { totals: { jobs, applied, responded },
+ *   appliedStage (name of the funnel stage marked applied, or null),
+ *   funnel: [{ stage, color, reached, conversion (from the previous step, 0-1, or null) }],
+ *   weekly: [{ week (its Monday, 'YYYY-MM-DD'), applied }] for the last `weeks` weeks,
+ *   byProfile / byCompany: [{ id (null for none), name, applied, responded, rate }],
+ *   stageDurations: [{ stage, color, average (ms), stays }] over finished stays,
+ *   matchOutcomes: [{ job_id, title, match, reached (furthest funnel stage), status }] }
+ */
+async function getPipelineStats({ weeks = 12, now = new Date() } = {}) {
+    const transaction = openTransaction(['jobs', 'status_history', 'stages', 'companies', 'profiles'], 'readonly');
+    const getAll = storeName => promisifyRequest(transaction.objectStore(storeName).getAll());
+    return computePipelineStats({
+        jobs: await getAll('jobs'),
+        history: await getAll('status_history'),
+        stages: await getAll('stages'),
+        companies: await getAll('companies'),
+        profiles: await getAll('profiles')
+    }, { weeks, now });
+}
+
+// --- Attachments ---
+
+// The field that links an attachment to its record, per owning store
+const ATTACHMENT_OWNERS = { jobs: 'job_id', profiles: 'profile_id', companies: 'company_id' };
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Accepted files by extension. Browsers leave File.type empty for some
+// files, so the extension decides when the type is missing or unknown.
+const ATTACHMENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+function attachmentType(name, type) {
+    if (Object.values(ATTACHMENT_TYPES).includes(type)) return type;
+    const extension = (name.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+    return ATTACHMENT_TYPES[extension] || null;
+}
+
+// Returns [ownerStore, field] for the record an attachment belongs to
+function attachmentOwner(attachment) {
+    return Object.entries(ATTACHMENT_OWNERS).find(([, field]) => attachment[field] !== undefined && attachment[field] !== null) || [null, null];
+}
+
+/**
+ * Stores a file against a job, profile or company. `file` is a File or
+ * Blob; `name` defaults to the File's name. Only PDF, DOCX and common
+ * image files up to MAX_ATTACHMENT_BYTES are accepted.
+ * Returns the new attachment's id.
+ */
+async function addAttachment(ownerStore, ownerId, file, name = file.name) {
+    const field = ATTACHMENT_OWNERS[ownerStore];
+    if (!field) throw new DataError('INVALID_ARGUMENT', `Files can't be attached to ${ownerStore}.`);
+    const fileName = (name || '').trim();
+    if (!fileName) throw new DataError('INVALID_ARGUMENT', 'Attachments need a file name.');
+    const type = attachmentType(fileName, file.type);
+    if (!type) throw new DataError('INVALID_ARGUMENT', `"${fileName}" is not a PDF, DOCX or image file.`);
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        throw new DataError('INVALID_ARGUMENT', `"${fileName}" is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB.`);
+    }
+
+    const transaction = openTransaction([ownerStore, 'attachments'], 'readwrite');
+    const done = transactionDone(transaction);
+    if (await promisifyRequest(transaction.objectStore(ownerStore).count(ownerId)) === 0) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw new DataError('NOT_FOUND', `Can't attach "${fileName}": the ${JOURNAL_NOUNS[ownerStore][0]} no longer exists.`);
+    }
+    const id = await promisifyRequest(transaction.objectStore('attachments').add({
+        [field]: ownerId,
+        name: fileName,
+        type,
+        size: file.size,
+        blob: new Blob([file], { type }), // Re-typed so a preview never trusts the file's own type
+        created_at: new Date().toISOString()
+    }));
+    await done;
+    return id;
+}
+
+async function getAttachment(id) {
+    return await getItem('attachments', id);
+}
+
+/**
+ * Gets a job's, profile's or company's attachments, oldest first.
+ * Each carries its file as `blob`.
+ */
+async function getAttachments(ownerStore, ownerId) {
+    const field = ATTACHMENT_OWNERS[ownerStore];
+    if (!field) throw new DataError('INVALID_ARGUMENT', `Files can't be attached to ${ownerStore}.`);
+    const transaction = openTransaction('attachments', 'readonly');
+    const attachments = await promisifyRequest(transaction.objectStore('attachments').index(field).getAll(ownerId));
+    return attachments.sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+}
+
+async function deleteAttachment(id) {
+    return await deleteItem('attachments', id);
+}
+
+/**
+ * Deletes a profile's or company's attachments inside a readwrite
+ * transaction that includes 'attachments'. Jobs use deleteJobChildren.
+ */
+function deleteAttachmentsOf(transaction, ownerStore, ownerId) {
+    const store = transaction.objectStore('attachments');
+    store.index(ATTACHMENT_OWNERS[ownerStore]).openKeyCursor(IDBKeyRange.only(ownerId)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        }
+    };
+}
+
+/**
+ * Totals the stored attachments and asks the browser how much of its
+ * storage quota this site uses. `usage` and `quota` are in bytes, or
+ * null where the browser can't estimate them.
+ * Returns { attachments: { count, bytes }, usage, quota }.
+ */
+async function getStorageUsage() {
+    const transaction = openTransaction('attachments', 'readonly');
+    const sizes = [];
+    await forEachRecord(transaction, 'attachments', attachment => { sizes.push(attachment.size); });
+    const estimate = typeof navigator !== 'undefined' && navigator.storage?.estimate
+        ? await navigator.storage.estimate().catch(() => ({}))
+        : {};
+    return {
+        attachments: { count: sizes.length, bytes: sizes.reduce((sum, size) => sum + size, 0) },
+        usage: estimate.usage ?? null,
+        quota: estimate.quota ?? null
+    };
+}
+
+/**
+ * Deletes attachments whose job, profile or company is gone, inside a
+ * readwrite transaction that includes 'attachments' and those stores.
+ */
+async function pruneOrphanAttachments(transaction) {
+    const store = transaction.objectStore('attachments');
+    for (const attachment of await promisifyRequest(store.getAll())) {
+        const [ownerStore, field] = attachmentOwner(attachment);
+        const exists = ownerStore && await promisifyRequest(transaction.objectStore(ownerStore).count(attachment[field])) > 0;
+        if (!exists) store.delete(attachment.id);
+    }
+}
+
+// Backups carry the file as base64 `data` in place of the Blob
+async function attachmentToBackup({ blob, ...attachment }) {
+    return { ...attachment, data: bytesToBase64(new Uint8Array(await blob.arrayBuffer())) };
+}
+
+function attachmentFromBackup({ data, ...attachment }) {
+    const bytes = base64ToBytes(data);
+    const type = attachmentType(attachment.name, attachment.type) || 'application/octet-stream';
+    return { ...attachment, type, size: bytes.length, blob: new Blob([bytes], { type }) };
+}
+
+
+// --- Search ---
+
+// Fields each store contributes to the search index
+const SEARCH_FIELDS = {
+    jobs: ['title', 'description', 'notes', 'location', 'tags'],
+    companies: ['name', 'industry', 'location', 'notes'],
+    people: ['first_name', 'last_name', 'job_title', 'company_name', 'email', 'notes'],
+    profiles: ['name', 'content', 'notes']
+};
+
+const SEARCH_STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'we', 'you', 'our', 'will']);
+
+/**
+ * Splits text into lowercase, accent-free search terms.
+ */
+function tokenize(text) {
+    return (text || '')
+        .toString()
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}+#]+/u) // Keep "c++" and "c#" searchable
+        .filter(term => term.length > 1 && !SEARCH_STOP_WORDS.has(term));
+}
+
+// Store list for a write that must also keep the search index current
+function withSearchStore(storeName) {
+    return SEARCH_FIELDS[storeName] ? [storeName, 'search_index'] : storeName;
+}
+
+/**
+ * (Re)indexes a record inside `transaction`, which must include
+ * search_index. Each record is one entry whose multiEntry `terms` index
+ * acts as the inverted index.
+ */
+function indexRecord(transaction, storeName, record) {
+    const fields = SEARCH_FIELDS[storeName];
+    if (!fields || typeof record.id !== 'number') return;
+    const terms = new Set(fields.flatMap(field => tokenize(record[field])));
+    // Text-like custom field values are searchable too
+    Object.values(record.custom || {}).forEach(value => {
+        if (typeof value === 'string') tokenize(value).forEach(term => terms.add(term));
+    });
+    transaction.objectStore('search_index').put({
+        ref: `${storeName}:${record.id}`,
+        entity: storeName,
+        entity_id: record.id,
+        terms: [...terms]
+    });
+}
+
+function unindexRecord(transaction, storeName, id) {
+    if (!SEARCH_FIELDS[storeName]) return;
+    transaction.objectStore('search_index').delete(`${storeName}:${id}`);
+}
+
+/**
+ * Searches jobs, companies, people and profiles. Every query word must
+ * match the start of a term; exact term matches rank higher.
+ * Returns { jobs, companies, people, profiles }, each a list of records.
+ */
+async function searchAll(query, { limit = 8 } = {}) {
+    const results = { jobs: [], companies: [], people: [], profiles: [] };
+    const words = [...new Set(tokenize(query))];
+    if (words.length === 0) return results;
+
+    const stores = ['search_index', ...Object.keys(SEARCH_FIELDS)];
+    const transaction = openTransaction(stores, 'readonly');
+    const searchStore = transaction.objectStore('search_index');
+
+    // Intersect the refs matching each word by prefix
+    let refs = null;
+    for (const word of words) {
+        const range = IDBKeyRange.bound(word, word + '\uffff');
+        const matches = new Set(await promisifyRequest(searchStore.index('terms').getAllKeys(range)));
+        refs = refs ? new Set([...refs].filter(ref => matches.has(ref))) : matches;
+        if (refs.size === 0) return results;
+    }
+
+    const scored = [];
+    for (const ref of refs) {
+        const entry = await promisifyRequest(searchStore.get(ref));
+        const score = words.reduce((sum, word) => sum + (entry.terms.includes(word) ? 2 : 1), 0);
+        scored.push({ entry, score });
+    }
+    scored.sort((a, b) => b.score - a.score || b.entry.entity_id - a.entry.entity_id);
+
+    for (const { entry } of scored) {
+        if (results[entry.entity].length >= limit) continue;
+        const record = await promisifyRequest(transaction.objectStore(entry.entity).get(entry.entity_id));
+        if (record) results[entry.entity].push(record);
+    }
+    return results;
 }
 
 // --- Backup & Restore ---
 
+// Stores included in backups, in parent-before-child order.
+// Attachments are only exported on request, since files make backups large.
+const BACKUP_STORES = ['settings', 'stages', 'custom_fields', 'companies', 'profiles', 'people', 'jobs', 'status_history', 'interviews', 'attachments'];
+
+/**
+ * Exports all database stores to a JSON string, with attachments (as
+ * base64) only when `includeAttachments` is set.
+ * Stores missing from an older schema version are skipped.
+ */
+async function exportDB({ includeAttachments = false } = {}) {
+    const stores = BACKUP_STORES.filter(name => db.objectStoreNames.contains(name) && (includeAttachments || name !== 'attachments'));
+    const exportData = {};
+
+    const transaction = openTransaction(stores, 'readonly');
+
+    for (const storeName of stores) {
+        exportData[storeName] = await new Promise((resolve, reject) => {
+            const request = transaction.objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => reject(toDataError(event.target.error));
+        });
+    }
+    if (exportData.attachments) {
+        exportData.attachments = await Promise.all(exportData.attachments.map(attachmentToBackup));
+    }
+
+    return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Imports data from a JSON string, clearing existing data. A backup
+ * without attachments keeps the current files of the jobs, profiles and
+ * companies it restores; `attachments` (stored records with their blobs,
+ * see restoreSnapshot) replaces the backup's own.
+ * Throws before touching the database if the backup fails validation.
+ */
+async function importDB(jsonString, { attachments = null } = {}) {
+    const data = parseBackup(jsonString);
+    const stores = BACKUP_STORES;
+    const pay = data.settings?.find(setting => setting.key === 'pay') || paySettings;
+    if (attachments) data.attachments = attachments;
+    else if (data.attachments) data.attachments = data.attachments.map(attachmentFromBackup);
+
+    // Jobs sort by the names of their linked company/profile
+    const companyNames = new Map((data.companies || []).map(c => [c.id, c.name]));
+    const profileNames = new Map((data.profiles || []).map(p => [p.id, p.name]));
+    (data.jobs || []).forEach(job => {
+        withSortKeys(job, pay);
+        job.sort_company = nameSortKey(companyNames.get(job.company_id));
+        job.sort_profile = nameSortKey(profileNames.get(job.profile_id));
+    });
+
+    // A restore replaces everything, so earlier changes can no longer be undone
+    const transaction = openTransaction([...stores, 'search_index'], 'readwrite', { journal: false });
+    const done = transactionDone(transaction);
+    done.catch(() => {}); // Awaited below; a write may fail while later ones are still being queued
+    clearJournal();
+
+    try {
+        for (const storeName of stores) {
+            // Backups from before custom stages or settings keep the current ones
+            if ((storeName === 'stages' || storeName === 'settings') && !data[storeName]) continue;
+            if (storeName === 'attachments' && !data.attachments) {
+                await pruneOrphanAttachments(transaction);
+                continue;
+            }
+
+            await new Promise((resolve, reject) => {
+                const request = transaction.objectStore(storeName).clear();
+                request.onsuccess = () => resolve();
+                request.onerror = (event) => reject(toDataError(event.target.error));
+            });
+
+            if (data[storeName]) {
+                for (const item of data[storeName]) {
+                    await new Promise((resolve, reject) => {
+                        // Remove 'id' if it's null/undefined to allow autoIncrement
+                        if (item.id === null || typeof item.id === 'undefined') {
+                            delete item.id;
+                        }
+                        const request = transaction.objectStore(storeName).add(item);
+                        request.onsuccess = () => resolve();
+                        request.onerror = (event) => {
+                            // Log error but don't stop import
+                            console.warn(`Failed to import item into ${storeName}:`, event.target.error, item);
+                            event.preventDefault(); // Keep the transaction alive
+                            resolve();
+                        };
+                    });
+                }
+            }
+        }
+
+        await ensureStagesForStatuses(transaction, (data.jobs || []).map(job => job.status));
+        await rebuildSearchIndex(transaction);
+    } catch (err) {
+        if (transaction.error) throw toDataError(transaction.error); // A failed write aborted it already
+        transaction.abort();
+        await done.catch(() => {});
+        throw toDataError(err);
+    }
+    // Report success only once the restore is on disk
+    await done;
+    paySettings = pay;
+}
+
+/**
+ * Re-creates every search_index entry inside a readwrite transaction that
+ * includes search_index and all SEARCH_FIELDS stores.
+ */
+async function rebuildSearchIndex(transaction) {
+    await promisifyRequest(transaction.objectStore('search_index').clear());
+    for (const storeName of Object.keys(SEARCH_FIELDS)) {
+        const records = await promisifyRequest(transaction.objectStore(storeName).getAll());
+        records.forEach(record => indexRecord(transaction, storeName, record));
+    }
+}
+
+// --- Encrypted Backups ---
+
+const ENCRYPTED_BACKUP_FORMAT = 'careerjam-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 600000; // OWASP guidance for PBKDF2-HMAC-SHA256
+// Iteration counts a backup may ask for: fewer is too weak to trust, more
+// would keep the browser busy for minutes before the passphrase is checked
+const MIN_BACKUP_KDF_ITERATIONS = 100000;
+const MAX_BACKUP_KDF_ITERATIONS = 10000000;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveBackupKey(passphrase, kdf, usage) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [usage]
+    );
+}
+
+// The format header is authenticated so it cannot be swapped undetected
+function envelopeAdditionalData(envelope) {
+    return new TextEncoder().encode(JSON.stringify([envelope.format, envelope.version, envelope.kdf, envelope.cipher.name]));
+}
+
 /**
- * Exports all database stores to a JSON string.
+ * Encrypts a backup JSON string with a passphrase (PBKDF2 + AES-GCM).
+ * Returns a self-describing JSON envelope:
+ * { format, version, created_at, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+ * with salt, iv and data base64-encoded.
  */
-export async function exportDB() {
-    const stores = ['companies', 'profiles', 'people', 'jobs'];
-    const exportData = {};
+async function encryptBackup(jsonString, passphrase) {
+    if (!passphrase) throw new DataError('INVALID_ARGUMENT', 'A passphrase is required to encrypt a backup.');
+    const envelope = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENCRYPTED_BACKUP_VERSION,
+        created_at: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(crypto.getRandomValues(new Uint8Array(12))) }
+    };
+    const key = await deriveBackupKey(passphrase, envelope.kdf, 'encrypt');
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv), additionalData: envelopeAdditionalData(envelope) },
+        key,
+        new TextEncoder().encode(jsonString)
+    );
+    envelope.data = bytesToBase64(new Uint8Array(ciphertext));
+    return JSON.stringify(envelope, null, 2);
+}
 
-    const transaction = db.transaction(stores, 'readonly');
+/**
+ * Returns the parsed envelope if `jsonString` is an encrypted backup, else null.
+ */
+function parseEncryptedBackup(jsonString) {
+    try {
+        const envelope = JSON.parse(jsonString);
+        return envelope && envelope.format === ENCRYPTED_BACKUP_FORMAT ? envelope : null;
+    } catch {
+        return null;
+    }
+}
 
-    for (const storeName of stores) {
-        exportData[storeName] = await new Promise((resolve, reject) => {
-            const request = transaction.objectStore(storeName).getAll();
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = (event) => reject(event.target.error);
+/**
+ * Decrypts an encrypted backup envelope back to the backup JSON string.
+ * Throws if the envelope is unsupported or the passphrase is wrong.
+ */
+async function decryptBackup(envelopeString, passphrase) {
+    const envelope = parseEncryptedBackup(envelopeString);
+    if (!envelope) throw new DataError('INVALID_BACKUP', 'File is not an encrypted CareerJAM backup.');
+    if (envelope.version > ENCRYPTED_BACKUP_VERSION) {
+        throw new DataError('INVALID_BACKUP', `Encrypted backup version ${envelope.version} is newer than this app supports.`);
+    }
+    const { kdf, cipher } = envelope;
+    if (kdf?.name !== 'PBKDF2' || cipher?.name !== 'AES-GCM' || !kdf.salt || !cipher.iv || !envelope.data) {
+        throw new DataError('INVALID_BACKUP', 'Encrypted backup is missing or has unsupported encryption parameters.');
+    }
+    if (kdf.hash !== 'SHA-256' || !Number.isInteger(kdf.iterations)
+        || kdf.iterations < MIN_BACKUP_KDF_ITERATIONS || kdf.iterations > MAX_BACKUP_KDF_ITERATIONS) {
+        throw new DataError('INVALID_BACKUP', 'Encrypted backup has unsupported key derivation settings.');
+    }
+
+    const key = await deriveBackupKey(passphrase, kdf, 'decrypt');
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(cipher.iv), additionalData: envelopeAdditionalData(envelope) },
+            key,
+            base64ToBytes(envelope.data)
+        );
+        return new TextDecoder().decode(plaintext);
+    } catch {
+        throw new DataError('DECRYPT_FAILED', 'Wrong passphrase, or the backup file is damaged.');
+    }
+}
+
+/**
+ * Parses and validates a backup JSON string. Jobs from backups made
+ * before structured compensation get their LPA salary converted,
+ * stages from before the applied/reply markers get the default ones,
+ * and interviews without interviewers get an empty interviewer_ids.
+ * Throws an INVALID_BACKUP DataError whose `details` lists every problem found.
+ */
+function parseBackup(jsonString) {
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (err) {
+        throw new DataError('INVALID_BACKUP', `Backup is not valid JSON: ${err.message}`, { details: [err.message] });
+    }
+    const errors = validateBackup(data);
+    if (errors.length > 0) {
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        throw new DataError('INVALID_BACKUP', `Invalid backup: ${errors[0]}${more}`, { details: errors });
+    }
+    (data.jobs || []).forEach(upgradeLegacySalary);
+    (data.stages || []).forEach(withStageMarkers);
+    (data.interviews || []).forEach(interview => {
+        if (!Array.isArray(interview.interviewer_ids)) interview.interviewer_ids = [];
+    });
+    return data;
+}
+
+// Fields every record of a store must carry in a backup. All but the
+// foreign keys (BACKUP_FOREIGN_KEYS) must be text.
+const BACKUP_REQUIRED_FIELDS = {
+    settings: ['key'],
+    stages: ['name'],
+    custom_fields: ['entity', 'label', 'type'],
+    companies: ['name'],
+    profiles: ['name'],
+    people: [],
+    jobs: ['title', 'status'],
+    status_history: ['job_id', 'to_status', 'changed_at'],
+    interviews: ['job_id', 'round'],
+    attachments: ['name', 'data']
+};
+
+// Foreign keys checked against the ids present in the same backup
+const BACKUP_FOREIGN_KEYS = {
+    jobs: { company_id: 'companies', profile_id: 'profiles' },
+    status_history: { job_id: 'jobs' },
+    interviews: { job_id: 'jobs' },
+    attachments: { job_id: 'jobs', profile_id: 'profiles', company_id: 'companies' }
+};
+
+/**
+ * Checks the shape of parsed backup data.
+ * Returns a list of human-readable problems; empty when the backup is usable.
+ */
+function validateBackup(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Backup must be a JSON object keyed by store name.'];
+    }
+    const errors = [];
+    const present = BACKUP_STORES.filter(name => name in data);
+    if (present.length === 0) {
+        return [`Backup contains none of the expected stores (${BACKUP_STORES.join(', ')}).`];
+    }
+
+    const ids = {};
+    for (const storeName of present) {
+        const records = data[storeName];
+        if (!Array.isArray(records)) {
+            errors.push(`"${storeName}" must be an array.`);
+            continue;
+        }
+        ids[storeName] = new Set();
+        records.forEach((record, index) => {
+            const label = `${storeName}[${index}]`;
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                errors.push(`${label} is not an object.`);
+                return;
+            }
+            if (record.id !== undefined && record.id !== null) {
+                if (!Number.isInteger(record.id)) errors.push(`${label} has a non-integer id.`);
+                else if (ids[storeName].has(record.id)) errors.push(`${label} repeats id ${record.id}.`);
+                else ids[storeName].add(record.id);
+            }
+            BACKUP_REQUIRED_FIELDS[storeName].forEach(field => {
+                const value = record[field];
+                if (value === undefined || value === null || value === '') errors.push(`${label} is missing "${field}".`);
+                else if (!BACKUP_FOREIGN_KEYS[storeName]?.[field] && typeof value !== 'string') errors.push(`${label}.${field} must be text.`);
+            });
         });
     }
 
-    return JSON.stringify(exportData, null, 2);
+    (Array.isArray(data.attachments) ? data.attachments : []).forEach((record, index) => {
+        if (typeof record?.data === 'string' && !/^[A-Za-z0-9+/]*={0,2}$/.test(record.data)) {
+            errors.push(`attachments[${index}].data is not base64.`);
+        }
+    });
+
+    for (const [storeName, keys] of Object.entries(BACKUP_FOREIGN_KEYS)) {
+        if (!Array.isArray(data[storeName])) continue;
+        data[storeName].forEach((record, index) => {
+            if (!record || typeof record !== 'object') return;
+            for (const [field, parentStore] of Object.entries(keys)) {
+                const value = record[field];
+                if (value === undefined || value === null) continue;
+                if (!ids[parentStore]?.has(value)) {
+                    errors.push(`${storeName}[${index}].${field} points to missing ${parentStore} id ${value}.`);
+                }
+            }
+        });
+    }
+    return errors;
+}
+
+// --- Merge Import ---
+
+// Fields ignored when comparing an imported record with its local match
+const IMPORT_IGNORED_FIELDS = new Set(['id', 'company_id', 'profile_id', 'job_id', 'created_at']);
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Case and surrounding whitespace are not treated as a difference
+function comparableValue(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
 }
 
 /**
- * Imports data from a JSON string, clearing existing data.
+ * Compares a matched pair. Fields only the import has are `fills`; fields
+ * where both sides hold different values are `conflicts`.
  */
-export async function importDB(jsonString) {
-    const data = JSON.parse(jsonString);
-    const stores = ['companies', 'profiles', 'people', 'jobs'];
+function diffImportRecord(existing, incoming, ignoredFields = []) {
+    const fills = {};
+    const conflicts = [];
+    for (const [field, value] of Object.entries(incoming)) {
+        if (IMPORT_IGNORED_FIELDS.has(field) || ignoredFields.includes(field) || field.startsWith('sort_') || isEmptyValue(value)) continue;
+        if (field === 'custom') {
+            // Each custom field is compared on its own, as 'custom.<id>'
+            const custom = diffImportRecord(existing.custom || {}, value);
+            if (Object.keys(custom.fills).length > 0) fills.custom = { ...existing.custom, ...custom.fills };
+            custom.conflicts.forEach(conflict => conflicts.push({ ...conflict, field: `custom.${conflict.field}` }));
+        } else if (isEmptyValue(existing[field])) {
+            fills[field] = value;
+        } else if (comparableValue(existing[field]) !== comparableValue(value)) {
+            conflicts.push({ field, existing: existing[field], incoming: value });
+        }
+    }
+    return { fills, conflicts };
+}
+
+// Sets a field named by diffImportRecord, including 'custom.<id>' fields
+function setImportField(record, field, value) {
+    if (field.startsWith('custom.')) {
+        record.custom = { ...record.custom, [field.slice('custom.'.length)]: value };
+    } else {
+        record[field] = value;
+    }
+}
 
-    const transaction = db.transaction(stores, 'readwrite');
+function personMatchKey(person) {
+    if (person.email) return `email:${person.email.trim().toLowerCase()}`;
+    const name = [person.first_name, person.last_name].map(n => (n || '').trim().toLowerCase()).join(' ').trim();
+    return name ? `name:${name}|${normalizeCompanyName(person.company_name || '')}` : null;
+}
 
-    for (const storeName of stores) {
-        await new Promise((resolve, reject) => {
-            const request = transaction.objectStore(storeName).clear();
-            request.onsuccess = () => resolve();
-            request.onerror = (event) => reject(event.target.error);
+/**
+ * Matches backup records against local records without writing anything.
+ * Companies match by normalized name, profiles by name, people by email
+ * (or name + company), jobs by URL or by title + company.
+ * Returns one entry per incoming record:
+ * { key, store, incoming, existing, action: 'new'|'unchanged'|'changed'|'conflict', fills, conflicts }
+ */
+function planImport(data, local) {
+    const entries = [];
+    const addEntry = (store, index, incoming, existing) => {
+        const entry = { key: `${store}#${index}`, store, incoming, existing: existing || null, fills: {}, conflicts: [] };
+        if (!existing) {
+            entry.action = 'new';
+        } else {
+            // Matched company names differ only cosmetically; the local spelling wins
+            Object.assign(entry, diffImportRecord(existing, incoming, store === 'companies' ? ['name'] : []));
+            entry.action = entry.conflicts.length > 0 ? 'conflict'
+                : Object.keys(entry.fills).length > 0 ? 'changed' : 'unchanged';
+        }
+        entries.push(entry);
+        return entry;
+    };
+    const lookup = (records, keyOf) => {
+        const map = new Map();
+        records.forEach(record => {
+            const key = keyOf(record);
+            if (key && !map.has(key)) map.set(key, record);
         });
+        return map;
+    };
 
-        if (data[storeName]) {
-            for (const item of data[storeName]) {
-                await new Promise((resolve, reject) => {
-                    const request = transaction.objectStore(storeName).add(item);
-                    request.onsuccess = () => resolve();
-                    request.onerror = (event) => reject(event.target.error);
-                });
+    const localCompanies = lookup(local.companies, c => normalizeCompanyName(c.name));
+    const incomingCompanyNames = new Map();
+    (data.companies || []).forEach((company, index) => {
+        incomingCompanyNames.set(company.id, company.name);
+        addEntry('companies', index, company, localCompanies.get(normalizeCompanyName(company.name)));
+    });
+
+    const profileKey = profile => (profile.name || '').trim().toLowerCase();
+    const localProfiles = lookup(local.profiles, profileKey);
+    (data.profiles || []).forEach((profile, index) => {
+        addEntry('profiles', index, profile, localProfiles.get(profileKey(profile)));
+    });
+
+    const localPeople = lookup(local.people, personMatchKey);
+    (data.people || []).forEach((person, index) => {
+        // Link to the local spelling of a matching company
+        const company = person.company_name && localCompanies.get(normalizeCompanyName(person.company_name));
+        const incoming = company ? { ...person, company_name: company.name } : person;
+        addEntry('people', index, incoming, localPeople.get(personMatchKey(incoming)));
+    });
+
+    const localCompanyNames = new Map(local.companies.map(c => [c.id, c.name]));
+    const jobTitleKey = (title, companyName) => `${(title || '').trim().toLowerCase()}|${normalizeCompanyName(companyName || '')}`;
+    const localJobsByUrl = lookup(local.jobs, j => j.url && j.url.trim());
+    const localJobsByTitle = lookup(local.jobs, j => jobTitleKey(j.title, localCompanyNames.get(j.company_id)));
+    (data.jobs || []).forEach((job, index) => {
+        const existing = (job.url && localJobsByUrl.get(job.url.trim()))
+            || localJobsByTitle.get(jobTitleKey(job.title, incomingCompanyNames.get(job.company_id)));
+        addEntry('jobs', index, job, existing);
+    });
+
+    return entries;
+}
+
+/**
+ * Previews a merge import of parsed backup data.
+ * Returns { entries, summary } where summary counts each action per store.
+ */
+async function analyzeImport(data) {
+    const stores = ['companies', 'profiles', 'people', 'jobs'];
+    const transaction = openTransaction([...stores, 'custom_fields'], 'readonly');
+    const local = {};
+    for (const storeName of stores) {
+        local[storeName] = await promisifyRequest(transaction.objectStore(storeName).getAll());
+    }
+    const localFields = await promisifyRequest(transaction.objectStore('custom_fields').getAll());
+    const entries = planImport(mapCustomFieldIds(data, localFields), local);
+
+    const summary = {};
+    for (const storeName of stores) {
+        summary[storeName] = { new: 0, unchanged: 0, changed: 0, conflict: 0 };
+    }
+    entries.forEach(entry => summary[entry.store][entry.action]++);
+    summary.status_history = { new: (data.status_history || []).length };
+    summary.interviews = { new: (data.interviews || []).length };
+    summary.attachments = { new: (data.attachments || []).length };
+    return { entries, summary };
+}
+
+/**
+ * Merges parsed backup data into the database in one transaction.
+ * Unmatched records are added with fresh ids and their foreign keys
+ * remapped; matched records get their empty fields filled in.
+ * `resolutions` maps a conflict entry key to 'keep' (default), 'replace'
+ * (take the imported values) or 'both' (add the import as a new record;
+ * not allowed for companies, whose names are unique).
+ * Returns { added, updated, skipped } counts.
+ */
+async function mergeImport(data, resolutions = {}) {
+    const badKey = Object.keys(resolutions).find(key => key.startsWith('companies#') && resolutions[key] === 'both');
+    if (badKey) {
+        throw new DataError('INVALID_ARGUMENT', `Cannot keep both copies of company ${badKey}; choose "keep" or "replace".`);
+    }
+    const transaction = openTransaction([...BACKUP_STORES, 'search_index'], 'readwrite');
+    const done = transactionDone(transaction);
+    const result = { added: 0, updated: 0, skipped: 0 };
+
+    // Add the backup's custom fields that have no local match, then key
+    // incoming values by local field id
+    const fieldStore = transaction.objectStore('custom_fields');
+    const localFields = await promisifyRequest(fieldStore.getAll());
+    for (const field of data.custom_fields || []) {
+        if (localFields.some(f => customFieldKey(f) === customFieldKey(field))) continue;
+        const { id, ...definition } = field;
+        definition.order = localFields.filter(f => f.entity === field.entity).length;
+        localFields.push({ ...definition, id: await promisifyRequest(fieldStore.add(definition)) });
+    }
+    data = mapCustomFieldIds(data, localFields);
+
+    // Plan against the same snapshot the writes below will see
+    const local = {};
+    for (const storeName of ['companies', 'profiles', 'people', 'jobs']) {
+        local[storeName] = await promisifyRequest(transaction.objectStore(storeName).getAll());
+    }
+    const entries = planImport(data, local);
+    const idMaps = { companies: new Map(), profiles: new Map(), people: new Map(), jobs: new Map() };
+    const mergedJobIds = new Set();
+
+    for (const entry of entries) {
+        const store = transaction.objectStore(entry.store);
+        const resolution = entry.action === 'conflict' ? (resolutions[entry.key] || 'keep') : null;
+        const incoming = { ...entry.incoming };
+        delete incoming.id;
+
+        if (entry.store === 'jobs') {
+            incoming.company_id = idMaps.companies.get(entry.incoming.company_id) ?? null;
+            incoming.profile_id = idMaps.profiles.get(entry.incoming.profile_id) ?? null;
+            if (incoming.profile_id === null) {
+                incoming.match_percentage = null;
+                incoming.match_justification = null;
+            }
+        }
+
+        let record;
+        if (entry.action === 'new' || resolution === 'both') {
+            record = entry.store === 'jobs' ? withSortKeys(incoming) : incoming;
+            if (entry.store === 'jobs') await setJoinedSortKeys(transaction, record);
+            record.id = await promisifyRequest(store.add(record));
+            result.added++;
+        } else {
+            record = { ...entry.existing, ...entry.fills };
+            if (resolution === 'replace') {
+                entry.conflicts.forEach(({ field, incoming: value }) => setImportField(record, field, value));
+            }
+            if (entry.store === 'jobs') {
+                if (!record.company_id && incoming.company_id) record.company_id = incoming.company_id;
+                if (!record.profile_id && incoming.profile_id) record.profile_id = incoming.profile_id;
+                mergedJobIds.add(record.id);
+            }
+            if (entry.action === 'unchanged' || (resolution === 'keep' && Object.keys(entry.fills).length === 0)) {
+                result.skipped++;
+            } else {
+                if (entry.store === 'jobs') await setJoinedSortKeys(transaction, withSortKeys(record));
+                store.put(record);
+                result.updated++;
+            }
+        }
+        indexRecord(transaction, entry.store, record);
+        if (idMaps[entry.store] && entry.incoming.id !== undefined) {
+            idMaps[entry.store].set(entry.incoming.id, record.id);
+        }
+    }
+
+    // History follows its job; entries already recorded locally are skipped
+    const historyStore = transaction.objectStore('status_history');
+    for (const item of data.status_history || []) {
+        const jobId = idMaps.jobs.get(item.job_id);
+        if (jobId === undefined) continue;
+        if (mergedJobIds.has(jobId)) {
+            const existing = await promisifyRequest(historyStore.index('job_id').getAll(jobId));
+            if (existing.some(h => h.to_status === item.to_status && h.changed_at === item.changed_at)) continue;
+        }
+        const { id, ...history } = item;
+        historyStore.add({ ...history, job_id: jobId });
+        result.added++;
+    }
+
+    // Interviews follow their job too; interviewers not in the backup are dropped
+    const interviewStore = transaction.objectStore('interviews');
+    for (const item of data.interviews || []) {
+        const jobId = idMaps.jobs.get(item.job_id);
+        if (jobId === undefined) continue;
+        if (mergedJobIds.has(jobId)) {
+            const existing = await promisifyRequest(interviewStore.index('job_id').getAll(jobId));
+            if (existing.some(i => i.round === item.round && i.scheduled_at === item.scheduled_at)) continue;
+        }
+        const { id, ...interview } = item;
+        interview.interviewer_ids = (interview.interviewer_ids || []).map(personId => idMaps.people.get(personId)).filter(personId => personId !== undefined);
+        interviewStore.add({ ...interview, job_id: jobId });
+        result.added++;
+    }
+
+    // Attachments follow their job, profile or company; files already there are skipped
+    const attachmentStore = transaction.objectStore('attachments');
+    for (const item of data.attachments || []) {
+        const [ownerStore, field] = attachmentOwner(item);
+        const ownerId = idMaps[ownerStore]?.get(item[field]);
+        if (ownerId === undefined) continue;
+        const { id, ...attachment } = attachmentFromBackup(item);
+        const existing = await promisifyRequest(attachmentStore.index(field).getAll(ownerId));
+        if (existing.some(a => a.name === attachment.name && a.size === attachment.size)) continue;
+        attachmentStore.add({ ...attachment, [field]: ownerId });
+        result.added++;
+    }
+
+    await ensureStagesForStatuses(transaction, (data.jobs || []).map(job => job.status));
+    await done;
+    return result;
+}
+
+// --- CSV Import & Export ---
+
+// Job columns a CSV can carry, keyed like the jobs table's columns.
+// 'profile_id' holds the profile's name; custom fields are 'custom.<id>'.
+// The table's one salary column is written as the CSV_PAY_FIELDS columns.
+const CSV_JOB_FIELDS = ['title', 'company_name', 'location', 'salary_min', 'salary_max', 'currency', 'pay_period', 'equity', 'bonus', 'url', 'description', 'profile_id', 'match_percentage', 'status', 'notes', 'tags', 'created_at', ...DUE_DATE_FIELDS];
+
+// CSV column -> compensation property
+const CSV_PAY_FIELDS = { salary_min: 'min', salary_max: 'max', currency: 'currency', pay_period: 'period', equity: 'equity', bonus: 'bonus' };
+
+/**
+ * Parses RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF line ends,
+ * optional BOM) into an array of rows, each an array of strings.
+ * Blank lines are dropped.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new DataError('INVALID_ARGUMENT', 'The CSV file ends inside a quoted value.');
+    if (field !== '' || row.length) endRow();
+    return rows;
+}
+
+/**
+ * Writes rows (arrays of values) as CSV. Text that a spreadsheet would
+ * run as a formula (=, +, -, @) is prefixed with an apostrophe, which
+ * importJobRows strips again when told the file came from here.
+ */
+function toCSV(rows) {
+    return rows.map(row => row.map(value => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+}
+
+// Trims a cell and, for files toCSV wrote, undoes its formula guard
+function csvCell(value, stripFormulaGuard) {
+    const text = (value ?? '').trim();
+    return stripFormulaGuard && /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Serializes jobs as returned by queryJobs (with company_name and
+ * profile_name joined) to CSV. `columns` is [{ key, label }] in output
+ * order, using CSV_JOB_FIELDS keys or 'custom.<id>'.
+ */
+function jobsToCSV(jobs, columns) {
+    const value = (job, key) => {
+        if (key.startsWith('custom.')) {
+            const custom = job.custom?.[key.slice('custom.'.length)];
+            return typeof custom === 'boolean' ? (custom ? 'yes' : '') : custom;
+        }
+        if (key === 'profile_id') return job.profile_name;
+        if (key === 'tags') return (job.tags || []).join(', ');
+        if (key in CSV_PAY_FIELDS) return job.compensation?.[CSV_PAY_FIELDS[key]];
+        return job[key];
+    };
+    return toCSV([columns.map(col => col.label), ...jobs.map(job => columns.map(col => value(job, col.key)))]);
+}
+
+/**
+ * Imports spreadsheet rows as jobs. `mapping[i]` is the job field for
+ * column i (a CSV_JOB_FIELDS key or 'custom.<id>'), or '' to ignore it.
+ * Rows that fail validation are skipped and reported with their
+ * spreadsheet row number (`firstRow` is the number of rows[0]). Companies
+ * are matched by name and created only with `autoCreateCompany`. Set
+ * `stripFormulaGuard` for files exported by jobsToCSV to drop the
+ * apostrophe it puts before =, +, - and @; in other files that apostrophe
+ * is the cell's own text and is kept. With `dryRun` nothing is written.
+ * Returns { imported, companiesCreated, skipped: [{ row, reason }] }.
+ */
+async function importJobRows(rows, mapping, { autoCreateCompany = false, defaultStatus = null, stripFormulaGuard = false, firstRow = 2, dryRun = false, source = 'csv-import' } = {}) {
+    if (!mapping.includes('title')) throw new DataError('INVALID_ARGUMENT', 'Map a column to the job title.');
+    const transaction = openTransaction(['jobs', 'status_history', 'companies', 'profiles', 'stages', 'custom_fields', 'search_index'], 'readwrite', { label: 'Imported jobs from CSV' });
+    const done = transactionDone(transaction);
+    const getAll = storeName => promisifyRequest(transaction.objectStore(storeName).getAll());
+    const [companies, profiles, stages, fields] = [await getAll('companies'), await getAll('profiles'), await getAll('stages'), await getAll('custom_fields')];
+    const result = { imported: 0, companiesCreated: 0, skipped: [] };
+    const activeStage = stages.filter(s => !s.retired).sort((a, b) => a.order - b.order).find(s => s.kind === 'active');
+    const startStatus = defaultStatus || activeStage?.name || 'Bookmarked';
+    const now = new Date().toISOString();
+
+    // Throws the reason a row is skipped
+    const toJob = async (values) => {
+        const job = { title: '', company_id: null, location: '', compensation: null, url: '', description: '', notes: '', tags: [], custom: {}, profile_id: null, match_percentage: null, match_justification: null, status: startStatus, created_at: now };
+        let companyName = '';
+        const pay = {};
+        for (const [i, key] of mapping.entries()) {
+            const text = csvCell(values[i], stripFormulaGuard);
+            if (!key || text === '') continue;
+            if (key.startsWith('custom.')) {
+                const field = fields.find(f => `custom.${f.id}` === key && f.entity === 'jobs');
+                if (field) job.custom[field.id] = coerceCustomValue(field, text);
+                continue;
             }
+            switch (key) {
+                case 'company_name':
+                    companyName = text;
+                    break;
+                case 'match_percentage': {
+                    const number = parseFloat(text.replace(/[^\d.-]/g, ''));
+                    if (!Number.isFinite(number) || number < 0 || number > 100) {
+                        throw new DataError('INVALID_ARGUMENT', `Match % "${text}" is not valid.`);
+                    }
+                    job[key] = number;
+                    break;
+                }
+                case 'status': {
+                    const stage = stages.find(s => s.name.toLowerCase() === text.toLowerCase());
+                    if (!stage) throw new DataError('INVALID_ARGUMENT', `Unknown status "${text}".`);
+                    job.status = stage.name;
+                    break;
+                }
+                case 'profile_id': {
+                    const profile = profiles.find(p => p.name.toLowerCase() === text.toLowerCase());
+                    if (!profile) throw new DataError('INVALID_ARGUMENT', `Unknown profile "${text}".`);
+                    job.profile_id = profile.id;
+                    break;
+                }
+                case 'created_at': {
+                    const date = new Date(text);
+                    if (isNaN(date)) throw new DataError('INVALID_ARGUMENT', `Date "${text}" is not valid.`);
+                    job.created_at = date.toISOString();
+                    break;
+                }
+                case 'tags':
+                    job.tags = normalizeTags(text.split(/[,;]/));
+                    break;
+                case 'apply_by':
+                case 'follow_up_on':
+                case 'offer_expires_on': {
+                    const date = isDateKey(text) ? text : new Date(text);
+                    if (typeof date !== 'string' && isNaN(date)) throw new DataError('INVALID_ARGUMENT', `Date "${text}" is not valid.`);
+                    job[key] = typeof date === 'string' ? date : localDateKey(date);
+                    break;
+                }
+                default:
+                    if (key in CSV_PAY_FIELDS) pay[CSV_PAY_FIELDS[key]] = text;
+                    else if (CSV_JOB_FIELDS.includes(key)) job[key] = text;
+            }
+        }
+        if (!job.title) throw new DataError('INVALID_ARGUMENT', 'Missing job title.');
+        job.compensation = toCompensation(pay);
+        applyStageReminder(job, stages.find(s => s.name === job.status), now);
+        if (job.profile_id === null) job.match_percentage = null;
+
+        if (companyName) {
+            // "Acme Inc" finds "Acme" rather than adding a duplicate for findDuplicateCompanies
+            let company = companies.find(c => c.name === companyName)
+                || companies.find(c => normalizeCompanyName(c.name) === normalizeCompanyName(companyName));
+            if (!company) {
+                if (!autoCreateCompany) throw new DataError('INVALID_ARGUMENT', `Company "${companyName}" not found.`);
+                company = { name: companyName, industry: '', location: job.location, website: '', linkedin: '', notes: '' };
+                company.id = await promisifyRequest(transaction.objectStore('companies').add(company));
+                indexRecord(transaction, 'companies', company);
+                companies.push(company);
+                result.companiesCreated++;
+            }
+            job.company_id = company.id;
+        }
+        return job;
+    };
+
+    try {
+        for (const [i, values] of rows.entries()) {
+            let job;
+            try {
+                job = await toJob(values);
+            } catch (err) {
+                if (!(err instanceof DataError) || err.code !== 'INVALID_ARGUMENT') throw err;
+                result.skipped.push({ row: firstRow + i, reason: err.message });
+                continue;
+            }
+            await setJoinedSortKeys(transaction, withSortKeys(job));
+            job.id = await promisifyRequest(transaction.objectStore('jobs').add(job));
+            indexRecord(transaction, 'jobs', job);
+            transaction.objectStore('status_history').add({ job_id: job.id, from_status: null, to_status: job.status, changed_at: job.created_at, source });
+            result.imported++;
+        }
+    } catch (err) {
+        transaction.abort();
+        await done.catch(() => {});
+        throw toDataError(err);
+    }
+
+    if (dryRun) {
+        transaction.abort();
+        await done.catch(() => {});
+    } else {
+        await done;
+    }
+    return result;
+}
+
+// --- Snapshots ---
+
+const DEFAULT_SNAPSHOT_KEEP = 10;
+
+// Attachments never change once added, so this names one file's contents
+function snapshotFileKey(attachment) {
+    return `${attachment.id}:${attachment.created_at}:${attachment.size}`;
+}
+
+/**
+ * Stores a full export of the database in the snapshots store, then
+ * prunes the oldest snapshots beyond `keep`. Attachments are listed in
+ * the snapshot's `attachments` and their files kept once in
+ * snapshot_files, however many snapshots share them. With
+ * `skipIfUnchanged`, no snapshot is taken when the data matches the
+ * latest one. Returns the snapshot metadata, or null if skipped.
+ */
+async function createSnapshot(reason, { keep = DEFAULT_SNAPSHOT_KEEP, skipIfUnchanged = false } = {}) {
+    const data = await exportDB();
+    const files = await promisifyRequest(openTransaction('attachments', 'readonly').objectStore('attachments').getAll());
+    const attachments = files.map(({ blob, ...attachment }) => ({ ...attachment, file_key: snapshotFileKey(attachment) }));
+
+    if (skipIfUnchanged) {
+        const latest = await getLatestSnapshot();
+        if (latest && latest.data === data && JSON.stringify(latest.attachments || []) === JSON.stringify(attachments)) return null;
+    }
+
+    const meta = {
+        created_at: new Date().toISOString(),
+        reason,
+        size: new Blob([data]).size, // Files are shared between snapshots, so only the data counts
+        counts: {
+            ...Object.fromEntries(Object.entries(JSON.parse(data)).map(([storeName, records]) => [storeName, records.length])),
+            attachments: attachments.length
+        }
+    };
+    const transaction = openTransaction(['snapshots', 'snapshot_files'], 'readwrite');
+    const done = transactionDone(transaction);
+    const fileStore = transaction.objectStore('snapshot_files');
+    for (const [i, attachment] of attachments.entries()) {
+        if (await promisifyRequest(fileStore.count(attachment.file_key)) === 0) {
+            fileStore.add({ key: attachment.file_key, blob: files[i].blob });
+        }
+    }
+    meta.id = await promisifyRequest(transaction.objectStore('snapshots').add({
+        ...meta,
+        data,
+        attachments,
+        file_keys: attachments.map(attachment => attachment.file_key)
+    }));
+    await done;
+    await pruneSnapshots(keep);
+    return meta;
+}
+
+function getLatestSnapshot() {
+    return new Promise((resolve, reject) => {
+        const transaction = openTransaction('snapshots', 'readonly');
+        const request = transaction.objectStore('snapshots').index('created_at').openCursor(null, 'prev');
+        request.onsuccess = () => resolve(request.result ? request.result.value : null);
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+/**
+ * Lists snapshots newest first, without their data.
+ */
+function getSnapshots() {
+    return new Promise((resolve, reject) => {
+        const transaction = openTransaction('snapshots', 'readonly');
+        const request = transaction.objectStore('snapshots').index('created_at').openCursor(null, 'prev');
+        const snapshots = [];
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(snapshots);
+            const { data, attachments, file_keys, ...meta } = cursor.value;
+            snapshots.push(meta);
+            cursor.continue();
+        };
+        request.onerror = (event) => reject(toDataError(event.target.error));
+    });
+}
+
+async function getSnapshot(id) {
+    return await getItem('snapshots', id);
+}
+
+async function deleteSnapshot(id) {
+    const transaction = openTransaction(['snapshots', 'snapshot_files'], 'readwrite');
+    const done = transactionDone(transaction);
+    transaction.objectStore('snapshots').delete(id);
+    await pruneSnapshotFiles(transaction);
+    await done;
+}
+
+/**
+ * Deletes all but the newest `keep` snapshots.
+ */
+async function pruneSnapshots(keep = DEFAULT_SNAPSHOT_KEEP) {
+    const transaction = openTransaction(['snapshots', 'snapshot_files'], 'readwrite');
+    const done = transactionDone(transaction);
+    const store = transaction.objectStore('snapshots');
+    const ids = await promisifyRequest(store.index('created_at').getAllKeys());
+    ids.slice(0, Math.max(ids.length - keep, 0)).forEach(id => store.delete(id));
+    await pruneSnapshotFiles(transaction);
+    await done;
+}
+
+// Deletes the files no remaining snapshot lists, inside a readwrite transaction on both stores
+async function pruneSnapshotFiles(transaction) {
+    const fileStore = transaction.objectStore('snapshot_files');
+    const index = transaction.objectStore('snapshots').index('file_keys');
+    for (const key of await promisifyRequest(fileStore.getAllKeys())) {
+        if (await promisifyRequest(index.count(key)) === 0) fileStore.delete(key);
+    }
+}
+
+/**
+ * Replaces the database with a snapshot's data and files. A
+ * 'before-restore' snapshot is taken first so the restore itself can be
+ * undone. Snapshots from before files were kept restore like a backup
+ * without attachments.
+ */
+async function restoreSnapshot(id, { keep = DEFAULT_SNAPSHOT_KEEP } = {}) {
+    const snapshot = await getSnapshot(id);
+    if (!snapshot) throw new DataError('NOT_FOUND', `Snapshot ${id} not found.`);
+    await createSnapshot('before-restore', { keep });
+
+    let attachments = null;
+    if (snapshot.attachments) {
+        const fileStore = openTransaction('snapshot_files', 'readonly').objectStore('snapshot_files');
+        const files = await Promise.all(snapshot.attachments.map(attachment => promisifyRequest(fileStore.get(attachment.file_key))));
+        attachments = snapshot.attachments
+            .map(({ file_key, ...attachment }, i) => files[i] && { ...attachment, blob: files[i].blob })
+            .filter(Boolean);
+    }
+    await importDB(snapshot.data, { attachments });
+}
+
+// --- Undo Journal ---
+
+// Stores whose writes can be undone; search_index is rebuilt from them
+const JOURNALED_STORES = BACKUP_STORES;
+const JOURNAL_LIMIT = 50;
+const JOURNAL_NOUNS = {
+    settings: ['setting', 'settings'],
+    stages: ['stage', 'stages'],
+    custom_fields: ['custom field', 'custom fields'],
+    companies: ['company', 'companies'],
+    profiles: ['profile', 'profiles'],
+    people: ['contact', 'contacts'],
+    jobs: ['job', 'jobs'],
+    status_history: ['status change', 'status changes'],
+    interviews: ['interview', 'interviews'],
+    attachments: ['attachment', 'attachments']
+};
+
+// Operations newest last: { label, at, changes: [{ store, key, before, after }] }.
+// `before`/`after` are the whole record, or undefined when it did not exist.
+const journal = { undo: [], redo: [] };
+const transactionJournals = new WeakMap();
+let journalListener = null;
+
+/**
+ * Records the before/after of every record a readwrite transaction
+ * touches. Writes go through wrapped object stores that read the old
+ * value first (requests run in order, so the read sees the record as it
+ * was); forEachRecord records cursor updates itself. The operation is
+ * added to the journal when the transaction commits.
+ */
+function journalTransaction(transaction, label) {
+    const changes = new Map();
+    const stores = new Map();
+    const objectStore = transaction.objectStore.bind(transaction);
+    transactionJournals.set(transaction, changes);
+    transaction.objectStore = (name) => {
+        if (!JOURNALED_STORES.includes(name)) return objectStore(name);
+        if (!stores.has(name)) stores.set(name, journaledStore(objectStore(name), changes));
+        return stores.get(name);
+    };
+    transaction.addEventListener('complete', () => {
+        const recorded = [...changes.values()].filter(change => !sameRecord(change.before, change.after));
+        if (recorded.length) pushJournal({ label: label || describeChanges(recorded), at: new Date().toISOString(), changes: recorded });
+    });
+}
+
+// Keeps the first `before` seen for a record; callers set `after`
+function noteChange(changes, storeName, key, before) {
+    const id = JSON.stringify([storeName, key]);
+    if (!changes.has(id)) changes.set(id, { store: storeName, key, before, after: before });
+    return changes.get(id);
+}
+
+function journaledStore(store, changes) {
+    const write = (method, value, key) => {
+        const primaryKey = key ?? value[store.keyPath];
+        const after = structuredClone(value);
+        if (primaryKey !== undefined) {
+            store.get(primaryKey).onsuccess = (event) => noteChange(changes, store.name, primaryKey, event.target.result);
+        }
+        const request = store[method](value, key);
+        request.addEventListener('success', () => {
+            if (store.keyPath) after[store.keyPath] = request.result;
+            noteChange(changes, store.name, request.result, undefined).after = after;
+        });
+        return request;
+    };
+    const remove = (method, query) => {
+        const read = query instanceof IDBKeyRange || method === 'clear' ? store.getAll(query) : store.get(query);
+        let removed = [];
+        read.onsuccess = () => {
+            removed = [].concat(read.result ?? []).map(record => noteChange(changes, store.name, record[store.keyPath], record));
+        };
+        const request = method === 'clear' ? store.clear() : store.delete(query);
+        request.addEventListener('success', () => removed.forEach(change => { change.after = undefined; }));
+        return request;
+    };
+    const overrides = {
+        put: (value, key) => write('put', value, key),
+        add: (value, key) => write('add', value, key),
+        delete: (query) => remove('delete', query),
+        clear: () => remove('clear')
+    };
+    return new Proxy(store, {
+        get(target, prop) {
+            if (Object.hasOwn(overrides, prop)) return overrides[prop];
+            const value = Reflect.get(target, prop);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+function sameRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function pushJournal(entry) {
+    journal.undo.push(entry);
+    if (journal.undo.length > JOURNAL_LIMIT) journal.undo.shift();
+    journal.redo = [];
+    notifyJournal();
+}
+
+function notifyJournal() {
+    if (journalListener) journalListener(getJournalState());
+}
+
+/**
+ * Names an operation after the record it was about, e.g. 'Deleted
+ * company "Acme"' or 'Moved 3 jobs to Applied'. Stores are ranked as in
+ * BACKUP_STORES, so a company deleted with its jobs reads as the company.
+ */
+function describeChanges(changes) {
+    const rank = change => JOURNALED_STORES.indexOf(change.store);
+    const kind = change => {
+        if (change.before === undefined) return 'Added';
+        if (change.after === undefined) return 'Deleted';
+        if (change.store === 'jobs' && change.before.status !== change.after.status) return 'Moved';
+        return 'Edited';
+    };
+    const main = changes.reduce((best, change) => rank(change) < rank(best) ? change : best);
+    const same = changes.filter(change => change.store === main.store && kind(change) === kind(main));
+    const record = main.after || main.before;
+    const name = record.title || record.name || record.label || record.round || [record.first_name, record.last_name].filter(Boolean).join(' ');
+    const [singular, plural] = JOURNAL_NOUNS[main.store];
+    if (kind(main) === 'Moved') {
+        return `Moved ${same.length === 1 ? `"${name}"` : `${same.length} jobs`} to ${main.after.status}`;
+    }
+    return same.length === 1 && name
+        ? `${kind(main)} ${singular} "${name}"`
+        : `${kind(main)} ${same.length} ${same.length === 1 ? singular : plural}`;
+}
+
+/**
+ * Returns { undo, redo }: the labels of the operations Undo and Redo
+ * would apply, or null when there is none.
+ */
+function getJournalState() {
+    return {
+        undo: journal.undo.at(-1)?.label ?? null,
+        redo: journal.redo.at(-1)?.label ?? null
+    };
+}
+
+/**
+ * Calls `listener(getJournalState())` whenever the journal changes.
+ * Pass null to stop.
+ */
+function onJournalChange(listener) {
+    journalListener = listener;
+}
+
+function clearJournal() {
+    journal.undo = [];
+    journal.redo = [];
+    notifyJournal();
+}
+
+/**
+ * Reverts the latest operation, putting deleted records back under their
+ * original ids. Returns its label, or null when there is nothing to undo.
+ * Throws CONFLICT, and drops the operation, if a record it touched has
+ * changed outside the journal since.
+ */
+async function undoLastChange() {
+    return await replayJournal(journal.undo, journal.redo, 'before', 'after');
+}
+
+/**
+ * Re-applies the latest undone operation. Returns its label, or null.
+ */
+async function redoLastChange() {
+    return await replayJournal(journal.redo, journal.undo, 'after', 'before');
+}
+
+async function replayJournal(from, to, target, expected) {
+    const entry = from.at(-1);
+    if (!entry) return null;
+    const changes = target === 'before' ? [...entry.changes].reverse() : entry.changes;
+    const storeNames = [...new Set(changes.map(change => change.store))];
+    const transaction = openTransaction([...storeNames, 'search_index'], 'readwrite', { journal: false });
+    const done = transactionDone(transaction);
+
+    for (const change of changes) {
+        const store = transaction.objectStore(change.store);
+        const current = await promisifyRequest(store.get(change.key));
+        if (!sameRecord(current, change[expected])) {
+            transaction.abort();
+            await done.catch(() => {});
+            from.pop();
+            notifyJournal();
+            throw new DataError('CONFLICT', `Can't ${target === 'before' ? 'undo' : 'redo'} "${entry.label}": the data has changed since.`);
+        }
+        const value = change[target];
+        if (value === undefined) {
+            store.delete(change.key);
+            unindexRecord(transaction, change.store, change.key);
+        } else {
+            store.put(structuredClone(value));
+            indexRecord(transaction, change.store, value);
         }
     }
-} 
+    await done;
+    if (storeNames.includes('settings')) await loadPaySettings();
+    to.push(from.pop());
+    notifyJournal();
+    return entry.label;
+}
+
+// --- Exports ---
+
+// In the browser this file is a classic script and everything above is a
+// global; under Node (the test suite) it is a CommonJS module.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DB_NAME, DB_VERSION, DataError, JOB_SORT_OPTIONS, BACKUP_STORES,
+        initDB, closeDB, getPreMigrationSnapshot,
+        // Companies
+        addCompany, getCompany, getCompanyByName, updateCompany, deleteCompany, getAllCompanies,
+        getCompanyDependents, deleteCompanyWithDependents,
+        normalizeCompanyName, findDuplicateCompanies, mergeCompanies, isSameCompanyName,
+        // Profiles
+        addProfile, getProfile, updateProfile, deleteProfile, getAllProfiles, deleteProfileWithDependents,
+        // People
+        addPerson, getPerson, updatePerson, deletePerson, getAllPeople, updatePersonNotes,
+        // Duplicate jobs
+        normalizeJobUrl, findMatchingJobs, findDuplicateJobs, mergeJobs,
+        // Pipeline stages
+        getStages, addStage, updateStage, reorderStages, deleteStage,
+        // Custom fields
+        CUSTOM_FIELD_TYPES, getCustomFields, addCustomField, updateCustomField, deleteCustomField, coerceCustomValue,
+        // Jobs
+        addJob, getJob, getAllJobs, updateJob, deleteJob, setJobStatus, updateJobNotes,
+        getJobCount, getJobsByCompanyId, getJobsByProfileId, queryJobs, jobMatchesFilter, getStatusHistory,
+        // Interviews
+        INTERVIEW_FORMATS, INTERVIEW_OUTCOMES, addInterview, updateInterview, deleteInterview, getInterviews,
+        interviewsToICS, exportInterviewsICS,
+        // Calendar & analytics
+        getCalendarItems, getPipelineStats, computePipelineStats,
+        // Attachments
+        MAX_ATTACHMENT_BYTES, addAttachment, getAttachment, getAttachments, deleteAttachment, getStorageUsage,
+        // Bulk job actions
+        normalizeTags, bulkSetJobStatus, bulkAssignProfile, bulkTagJobs, bulkDeleteJobs, getMatchingJobIds, exportJobs,
+        // Compensation
+        PAY_PERIODS, toCompensation, normalizePay, getPaySettings, setPaySettings,
+        // Due dates & reminders
+        DUE_DATE_FIELDS, localDateKey, addDays, startOfWeek, jobDueDates, getDueDates, setJobDueDate,
+        // Search
+        tokenize, searchAll,
+        // Backup & import
+        exportDB, importDB, parseBackup, validateBackup, analyzeImport, mergeImport,
+        encryptBackup, decryptBackup, parseEncryptedBackup,
+        // CSV
+        CSV_JOB_FIELDS, parseCSV, toCSV, jobsToCSV, importJobRows,
+        // Undo journal
+        getJournalState, onJournalChange, clearJournal, undoLastChange, redoLastChange,
+        // Snapshots
+        createSnapshot, getSnapshots, getSnapshot, deleteSnapshot, pruneSnapshots, restoreSnapshot
+    };
+}
@@ -1,414 +1,29 @@
-// --- IndexedDB Database Functions ---
-// (Your provided code is prepended here, with 'export' keywords removed
-// and new helper functions added)
-
-const DB_NAME = 'CareerJAM-DB';
-const DB_VERSION = 1;
-let db;
-
-/**
- * Initializes the IndexedDB database.
- * Creates object stores (tables) and indices.
- */
-function initDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onerror = (event) => {
-            console.error("Database error:", event.target.error);
-            reject("Database error");
-        };
-
-        request.onupgradeneeded = (event) => {
-            db = event.target.result;
-
-            // Create 'companies' store first (parent)
-            if (!db.objectStoreNames.contains('companies')) {
-                const companyStore = db.createObjectStore('companies', { keyPath: 'id', autoIncrement: true });
-                companyStore.createIndex('name', 'name', { unique: true });
-            }
-
-            // Create 'profiles' store
-            if (!db.objectStoreNames.contains('profiles')) {
-                db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
-            }
-
-            // Create 'people' store
-            if (!db.objectStoreNames.contains('people')) {
-                db.createObjectStore('people', { keyPath: 'id', autoIncrement: true });
-            }
-
-            // Create 'jobs' store (child)
-            if (!db.objectStoreNames.contains('jobs')) {
-                const jobStore = db.createObjectStore('jobs', { keyPath: 'id', autoIncrement: true });
-                jobStore.createIndex('status', 'status', { unique: false });
-                jobStore.createIndex('company_id', 'company_id', { unique: false });
-                jobStore.createIndex('profile_id', 'profile_id', { unique: false });
-                jobStore.createIndex('created_at', 'created_at', { unique: false });
-                jobStore.createIndex('salary', 'salary', { unique: false });
-                jobStore.createIndex('match_percentage', 'match_percentage', { unique: false });
-                jobStore.createIndex('title', 'title', { unique: false });
-            }
-        };
-
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            resolve();
-        };
-    });
-}
-
-/**
- * Helper function to get an item by its key.
- */
-function getItem(storeName, key) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readonly');
-        const store = transaction.objectStore(storeName);
-        const request = store.get(key);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-/**
- * Helper function to add an item.
- */
-function addItem(storeName, item) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readwrite');
-        const store = transaction.objectStore(storeName);
-        const request = store.add(item);
-        request.onsuccess = (event) => resolve(event.target.result); // Returns the new key
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-/**
- * Helper function to update an item.
- */
-function updateItem(storeName, item) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readwrite');
-        const store = transaction.objectStore(storeName);
-        const request = store.put(item);
-        request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-/**
- * Helper function to delete an item.
- */
-function deleteItem(storeName, key) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(storeName, 'readwrite');
-        const store = transaction.objectStore(storeName);
-        const request = store.delete(key);
-        request.onsuccess = () => resolve();
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-// --- Companies ---
-
-async function addCompany(company) {
-    return await addItem('companies', company);
-}
-
-async function getCompany(id) {
-    return await getItem('companies', id);
-}
-
-async function getCompanyByName(name) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('companies', 'readonly');
-        const store = transaction.objectStore('companies');
-        const index = store.index('name');
-        const request = index.get(name);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-async function updateCompany(company) {
-    return await updateItem('companies', company);
-}
-
-// NEW: Function to delete a company
-async function deleteCompany(id) {
-    // Note: This only deletes the company.
-    // Related jobs will now show 'Unknown Company' unless you update them.
-    return await deleteItem('companies', id);
-}
-
-
-async function getAllCompanies() {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('companies', 'readonly');
-        const store = transaction.objectStore('companies');
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-// --- Profiles ---
-
-async function addProfile(profile) {
-    return await addItem('profiles', profile);
-}
-
-async function getProfile(id) {
-    return await getItem('profiles', id);
-}
-
-// NEW: Function to update a profile
-async function updateProfile(profile) {
-    return await updateItem('profiles', profile);
-}
-
-
-async function deleteProfile(id) {
-    return await deleteItem('profiles', id);
-}
-
-async function getAllProfiles() {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('profiles', 'readonly');
-        const store = transaction.objectStore('profiles');
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-// --- People ---
-
-async function addPerson(person) {
-    return await addItem('people', person);
-}
-
-// NEW: Function to get a single person
-async function getPerson(id) {
-    return await getItem('people', id);
-}
-
-// NEW: Function to update a person
-async function updatePerson(person) {
-    return await updateItem('people', person);
-}
-
-// NEW: Function to delete a person
-async function deletePerson(id) {
-    return await deleteItem('people', id);
-}
-
-async function getAllPeople() {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('people', 'readonly');
-        const store = transaction.objectStore('people');
-        const request = store.getAll();
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-async function updatePersonNotes(id, notes) {
-    const person = await getItem('people', id);
-    if (person) {
-        person.notes = notes;
-        return await updateItem('people', person);
-    }
-}
-
-
-// --- Jobs ---
-
-async function addJob(job) {
-    return await addItem('jobs', job);
-}
-
-async function getJob(id) {
-    return await getItem('jobs', id);
-}
-
-async function updateJob(job) {
-    return await updateItem('jobs', job);
-}
-
-// NEW: Function to delete a job
-async function deleteJob(id) {
-    return await deleteItem('jobs', id);
-}
-
-async function updateJobNotes(id, notes) {
-    const job = await getItem('jobs', id);
-    if (job) {
-        job.notes = notes;
-        return await updateItem('jobs', job);
-    }
-}
-
-async function getJobCount(status) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const index = store.index('status');
-        const request = index.count(status);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-async function getJobsByCompanyId(companyId) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const index = store.index('company_id');
-        const request = index.getAll(companyId);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-// NEW: Helper function to find jobs linked to a profile
-async function getJobsByProfileId(profileId) {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const index = store.index('profile_id');
-        const request = index.getAll(profileId);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-
-/**
- * Gets paginated and sorted jobs.
- */
-async function getPaginatedJobs(status, sortBy, page, itemsPerPage) {
-    return new Promise((resolve, reject) => {
-        const [sortKey, sortOrder] = sortBy.split(' ');
-
-        // Handle the company name sort by mapping it to company_id
-        // This will sort by ID, not name, but matches the schema.
-        const effectiveSortKey = sortKey === 'company_name' ? 'company_id' : sortKey;
-
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const index = store.index(effectiveSortKey);
-
-        const results = [];
-        let skipped = 0;
-        const skipCount = (page - 1) * itemsPerPage;
-
-        const range = effectiveSortKey === 'status' ? IDBKeyRange.only(status) : null;
-        const direction = sortOrder === 'DESC' ? 'prev' : 'next';
-
-        const request = index.openCursor(range, direction);
-
-        request.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                if (effectiveSortKey !== 'status' && cursor.value.status !== status) {
-                    cursor.continue(); // Skip if status doesn't match
-                    return;
-                }
-
-                if (skipped < skipCount) {
-                    skipped++;
-                    cursor.continue();
-                    return;
-                }
-
-                if (results.length < itemsPerPage) {
-                    results.push(cursor.value);
-                    cursor.continue();
-                } else {
-                    resolve(results); // Page is full
-                }
-            } else {
-                resolve(results); // No more results
-            }
-        };
-        request.onerror = (event) => reject(event.target.error);
-    });
-}
-
-// --- Backup & Restore ---
-
-/**
- * Exports all database stores to a JSON string.
- */
-async function exportDB() {
-    const stores = ['companies', 'profiles', 'people', 'jobs'];
-    const exportData = {};
-
-    const transaction = db.transaction(stores, 'readonly');
-
-    for (const storeName of stores) {
-        exportData[storeName] = await new Promise((resolve, reject) => {
-            const request = transaction.objectStore(storeName).getAll();
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = (event) => reject(event.target.error);
-        });
-    }
-
-    return JSON.stringify(exportData, null, 2);
-}
-
-/**
- * Imports data from a JSON string, clearing existing data.
- */
-async function importDB(jsonString) {
-    const data = JSON.parse(jsonString);
-    const stores = ['companies', 'profiles', 'people', 'jobs'];
-
-    const transaction = db.transaction(stores, 'readwrite');
-
-    for (const storeName of stores) {
-        await new Promise((resolve, reject) => {
-            const request = transaction.objectStore(storeName).clear();
-            request.onsuccess = () => resolve();
-            request.onerror = (event) => reject(event.target.error);
-        });
-
-        if (data[storeName]) {
-            for (const item of data[storeName]) {
-                await new Promise((resolve, reject) => {
-                    // Remove 'id' if it's null/undefined to allow autoIncrement
-                    if (item.id === null || typeof item.id === 'undefined') {
-                        delete item.id;
-                    }
-                    const request = transaction.objectStore(storeName).add(item);
-                    request.onsuccess = () => resolve();
-                    request.onerror = (event) => {
-                        // Log error but don't stop import
-                        console.warn(`Failed to import item into ${storeName}:`, event.target.error, item);
-                        resolve();
-                    };
-                });
-            }
-        }
-    }
-}
-
-
-// --- End of IndexedDB Functions ---
-
+// UI logic for CareerJAM. All data access goes through database.js,
+// which index.html loads first.
 
 document.addEventListener('DOMContentLoaded', async () => {
-    const JOB_STATUSES = ['Bookmarked', 'Applying', 'Applied', 'Interviewing', 'Negotiating', 'Accepted', 'Spam', 'Rejected'];
-    // 'db' is already declared in the prepended DB code
-    let currentJobViewStatus = 'Bookmarked';
+    // UPDATED: Statuses are user-defined pipeline stages loaded from the DB (see getStages)
+    let stages = [];
+    let currentJobViewStatus = null; // Set to the first visible stage by loadStages()
+    let customFields = []; // NEW: User-defined fields for jobs, companies and people (see getCustomFields)
+    // NEW: Jobs table filter; empty statuses fall back to the selected tab
+    const DEFAULT_JOB_FILTER = {
+        statuses: [], payMin: null, payMax: null, matchMin: null, matchMax: null, // pay is yearly, in the home currency
+        savedFrom: '', savedTo: '', location: '', companyId: null, profileId: null, tag: '',
+        custom: {} // { [fieldId]: condition } for custom job fields
+    };
     let currentSortOrder = 'created_at DESC';
     let currentOpenJobId = null;
     let logs = [];
     let unsavedAnalysisData = null;
-    let currentJobsView = 'table'; // 'table' or 'kanban'
+    let currentJobsView = 'table'; // 'table', 'kanban' or 'calendar'
     let companyMap = new Map(); // NEW: To cache company names by ID
+    // Keyset paging state: cursors[n] is where page n + 1 starts
+    let pagination = { signature: null, cursors: [null] };
+    // NEW: Jobs table selection; kept across pages, cleared when the query changes
+    let selectedJobIds = new Set();
+    let currentPageJobIds = [];
+    let currentQueryTotal = 0;
 
     // NEW: Variables to store detail view IDs
     let currentJobDetailId = null;
@@ -417,38 +32,53 @@ document.addEventListener('DOMContentLoaded', async () => {
     // NEW: App state variables
     let appState = {
         autoCreateCompany: true,
+        encryptBackups: false, // NEW: Passphrase-encrypt downloaded backups
+        backupAttachments: false, // NEW: Include attached files in downloaded backups
+        snapshotInterval: 30, // NEW: Minutes between periodic snapshots (0 = off)
+        snapshotKeep: 10, // NEW: Snapshots retained
+        notifyDueDates: false, // NEW: Browser notifications for due and overdue jobs
         currentPage: 1,
         itemsPerPage: 10,
+        jobFilter: { ...DEFAULT_JOB_FILTER }, // NEW: Jobs table filter (see jobMatchesFilter)
         theme: 'Humanist Dark', // NEW: Theme state
         // REPLACED: columnVisibility (object) with columnConfig (array) to store order
         columnConfig: [
             { key: 'title', label: 'Job Position', visible: true },
             { key: 'company_name', label: 'Company', visible: true },
             { key: 'location', label: 'Location', visible: true },
-            { key: 'salary', label: 'Salary (LPA)', visible: true },
+            { key: 'salary', label: 'Salary', visible: true },
             { key: 'url', label: 'URL', visible: true },
             { key: 'description', label: 'Description', visible: false },
             { key: 'profile_id', label: 'Applied Profile', visible: true },
             { key: 'match_percentage', label: 'Match %', visible: true },
             { key: 'status', label: 'Status', visible: true },
             { key: 'notes', label: 'Notes', visible: true },
-            { key: 'created_at', label: 'Date Saved', visible: true }
+            { key: 'tags', label: 'Tags', visible: true },
+            { key: 'created_at', label: 'Date Saved', visible: true },
+            { key: 'apply_by', label: 'Apply By', visible: false },
+            { key: 'follow_up_on', label: 'Follow Up', visible: false },
+            { key: 'offer_expires_on', label: 'Offer Expires', visible: false }
         ]
     };
 
     // Column definitions
     const COLUMN_DEFINITIONS = {
         title: "Job Position",
-        company_name: "Company", // This key is used for label, but sorting will use company_id
+        company_name: "Company", // Joined from companies by queryJobs
         location: "Location",
-        salary: "Salary (LPA)",
+        salary: "Salary", // UPDATED: Structured compensation (see formatPay)
         url: "URL",
         description: "Description",
         profile_id: "Applied Profile",
         match_percentage: "Match %",
         status: "Status",
         notes: "Notes",
-        created_at: "Date Saved"
+        tags: "Tags",
+        created_at: "Date Saved",
+        // NEW: Due dates (see DUE_DATE_FIELDS)
+        apply_by: "Apply By",
+        follow_up_on: "Follow Up",
+        offer_expires_on: "Offer Expires"
     };
 
     // --- DOM Elements ---
@@ -459,15 +89,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     const views = document.querySelectorAll('.view-content');
     const navLinks = document.querySelectorAll('.nav-link');
     const statusFooter = document.getElementById('status-footer');
+    const statusMessage = document.getElementById('status-message'); // NEW
+    const undoBtn = document.getElementById('undo-btn'); // NEW
+    const redoBtn = document.getElementById('redo-btn'); // NEW
     const jobsTableBody = document.getElementById('jobs-table-body');
     const jobsTableContainer = document.getElementById('jobs-table-container');
     const jobsKanbanContainer = document.getElementById('jobs-kanban-container');
     const showTableViewBtn = document.getElementById('show-table-view');
     const showKanbanViewBtn = document.getElementById('show-kanban-view');
+    const jobsCalendarContainer = document.getElementById('jobs-calendar-container'); // NEW
+    const showCalendarViewBtn = document.getElementById('show-calendar-view'); // NEW
     const statusTabs = document.getElementById('status-tabs');
     const sortControls = document.getElementById('sort-controls');
     // NEW: Pagination elements
     const paginationControls = document.getElementById('pagination-controls');
+    const bulkActionsBar = document.getElementById('bulk-actions-bar'); // NEW
     const itemsPerPageSelect = document.getElementById('items-per-page-select');
     const pageInfo = document.getElementById('page-info');
     const prevPageBtn = document.getElementById('prev-page-btn');
@@ -485,7 +121,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     const relatedJobsList = document.getElementById('related-jobs-list');
     // NEW: Settings elements
     const autoCreateCompanyToggle = document.getElementById('auto-create-company-toggle');
+    const encryptBackupToggle = document.getElementById('encrypt-backup-toggle');
+    const backupAttachmentsToggle = document.getElementById('backup-attachments-toggle');
+    const snapshotIntervalSelect = document.getElementById('snapshot-interval-select');
+    const snapshotKeepSelect = document.getElementById('snapshot-keep-select');
+    const notifyDueToggle = document.getElementById('notify-due-toggle');
     const themeSelect = document.getElementById('theme-select');
+    // NEW: Global search elements
+    const globalSearchInput = document.getElementById('global-search-input');
+    const globalSearchResults = document.getElementById('global-search-results');
     // REMOVED: Merge Modal Elements (no longer needed)
 
     // --- Utility Functions ---
@@ -542,7 +186,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // UPDATED: Persistent Footer
     function showStatus(message, type = 'info') {
         const colors = { info: 'text-muted-foreground', success: 'text-green-400', error: 'text-destructive' };
-        statusFooter.textContent = message;
+        statusMessage.textContent = message;
         statusFooter.className = `bg-card text-center py-1 px-4 text-sm ${colors[type] || 'text-muted-foreground'} border-t border-border z-10 transition-all duration-300`;
     }
 
@@ -559,6 +203,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             await refreshJobsView(); // Refresh jobs view when switching to it
         }
         if (viewId === 'logs-view') renderLogs();
+        if (viewId === 'dashboard-view') await renderDashboard();
+        if (viewId === 'settings-view') {
+            await renderSnapshots();
+            await renderStorageUsage();
+        }
         if (viewId === 'profiles-view') await renderProfiles();
         if (viewId === 'companies-view') {
             companyGridContainer.classList.remove('hidden');
@@ -575,7 +224,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         logEvent('INFO', 'Application initialization started.');
         try {
             // REPLACED: sql.js logic with initDB
-            await initDB();
+            await initDB({ onLog: logEvent });
             logEvent('SUCCESS', 'Database initialized successfully.');
 
             // Load companies into cache
@@ -583,7 +232,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             companyMap = new Map(companies.map(c => [c.id, c.name]));
 
             loadSettings(); // Load settings early to apply theme
+            await loadStages();
+            await loadCustomFields();
             renderStatusTabs();
+            renderStageSettings();
+            renderCustomFieldSettings();
+            renderPaySettings();
+            renderCustomSortOptions();
+            await renderJobFilterBar();
             renderColumnToggles();
             await Promise.all([
                 refreshJobsView(),
@@ -593,12 +249,22 @@ document.addEventListener('DOMContentLoaded', async () => {
             ]);
             setupEventListeners();
             initDeleteAndEditHandlers(); // NEW: Initialize edit/delete listeners
+            onJournalChange(renderUndoControls);
+            scheduleSnapshots();
+            scheduleDueNotifications();
             logEvent('SUCCESS', 'Application initialized successfully.');
             showStatus('Ready', 'info'); // Set initial status
         } catch (err) {
             console.error("Initialization failed:", err);
             logEvent('ERROR', `Initialization failed: ${err.message || err}`);
-            showStatus('Initialization failed. Check logs.', 'error');
+            if (err.snapshot) {
+                // The upgrade was rolled back; hand the user their pre-migration data too.
+                downloadJSON(err.snapshot.data, `careerjam_pre_migration_v${err.snapshot.from_version}_${Date.now()}.json`);
+                logEvent('INFO', 'Downloaded the pre-migration snapshot. Restore it from Settings if data looks wrong.');
+                showStatus('Database upgrade failed and was rolled back. A backup was downloaded.', 'error');
+            } else {
+                showStatus('Initialization failed. Check logs.', 'error');
+            }
         } finally {
             hideLoading();
         }
@@ -610,27 +276,31 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // --- Rendering Logic ---
 
-    // NEW: Function to toggle between Table and Kanban views
+    // UPDATED: Toggles between the Table, Kanban and Calendar views
     function toggleJobsView(view) {
+        const wasTable = currentJobsView === 'table';
         currentJobsView = view;
+        showTableViewBtn.classList.toggle('active', view === 'table');
+        showKanbanViewBtn.classList.toggle('active', view === 'kanban');
+        showCalendarViewBtn.classList.toggle('active', view === 'calendar');
+        jobsTableContainer.classList.toggle('hidden', view !== 'table');
+        jobsKanbanContainer.classList.toggle('hidden', view !== 'kanban');
+        jobsCalendarContainer.classList.toggle('hidden', view !== 'calendar');
         if (view === 'table') {
-            showTableViewBtn.classList.add('active');
-            showKanbanViewBtn.classList.remove('active');
-            jobsTableContainer.classList.remove('hidden');
-            jobsKanbanContainer.classList.add('hidden');
             statusTabs.classList.remove('hidden');
             sortControls.classList.remove('hidden');
             paginationControls.classList.remove('hidden'); // Show pagination
+            jobFilterForm.classList.toggle('hidden', !jobFilterWasOpen);
             renderJobs(currentJobViewStatus);
         } else {
-            showTableViewBtn.classList.remove('active');
-            showKanbanViewBtn.classList.add('active');
-            jobsTableContainer.classList.add('hidden');
-            jobsKanbanContainer.classList.remove('hidden');
             statusTabs.classList.add('hidden');
             sortControls.classList.add('hidden');
             paginationControls.classList.add('hidden'); // Hide pagination
-            renderJobsKanban();
+            bulkActionsBar.classList.add('hidden'); // Selection is table-only
+            if (wasTable) jobFilterWasOpen = !jobFilterForm.classList.contains('hidden');
+            jobFilterForm.classList.add('hidden'); // Filters apply to the table only
+            if (view === 'kanban') renderJobsKanban();
+            else renderJobsCalendar();
         }
         logEvent('INFO', `Switched to ${view} view.`);
     }
@@ -639,9 +309,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function refreshJobsView() {
         if (currentJobsView === 'table') {
             await renderJobs(currentJobViewStatus);
-        } else {
+        } else if (currentJobsView === 'kanban') {
             await renderJobsKanban();
+        } else {
+            await renderJobsCalendar();
         }
+        await renderDuePanel();
     }
 
     function renderLogs() {
@@ -653,46 +326,202 @@ document.addEventListener('DOMContentLoaded', async () => {
                 <tr>
                     <td class="px-6 py-4 whitespace-nowrap text-sm text-muted-foreground">${new Date(log.timestamp).toLocaleString()}</td>
                     <td class="px-6 py-4 whitespace-nowrap font-semibold ${typeClass}">${log.type}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm">${log.message}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHTML(log.message)}</td>
                 </tr>`;
         }).join('');
     }
 
+    // --- Pipeline Stages ---
+
+    async function loadStages() {
+        stages = await getStages();
+        const visible = visibleStages();
+        if (!visible.some(stage => stage.name === currentJobViewStatus)) {
+            currentJobViewStatus = visible[0]?.name ?? null;
+        }
+    }
+
+    // Stages offered in tabs, the Kanban board and the status picker
+    function visibleStages() {
+        return stages.filter(stage => !stage.retired);
+    }
+
+    function stageColor(name) {
+        const color = stages.find(stage => stage.name === name)?.color;
+        return /^#[0-9a-f]{6}$/i.test(color) ? color : '#64748b';
+    }
+
+    function stageLabel(name) {
+        return `<span class="inline-block h-2 w-2 rounded-full mr-2 align-middle" style="background-color: ${stageColor(name)}"></span>${escapeHTML(name)}`;
+    }
+
     function renderStatusTabs() {
         const tabsContainer = document.getElementById('status-tabs');
-        tabsContainer.innerHTML = JOB_STATUSES.map(status => `<button class="status-tab border-b-2 border-transparent px-4 py-2 text-sm font-medium text-muted-foreground hover:text-foreground transition whitespace-nowrap" data-status="${status}">${status}</button>`).join('');
+        tabsContainer.innerHTML = visibleStages().map(({ name }) => `<button class="status-tab border-b-2 border-transparent px-4 py-2 text-sm font-medium text-muted-foreground hover:text-foreground transition whitespace-nowrap" data-status="${escapeHTML(name)}">${stageLabel(name)}</button>`).join('');
         updateActiveTab();
     }
 
     function updateActiveTab() {
+        // A multi-status filter overrides the tabs
+        const usingTab = appState.jobFilter.statuses.length === 0;
         document.querySelectorAll('.status-tab').forEach(tab => {
-            tab.classList.toggle('active', tab.dataset.status === currentJobViewStatus);
+            tab.classList.toggle('active', usingTab && tab.dataset.status === currentJobViewStatus);
+        });
+    }
+
+    // --- Jobs Filter Bar ---
+
+    const jobFilterForm = document.getElementById('job-filter-bar');
+    let jobFilterWasOpen = false; // Restored when returning from Kanban
+
+    function countJobFilters(filter) {
+        return Object.entries(filter).filter(([field, value]) =>
+            field === 'statuses' ? value.length > 0 : field !== 'custom' && value !== null && value !== '').length
+            + Object.keys(filter.custom || {}).length;
+    }
+
+    async function renderJobFilterBar() {
+        const filter = appState.jobFilter;
+        document.getElementById('job-filter-statuses').innerHTML = stages.map(({ name, retired }) => `
+            <label class="flex items-center gap-1 ${retired ? 'text-muted-foreground' : ''}">
+                <input type="checkbox" name="statuses" value="${escapeHTML(name)}" class="h-4 w-4" ${filter.statuses.includes(name) ? 'checked' : ''}>
+                ${stageLabel(name)}${retired ? ' (retired)' : ''}
+            </label>
+        `).join('');
+
+        const [companies, profiles] = await Promise.all([getAllCompanies(), getAllProfiles()]);
+        jobFilterForm.elements.companyId.innerHTML = `<option value="">All companies</option>` +
+            companies.sort((a, b) => a.name.localeCompare(b.name)).map(c => `<option value="${c.id}">${escapeHTML(c.name)}</option>`).join('');
+        jobFilterForm.elements.profileId.innerHTML = `<option value="">Any profile</option><option value="none">No profile</option>` +
+            profiles.map(p => `<option value="${p.id}">${escapeHTML(p.name)}</option>`).join('');
+
+        document.getElementById('job-filter-pay-currency').textContent = getPaySettings().home_currency;
+        ['payMin', 'payMax', 'matchMin', 'matchMax', 'savedFrom', 'savedTo', 'location', 'companyId', 'profileId', 'tag'].forEach(field => {
+            jobFilterForm.elements[field].value = filter[field] ?? '';
+        });
+        renderCustomFilterInputs(filter.custom || {});
+        updateJobFilterCount();
+    }
+
+    // NEW: One filter per custom job field: a range for numbers and dates,
+    // a choice for selects and checkboxes, "contains" for text and URLs
+    function renderCustomFilterInputs(conditions) {
+        const inputClass = 'w-full bg-input border border-border p-2 rounded-lg';
+        document.getElementById('job-filter-custom').innerHTML = customFields.filter(f => f.entity === 'jobs').map(field => {
+            const condition = conditions[field.id] || {};
+            const attrs = part => `data-custom-filter="${field.id}" data-part="${part}"`;
+            let inputs;
+            if (field.type === 'number' || field.type === 'date') {
+                const type = field.type === 'number' ? 'number" step="any' : 'date';
+                inputs = `<span class="flex gap-2">
+                    <input type="${type}" ${attrs('min')} value="${escapeHTML(condition.min ?? '')}" placeholder="Min" class="${inputClass}">
+                    <input type="${type}" ${attrs('max')} value="${escapeHTML(condition.max ?? '')}" placeholder="Max" class="${inputClass}">
+                </span>`;
+            } else if (field.type === 'select' || field.type === 'checkbox') {
+                const options = field.type === 'select'
+                    ? field.options.map(option => [option, option])
+                    : [['yes', 'Checked'], ['no', 'Not checked']];
+                const selected = field.type === 'checkbox' && 'equals' in condition ? (condition.equals ? 'yes' : 'no') : condition.equals;
+                inputs = `<select ${attrs('equals')} class="editable-select text-sm"><option value="">Any</option>${options.map(([value, label]) =>
+                    `<option value="${escapeHTML(value)}" ${value === selected ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('')}</select>`;
+            } else {
+                inputs = `<input type="text" ${attrs('contains')} value="${escapeHTML(condition.contains ?? '')}" placeholder="Contains..." class="${inputClass}">`;
+            }
+            return `<label class="flex flex-col gap-1">${escapeHTML(field.label)}${inputs}</label>`;
+        }).join('');
+    }
+
+    function readCustomFilterInputs() {
+        const conditions = {};
+        jobFilterForm.querySelectorAll('[data-custom-filter]').forEach(input => {
+            if (input.value === '') return;
+            const field = customFields.find(f => f.id === parseInt(input.dataset.customFilter));
+            const condition = conditions[field.id] ||= {};
+            if (field.type === 'checkbox') condition.equals = input.value === 'yes';
+            else condition[input.dataset.part] = field.type === 'number' ? parseFloat(input.value) : input.value;
         });
+        return conditions;
+    }
+
+    function readJobFilterForm() {
+        const elements = jobFilterForm.elements;
+        const number = field => elements[field].value === '' ? null : parseFloat(elements[field].value);
+        const profileId = elements.profileId.value;
+        return {
+            statuses: [...jobFilterForm.querySelectorAll('input[name="statuses"]:checked')].map(input => input.value),
+            payMin: number('payMin'),
+            payMax: number('payMax'),
+            matchMin: number('matchMin'),
+            matchMax: number('matchMax'),
+            savedFrom: elements.savedFrom.value,
+            savedTo: elements.savedTo.value,
+            location: elements.location.value.trim(),
+            companyId: elements.companyId.value ? parseInt(elements.companyId.value) : null,
+            profileId: profileId === 'none' ? 'none' : (profileId ? parseInt(profileId) : null),
+            tag: elements.tag.value.trim(),
+            custom: readCustomFilterInputs()
+        };
+    }
+
+    function updateJobFilterCount() {
+        const count = countJobFilters(appState.jobFilter);
+        const badge = document.getElementById('job-filter-count');
+        badge.textContent = count;
+        badge.classList.toggle('hidden', count === 0);
+    }
+
+    function applyJobFilter(filter) {
+        appState.jobFilter = filter;
+        saveSettings({ quiet: true });
+        updateJobFilterCount();
+        updateActiveTab();
+        renderJobs(currentJobViewStatus);
     }
 
 
     // UPDATED: renderJobs (Table View) - Now async and uses IndexedDB
     async function renderJobs(status) {
-        // 1. Get total count for pagination
-        const totalItems = await getJobCount(status);
-        const totalPages = Math.ceil(totalItems / appState.itemsPerPage);
-        appState.currentPage = Math.min(appState.currentPage, totalPages) || 1;
+        // 1. Start over when the status, filter, sort or page size changed, since
+        // page cursors are only valid for the query that produced them
+        const signature = `${status}|${currentSortOrder}|${appState.itemsPerPage}|${JSON.stringify(appState.jobFilter)}`;
+        if (pagination.signature !== signature) {
+            pagination = { signature, cursors: [null] };
+            appState.currentPage = 1;
+            selectedJobIds.clear();
+        }
 
+        // 2. Get the page, continuing from the previous page's last key
+        const { jobs, next, total: totalItems } = await queryJobs({
+            status,
+            filter: appState.jobFilter,
+            sortBy: currentSortOrder,
+            after: pagination.cursors[appState.currentPage - 1],
+            limit: appState.itemsPerPage
+        });
+        if (jobs.length === 0 && appState.currentPage > 1) {
+            // Page emptied by edits elsewhere, step back
+            appState.currentPage--;
+            return renderJobs(status);
+        }
+        pagination.cursors[appState.currentPage] = next;
+
+        const totalPages = Math.ceil(totalItems / appState.itemsPerPage);
         renderPaginationControls(totalItems, totalPages);
+        currentPageJobIds = jobs.map(job => job.id);
+        currentQueryTotal = totalItems;
 
-        // 2. Get profiles for dropdown
+        // 3. Get profiles for dropdown
         const profiles = await getAllProfiles();
-
-        // 3. Get paginated job data
-        const jobs = await getPaginatedJobs(status, currentSortOrder, appState.currentPage, appState.itemsPerPage);
+        renderBulkActionOptions(profiles);
 
         // 4. Render Table Head
         const tableHead = jobsTableContainer.querySelector('thead');
         tableHead.innerHTML = `
             <tr>
+                <th class="px-4 py-3"><input type="checkbox" id="select-page-jobs" class="h-4 w-4" title="Select all on this page"></th>
                 ${appState.columnConfig.map(col => `
                     <th class="px-6 py-3 text-left text-xs font-medium text-card-foreground uppercase tracking-wider ${col.visible ? '' : 'hidden'}" data-col-key="${col.key}">
-                        ${col.label}
+                        ${escapeHTML(col.label)}
                     </th>
                 `).join('')}
             </tr>
@@ -700,26 +529,29 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // 5. Render Table Body
         if (jobs.length === 0) {
-            const colSpan = appState.columnConfig.filter(c => c.visible).length;
-            jobsTableBody.innerHTML = `<tr><td colspan="${colSpan}" class="text-center py-8 text-muted-foreground">No jobs in this category.</td></tr>`;
+            const colSpan = appState.columnConfig.filter(c => c.visible).length + 1; // + selection column
+            const message = countJobFilters(appState.jobFilter) > 0 ? 'No jobs match the current filters.' : 'No jobs in this category.';
+            jobsTableBody.innerHTML = `<tr><td colspan="${colSpan}" class="text-center py-8 text-muted-foreground">${message}</td></tr>`;
+            updateBulkActionsBar();
             return;
         }
 
         // UPDATED: Loop now uses job objects
         jobsTableBody.innerHTML = jobs.map(job => {
-            const { id, title, company_id, location, status: currentStatus, created_at, profile_id, match_percentage, notes, salary, url, description } = job;
+            const { id, title, location, status: currentStatus, created_at, profile_id, match_percentage, notes, compensation, url, description } = job;
 
-            // Use companyMap to get name from ID
-            const company_name = companyMap.get(company_id) || 'Unknown Company';
+            // Joined in by queryJobs
+            const company_name = job.company_name || 'Unknown Company';
 
             // UPDATED: Profile options use objects
             const profileOptionsHtml = `<option value="">- Select Profile -</option>` + profiles.map(p => `<option value="${p.id}" ${p.id === profile_id ? 'selected' : ''}>${p.name}</option>`).join('');
 
             // Create an object from the row data for easy access by key
-            const rowData = { id, title, company_name, location, currentStatus, created_at, profile_id, match_percentage, notes, salary, url, description };
+            const rowData = { id, title, company_name, location, currentStatus, created_at, profile_id, match_percentage, notes, compensation, url, description };
 
             return `
                 <tr class="job-row" data-id="${id}">
+                    <td class="px-4 py-4"><input type="checkbox" class="job-select h-4 w-4" value="${id}" ${selectedJobIds.has(id) ? 'checked' : ''}></td>
                     ${appState.columnConfig.map(col => {
                 // Handle each cell based on its column key
                 let content = '';
@@ -730,7 +562,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         content = `<td class="px-6 py-4 whitespace-nowrap" data-field="details">${rowData[col.key] || 'N/A'}</td>`;
                         break;
                     case 'salary':
-                        content = `<td class="px-6 py-4 whitespace-nowrap">${rowData.salary ? `₹${rowData.salary} LPA` : 'N/A'}</td>`;
+                        content = `<td class="px-6 py-4 whitespace-nowrap" title="${escapeHTML(formatNormalizedPay(rowData.compensation))}">${escapeHTML(formatPay(rowData.compensation)) || 'N/A'}</td>`;
                         break;
                     case 'url':
                         content = `<td class="px-6 py-4 whitespace-nowrap">
@@ -758,7 +590,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                                     </td>`;
                         break;
                     case 'status':
-                        content = `<td class="px-6 py-4 whitespace-nowrap" data-field="status" data-current-status="${rowData.currentStatus}">${rowData.currentStatus}</td>`;
+                        content = `<td class="px-6 py-4 whitespace-nowrap" data-field="status" data-current-status="${escapeHTML(rowData.currentStatus)}">${stageLabel(rowData.currentStatus)}</td>`;
                         break;
                     case 'notes':
                         content = `<td class="px-6 py-4 whitespace-nowrap max-w-xs truncate" data-field="notes" data-id="${id}" data-type="jobs" title="${notes || 'Click to add notes'}">${notes || ''}</td>`;
@@ -766,18 +598,128 @@ document.addEventListener('DOMContentLoaded', async () => {
                     case 'created_at':
                         content = `<td class="px-6 py-4 whitespace-nowrap" data-field="details">${new Date(rowData.created_at).toLocaleDateString()}</td>`;
                         break;
+                    case 'apply_by':
+                    case 'follow_up_on':
+                    case 'offer_expires_on':
+                        content = `<td class="px-6 py-4 whitespace-nowrap">${job[col.key] ? formatDueDate(job[col.key]) : ''}</td>`;
+                        break;
+                    case 'tags':
+                        content = `<td class="px-6 py-4 whitespace-nowrap">${(job.tags || []).map(tag =>
+                            `<span class="text-xs bg-secondary text-secondary-foreground px-2 py-0.5 rounded-full mr-1">${escapeHTML(tag)}</span>`).join('')}</td>`;
+                        break;
+                    default: {
+                        // NEW: Custom field columns ('custom.<field id>')
+                        const field = customFields.find(f => `custom.${f.id}` === col.key);
+                        content = `<td class="px-6 py-4 whitespace-nowrap max-w-xs truncate">${field ? formatCustomValue(field, job.custom?.[field.id]) : ''}</td>`;
+                    }
                 }
                 return col.visible ? content : content.replace('<td ', '<td class="hidden" ');
             }).join('')}
                 </tr>`;
         }).join('');
+        updateBulkActionsBar();
     }
 
     // NEW: Render Pagination Controls
     function renderPaginationControls(totalItems, totalPages) {
-        pageInfo.textContent = `Page ${appState.currentPage} of ${totalPages || 1}`;
+        pageInfo.textContent = `Page ${appState.currentPage} of ${totalPages || 1} · ${totalItems} job${totalItems === 1 ? '' : 's'}`;
         prevPageBtn.disabled = appState.currentPage <= 1;
-        nextPageBtn.disabled = appState.currentPage >= totalPages;
+        nextPageBtn.disabled = !pagination.cursors[appState.currentPage];
+    }
+
+    // --- Bulk Job Actions ---
+
+    function updateBulkActionsBar() {
+        const count = selectedJobIds.size;
+        bulkActionsBar.classList.toggle('hidden', count === 0 || currentJobsView !== 'table');
+        document.getElementById('bulk-selection-count').textContent = `${count} selected`;
+
+        const pageSelected = currentPageJobIds.filter(id => selectedJobIds.has(id)).length;
+        const pageCheckbox = document.getElementById('select-page-jobs');
+        if (pageCheckbox) {
+            pageCheckbox.checked = pageSelected > 0 && pageSelected === currentPageJobIds.length;
+            pageCheckbox.indeterminate = pageSelected > 0 && pageSelected < currentPageJobIds.length;
+        }
+
+        // Offer the whole result set once the page is fully selected
+        const matchingBtn = document.getElementById('bulk-select-matching-btn');
+        matchingBtn.classList.toggle('hidden', !(pageCheckbox?.checked && currentQueryTotal > count));
+        matchingBtn.textContent = `Select all ${currentQueryTotal} matching`;
+    }
+
+    function renderBulkActionOptions(profiles) {
+        document.getElementById('bulk-status-select').innerHTML = `<option value="">Move to...</option>` +
+            visibleStages().map(({ name }) => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+        document.getElementById('bulk-profile-select').innerHTML = `<option value="">Assign profile...</option><option value="none">No profile</option>` +
+            profiles.map(p => `<option value="${p.id}">${escapeHTML(p.name)}</option>`).join('');
+    }
+
+    // Summary for the status footer: describeBulkResult('Tagged {jobs}', result)
+    // gives e.g. "Tagged 3 jobs; 1 unchanged."
+    function describeBulkResult(action, { updated = 0, unchanged = 0, missing = 0 }) {
+        const notes = [];
+        if (unchanged) notes.push(`${unchanged} unchanged`);
+        if (missing) notes.push(`${missing} no longer exist`);
+        const jobs = `${updated} job${updated === 1 ? '' : 's'}`;
+        return `${action.replace('{jobs}', () => jobs)}${notes.length ? `; ${notes.join(', ')}` : ''}.`;
+    }
+
+    // Runs one transactional bulk change over the selection and reports it
+    async function runBulkAction(action, apply) {
+        const ids = [...selectedJobIds];
+        try {
+            const result = await apply(ids);
+            const summary = describeBulkResult(action, result);
+            logEvent('SUCCESS', `Bulk action on ${ids.length} job(s): ${summary}`);
+            showStatus(summary, 'success');
+        } catch (err) {
+            logEvent('ERROR', `Bulk action failed: ${err.message}`);
+            showStatus(`Bulk action failed; no jobs were changed. ${err.message}`, 'error');
+        }
+        await refreshJobsView();
+    }
+
+    // LLM calls cannot share a transaction, so each job is analyzed and saved in turn
+    async function analyzeSelectedJobs() {
+        const jobs = (await Promise.all([...selectedJobIds].map(id => getJob(id)))).filter(Boolean);
+        const withProfile = jobs.filter(job => job.profile_id);
+        const profiles = new Map((await getAllProfiles()).map(p => [p.id, p]));
+        let matched = 0;
+        let failed = 0;
+        try {
+            for (const [index, job] of withProfile.entries()) {
+                showLoading(`Analyzing match ${index + 1} of ${withProfile.length}...`);
+                try {
+                    const { match_percentage, justification } = await runMatchAnalysis(job.description, profiles.get(job.profile_id)?.content);
+                    await updateJob({ ...job, match_percentage, match_justification: justification });
+                    matched++;
+                } catch (err) {
+                    failed++;
+                    logEvent('ERROR', `AI match failed for JobID ${job.id}: ${err.message}`);
+                }
+            }
+        } finally {
+            hideLoading();
+        }
+        const skipped = jobs.length - withProfile.length;
+        const summary = `Analyzed ${matched} job${matched === 1 ? '' : 's'}` +
+            (skipped ? `; ${skipped} skipped without a profile` : '') + (failed ? `; ${failed} failed` : '') + '.';
+        logEvent(failed ? 'ERROR' : 'SUCCESS', `Bulk match analysis: ${summary}`);
+        showStatus(summary, failed ? 'error' : 'success');
+        await refreshJobsView();
+    }
+
+    async function exportSelectedJobs() {
+        try {
+            const json = await exportJobs([...selectedJobIds]);
+            if (!await saveBackupFile(json, `careerjam_jobs_${Date.now()}`)) return;
+            const count = JSON.parse(json).jobs.length;
+            logEvent('SUCCESS', `Exported ${count} selected job(s).`);
+            showStatus(`Exported ${count} job${count === 1 ? '' : 's'}. Use Merge Import to load them elsewhere.`, 'success');
+        } catch (err) {
+            logEvent('ERROR', `Export failed: ${err.message}`);
+            showStatus('Export failed.', 'error');
+        }
     }
 
     // NEW: Render Column Toggles - Now with drag and drop
@@ -788,7 +730,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 <span class="material-symbols-outlined drag-handle">drag_indicator</span>
                 <label>
                     <input type="checkbox" data-col-key="${col.key}" class="h-4 w-4 rounded border-border text-primary focus:ring-primary" ${col.visible ? 'checked' : ''}>
-                    <span class="text-sm">${col.label}</span>
+                    <span class="text-sm">${escapeHTML(col.label)}</span>
                 </label>
             </div>
         `).join('');
@@ -870,65 +812,60 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // UPDATED: renderJobsKanban - now async
     async function renderJobsKanban() {
-        // This is a bit inefficient as it gets *all* jobs, but IndexedDB
-        // makes it hard to get *all* statuses sorted by date without cursors.
-        // For Kanban, this is acceptable.
-
-        // We can't sort by created_at AND filter by status easily.
-        // Let's just get all jobs and sort/group in JS.
-        const transaction = db.transaction('jobs', 'readonly');
-        const store = transaction.objectStore('jobs');
-        const request = store.getAll();
-
-        request.onsuccess = () => {
-            const jobs = request.result.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-            const jobsByStatus = JOB_STATUSES.reduce((acc, status) => {
-                acc[status] = [];
-                return acc;
-            }, {});
-
-            jobs.forEach(job => {
-                if (jobsByStatus[job.status]) {
-                    jobsByStatus[job.status].push(job);
-                }
-            });
+        // The board shows every job, so load them all and group in JS.
+        let jobs;
+        try {
+            jobs = await getAllJobs();
+        } catch (err) {
+            jobsKanbanContainer.innerHTML = `<p class="text-destructive p-4">Error loading Kanban data.</p>`;
+            logEvent('ERROR', `Failed to render Kanban: ${err.message}`);
+            return;
+        }
+        jobs.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        const today = localDateKey(new Date());
 
-            jobsKanbanContainer.innerHTML = `
-                <div class="flex space-x-4 overflow-x-auto pb-4">
-                    ${JOB_STATUSES.map(status => {
-                const jobsInStatus = jobsByStatus[status];
-                return `
-                        <div class="kanban-column w-72 md:w-80 flex-shrink-0">
-                            <h3 class="font-semibold p-3 bg-muted rounded-t-lg flex justify-between items-center text-sm uppercase tracking-wide">
-                                <span>${status}</span>
-                                <span class="text-xs font-normal bg-secondary text-secondary-foreground px-2 py-0.5 rounded-full">${jobsInStatus.length}</span>
-                            </h3>
-                            <div id="kanban-col-${status}" data-status="${status}" class="kanban-dropzone space-y-3 p-3 bg-card rounded-b-lg h-full overflow-y-auto" style="min-height: 50vh;">
-                                ${jobsInStatus.length === 0 ? `<p class="text-sm text-muted-foreground p-2">No jobs here.</p>` : ''}
-                                ${jobsInStatus.map(job => `
-                                    <div class="kanban-card p-3 bg-background rounded-lg shadow-sm cursor-pointer" data-id="${job.id}" draggable="true">
-                                        <h4 class="font-semibold text-sm">${job.title}</h4>
-                                        <p class="text-sm text-muted-foreground">${companyMap.get(job.company_id) || 'Unknown'}</p>
-                                        <div class="flex justify-between items-center mt-2 text-xs">
-                                            <span class="text-muted-foreground">${job.salary ? `₹${job.salary} LPA` : ''}</span>
-                                            ${job.match_percentage !== null ? `<span class="font-medium ${job.match_percentage > 70 ? 'text-green-400' : 'text-muted-foreground'}">${job.match_percentage}% Match</span>` : ''}
-                                        </div>
+        const jobsByStatus = stages.reduce((acc, stage) => {
+            acc[stage.name] = [];
+            return acc;
+        }, {});
+
+        jobs.forEach(job => {
+            if (jobsByStatus[job.status]) {
+                jobsByStatus[job.status].push(job);
+            }
+        });
+
+        jobsKanbanContainer.innerHTML = `
+            <div class="flex space-x-4 overflow-x-auto pb-4">
+                ${stages.filter(stage => !stage.retired || jobsByStatus[stage.name].length > 0).map(({ id, name: status }) => {
+            // Retired stages only get a column while jobs are still in them
+            const jobsInStatus = jobsByStatus[status];
+            return `
+                    <div class="kanban-column w-72 md:w-80 flex-shrink-0">
+                        <h3 class="font-semibold p-3 bg-muted rounded-t-lg flex justify-between items-center text-sm uppercase tracking-wide">
+                            <span>${stageLabel(status)}</span>
+                            <span class="text-xs font-normal bg-secondary text-secondary-foreground px-2 py-0.5 rounded-full">${jobsInStatus.length}</span>
+                        </h3>
+                        <div id="kanban-col-${id}" data-status="${escapeHTML(status)}" class="kanban-dropzone space-y-3 p-3 bg-card rounded-b-lg h-full overflow-y-auto" style="min-height: 50vh;">
+                            ${jobsInStatus.length === 0 ? `<p class="text-sm text-muted-foreground p-2">No jobs here.</p>` : ''}
+                            ${jobsInStatus.map(job => `
+                                <div class="kanban-card p-3 bg-background rounded-lg shadow-sm cursor-pointer" data-id="${job.id}" draggable="true">
+                                    <h4 class="font-semibold text-sm">${job.title}</h4>
+                                    <p class="text-sm text-muted-foreground">${companyMap.get(job.company_id) || 'Unknown'}</p>
+                                    <div class="flex justify-between items-center mt-2 text-xs">
+                                        <span class="text-muted-foreground">${escapeHTML(formatPay(job.compensation))}</span>
+                                        ${job.match_percentage !== null ? `<span class="font-medium ${job.match_percentage > 70 ? 'text-green-400' : 'text-muted-foreground'}">${job.match_percentage}% Match</span>` : ''}
                                     </div>
-                                `).join('')}
-                            </div>
+                                    ${kanbanDueBadge(job, today)}
+                                </div>
+                            `).join('')}
                         </div>
-                    `}).join('')}
-                </div>
-            `;
-            // Add drag-and-drop listeners
-            setupDragAndDrop();
-        };
-
-        request.onerror = (event) => {
-            jobsKanbanContainer.innerHTML = `<p class="text-destructive p-4">Error loading Kanban data.</p>`;
-            logEvent('ERROR', `Failed to render Kanban: ${event.target.error}`);
-        };
+                    </div>
+                `}).join('')}
+            </div>
+        `;
+        // Add drag-and-drop listeners
+        setupDragAndDrop();
     }
 
     // UPDATED: setupDragAndDrop to use new DB functions
@@ -967,19 +904,11 @@ document.addEventListener('DOMContentLoaded', async () => {
                     // Update DB (now async)
                     try {
                         const jobId = parseInt(draggedItemId);
-                        const job = await getJob(jobId);
+                        const job = await setJobStatus(jobId, newStatus, 'kanban');
                         if (job) {
-                            job.status = newStatus;
-                            await updateJob(job);
                             logEvent('INFO', `Dragged job ID ${jobId} to ${newStatus}`);
-
-                            // Optimistically update UI
-                            const draggedCard = document.querySelector(`.kanban-card[data-id="${draggedItemId}"]`);
-                            if (draggedCard) {
-                                zone.appendChild(draggedCard);
-                            } else {
-                                renderJobsKanban(); // Fallback to full re-render
-                            }
+                            // The stage's reminder may have set a due date, so redraw the card and the due panel
+                            await refreshJobsView();
                         }
                     } catch (err) {
                         logEvent('ERROR', `Failed to update job status via drag: ${err.message}`);
@@ -990,6 +919,346 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    // --- Calendar View ---
+
+    const CALENDAR_ITEM_STYLES = {
+        saved: { label: 'Saved', icon: 'bookmark_add', tone: 'bg-muted text-muted-foreground' },
+        applied: { label: 'Applied', icon: 'send', tone: 'bg-secondary text-secondary-foreground' },
+        interview: { label: 'Interview', icon: 'groups', tone: 'bg-primary text-primary-foreground' },
+        due: { label: 'Due date', icon: 'alarm', tone: 'bg-amber-500 text-white' }
+    };
+    const CALENDAR_MONTH_ITEM_LIMIT = 4; // Busier days show "+n more", which opens their week
+    let calendarMode = 'month'; // 'month' or 'week'
+    let calendarAnchor = localDateKey(new Date()); // Any day of the month or week shown
+    let calendarDrag = null; // The interview or due date being dragged
+
+    // First and last day shown: the whole weeks covering the month, or one week
+    function calendarRange() {
+        if (calendarMode === 'week') {
+            const from = startOfWeek(calendarAnchor);
+            return { from, to: addDays(from, 6) };
+        }
+        const anchor = new Date(`${calendarAnchor}T00:00:00`);
+        const first = localDateKey(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+        const last = localDateKey(new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0));
+        return { from: startOfWeek(first), to: addDays(startOfWeek(last), 6) };
+    }
+
+    // Moves the calendar a month or week back (-1) or forward (1)
+    function shiftCalendar(step) {
+        if (calendarMode === 'week') {
+            calendarAnchor = addDays(calendarAnchor, step * 7);
+        } else {
+            const anchor = new Date(`${calendarAnchor}T00:00:00`);
+            calendarAnchor = localDateKey(new Date(anchor.getFullYear(), anchor.getMonth() + step, 1));
+        }
+        renderJobsCalendar();
+    }
+
+    function calendarItemChip(item, today) {
+        const style = CALENDAR_ITEM_STYLES[item.type];
+        const company = item.job.company_name ? ` at ${item.job.company_name}` : '';
+        let text = item.job.title;
+        let title = `${style.label}: ${item.job.title}${company}`;
+        let tone = style.tone;
+        if (item.type === 'interview') {
+            const time = new Date(item.interview.scheduled_at).toLocaleTimeString([], { timeStyle: 'short' });
+            text = `${time} ${item.interview.round}`;
+            title = `${item.interview.round} (${INTERVIEW_FORMAT_LABELS[item.interview.format]}, ${item.interview.duration_minutes} min): ${item.job.title}${company}`;
+            if (item.interview.outcome === 'cancelled') tone = 'bg-muted text-muted-foreground line-through';
+        } else if (item.type === 'due') {
+            title = `${DUE_DATE_LABELS[item.field]}: ${item.job.title}${company}`;
+            if (item.date < today) tone = 'bg-destructive text-destructive-foreground';
+        }
+        const draggable = item.type === 'interview' || item.type === 'due';
+        return `
+            <div class="calendar-item flex items-center gap-1 px-1.5 py-0.5 rounded text-xs cursor-pointer ${tone}" title="${escapeHTML(title)}"
+                data-job-id="${item.job.id}" data-type="${item.type}"${item.field ? ` data-field="${item.field}"` : ''}${item.interview ? ` data-interview-id="${item.interview.id}"` : ''}${draggable ? ' draggable="true"' : ''}>
+                <span class="material-symbols-outlined text-sm leading-none">${style.icon}</span>
+                <span class="truncate">${escapeHTML(text)}</span>
+            </div>`;
+    }
+
+    // NEW: Month or week grid of saved and applied dates, interview rounds and due dates
+    async function renderJobsCalendar() {
+        const grid = document.getElementById('jobs-calendar-grid');
+        const { from, to } = calendarRange();
+        let items;
+        try {
+            items = await getCalendarItems({ from, to });
+        } catch (err) {
+            grid.innerHTML = `<p class="text-destructive p-4">Error loading calendar data.</p>`;
+            logEvent('ERROR', `Failed to render calendar: ${err.message}`);
+            return;
+        }
+
+        document.getElementById('calendar-title').textContent = calendarMode === 'month'
+            ? new Date(`${calendarAnchor}T00:00:00`).toLocaleDateString([], { month: 'long', year: 'numeric' })
+            : `${formatDueDate(from)} – ${formatDueDate(to)}`;
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.calendarMode === calendarMode));
+        document.getElementById('calendar-legend').innerHTML = Object.values(CALENDAR_ITEM_STYLES).map(style =>
+            `<span class="flex items-center gap-1 px-2 py-0.5 rounded ${style.tone}"><span class="material-symbols-outlined text-sm leading-none">${style.icon}</span>${style.label}</span>`
+        ).join('');
+
+        const today = localDateKey(new Date());
+        const month = calendarAnchor.slice(0, 7);
+        const limit = calendarMode === 'month' ? CALENDAR_MONTH_ITEM_LIMIT : Infinity;
+        const byDate = new Map();
+        items.forEach(item => {
+            if (!byDate.has(item.date)) byDate.set(item.date, []);
+            byDate.get(item.date).push(item);
+        });
+        const days = [];
+        for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+
+        grid.innerHTML = `
+            <div class="grid grid-cols-7 min-w-[42rem] border-b border-border text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                ${days.slice(0, 7).map(day => `<div class="p-2">${new Date(`${day}T00:00:00`).toLocaleDateString([], { weekday: 'short' })}</div>`).join('')}
+            </div>
+            <div class="grid grid-cols-7 min-w-[42rem]">
+                ${days.map(day => {
+            const dayItems = byDate.get(day) || [];
+            const outside = calendarMode === 'month' && !day.startsWith(month);
+            return `
+                    <div class="calendar-day border-b border-r border-border p-1 ${calendarMode === 'month' ? 'min-h-[7rem]' : 'min-h-[20rem]'} ${outside ? 'opacity-50' : ''}" data-date="${day}">
+                        <div class="text-xs mb-1 ${day === today ? 'inline-block bg-primary text-primary-foreground rounded-full px-2' : 'text-muted-foreground'}">${new Date(`${day}T00:00:00`).getDate()}</div>
+                        <div class="space-y-1">
+                            ${dayItems.slice(0, limit).map(item => calendarItemChip(item, today)).join('')}
+                            ${dayItems.length > limit ? `<button type="button" class="calendar-more-btn text-xs text-primary hover:underline">+${dayItems.length - limit} more</button>` : ''}
+                        </div>
+                    </div>`;
+        }).join('')}
+            </div>`;
+    }
+
+    // Opens the job behind an item, or the week of a busy day
+    function handleCalendarClick(e) {
+        const day = e.target.closest('.calendar-day');
+        if (e.target.closest('.calendar-more-btn') && day) {
+            calendarMode = 'week';
+            calendarAnchor = day.dataset.date;
+            renderJobsCalendar();
+            return;
+        }
+        const item = e.target.closest('.calendar-item');
+        if (item) showJobDetail(parseInt(item.dataset.jobId));
+    }
+
+    // Drag and drop is delegated, since the grid is re-rendered on every change
+    function setupCalendarDragAndDrop() {
+        const grid = document.getElementById('jobs-calendar-grid');
+        const clearTarget = () => grid.querySelectorAll('.calendar-day.bg-muted').forEach(day => day.classList.remove('bg-muted'));
+
+        grid.addEventListener('dragstart', e => {
+            const item = e.target.closest('.calendar-item[draggable="true"]');
+            if (!item) return;
+            calendarDrag = {
+                type: item.dataset.type,
+                jobId: parseInt(item.dataset.jobId),
+                field: item.dataset.field,
+                interviewId: parseInt(item.dataset.interviewId),
+                from: item.closest('.calendar-day').dataset.date
+            };
+            e.dataTransfer?.setData('text/plain', item.title); // Firefox only drags with data set
+            setTimeout(() => item.classList.add('opacity-50'), 0);
+        });
+
+        grid.addEventListener('dragend', e => {
+            e.target.closest('.calendar-item')?.classList.remove('opacity-50');
+            calendarDrag = null;
+            clearTarget();
+        });
+
+        grid.addEventListener('dragover', e => {
+            const day = e.target.closest('.calendar-day');
+            if (!day || !calendarDrag) return;
+            e.preventDefault(); // Allow drop
+            if (!day.classList.contains('bg-muted')) {
+                clearTarget();
+                day.classList.add('bg-muted');
+            }
+        });
+
+        grid.addEventListener('drop', async e => {
+            const day = e.target.closest('.calendar-day');
+            if (!day || !calendarDrag) return;
+            e.preventDefault();
+            const drag = calendarDrag;
+            calendarDrag = null;
+            clearTarget();
+            if (day.dataset.date !== drag.from) await rescheduleCalendarItem(drag, day.dataset.date);
+        });
+    }
+
+    // Moves a due date, or an interview round keeping its time of day
+    async function rescheduleCalendarItem({ type, jobId, field, interviewId }, date) {
+        try {
+            if (type === 'due') {
+                await setJobDueDate(jobId, field, date);
+                showStatus(`${DUE_DATE_LABELS[field]} moved to ${formatDueDate(date)}.`, 'success');
+            } else {
+                const interview = (await getInterviews({ jobId })).find(i => i.id === interviewId);
+                if (!interview) return;
+                const start = new Date(interview.scheduled_at);
+                const [year, month, day] = date.split('-').map(Number);
+                start.setFullYear(year, month - 1, day);
+                await updateInterview({ ...interview, scheduled_at: start.toISOString() });
+                showStatus(`Interview "${interview.round}" moved to ${formatDueDate(date)}.`, 'success');
+            }
+            logEvent('INFO', `Rescheduled ${type === 'due' ? field : `interview ID ${interviewId}`} of job ID ${jobId} to ${date}.`);
+        } catch (err) {
+            logEvent('ERROR', `Failed to reschedule via drag: ${err.message}`);
+            showStatus('Error rescheduling.', 'error');
+        }
+        await refreshJobsView();
+    }
+
+    // --- Dashboard ---
+
+    const DASHBOARD_COMPANY_LIMIT = 8;
+    const CHART_WIDTH = 480; // SVG user units; charts scale to their card
+
+    function formatPercent(ratio) {
+        return ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+    }
+
+    function emptyChart(message = 'Not enough data yet.') {
+        return `<p class="text-sm text-muted-foreground">${message}</p>`;
+    }
+
+    // One bar per row: { label, value, max?, color?, text, title? }. Bars share
+    // the largest value as their scale unless a row sets its own `max`.
+    function svgHorizontalBars(rows) {
+        if (rows.length === 0) return emptyChart();
+        const rowHeight = 26;
+        const labelWidth = 130;
+        const barWidth = CHART_WIDTH - labelWidth - 90;
+        const scale = Math.max(...rows.map(row => row.value), 0) || 1;
+        return `
+            <svg viewBox="0 0 ${CHART_WIDTH} ${rows.length * rowHeight}" class="w-full h-auto text-xs" role="img">
+                ${rows.map((row, i) => {
+            const y = i * rowHeight;
+            const width = row.value > 0 ? Math.max(2, (row.value / (row.max ?? scale)) * barWidth) : 0;
+            return `
+                    <g>
+                        <title>${escapeHTML(row.title || `${row.label}: ${row.text}`)}</title>
+                        <text x="${labelWidth - 8}" y="${y + 17}" text-anchor="end" class="fill-current">${escapeHTML(truncateText(row.label, 20))}</text>
+                        <rect x="${labelWidth}" y="${y + 5}" width="${barWidth}" height="16" rx="3" class="fill-muted"></rect>
+                        <rect x="${labelWidth}" y="${y + 5}" width="${width.toFixed(1)}" height="16" rx="3" ${row.color ? `fill="${escapeHTML(row.color)}"` : 'class="fill-primary"'}></rect>
+                        <text x="${labelWidth + barWidth + 8}" y="${y + 17}" class="fill-muted-foreground">${escapeHTML(row.text)}</text>
+                    </g>`;
+        }).join('')}
+            </svg>`;
+    }
+
+    // One column per { label, value, title }; labels thin out on long ranges
+    function svgColumns(columns) {
+        const height = 170;
+        const top = 16;
+        const bottom = 22;
+        const slot = CHART_WIDTH / columns.length;
+        const scale = Math.max(...columns.map(column => column.value), 1);
+        const labelEvery = Math.ceil(columns.length / 12);
+        return `
+            <svg viewBox="0 0 ${CHART_WIDTH} ${height}" class="w-full h-auto text-xs" role="img">
+                <line x1="0" x2="${CHART_WIDTH}" y1="${height - bottom}" y2="${height - bottom}" class="stroke-border"></line>
+                ${columns.map((column, i) => {
+            const barHeight = (column.value / scale) * (height - top - bottom);
+            const center = i * slot + slot / 2;
+            return `
+                    <g>
+                        <title>${escapeHTML(column.title)}</title>
+                        <rect x="${(center - slot * 0.35).toFixed(1)}" y="${(height - bottom - barHeight).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2" class="fill-primary"></rect>
+                        ${column.value > 0 ? `<text x="${center.toFixed(1)}" y="${(height - bottom - barHeight - 4).toFixed(1)}" text-anchor="middle" class="fill-muted-foreground">${column.value}</text>` : ''}
+                        ${i % labelEvery === 0 ? `<text x="${center.toFixed(1)}" y="${height - 6}" text-anchor="middle" class="fill-muted-foreground">${escapeHTML(column.label)}</text>` : ''}
+                    </g>`;
+        }).join('')}
+            </svg>`;
+    }
+
+    // Match % across, furthest funnel stage up; dots are spread a little so equal jobs stay visible
+    function svgMatchScatter(points, funnelStages) {
+        if (points.length === 0) return emptyChart('No jobs have a match score yet.');
+        const rowHeight = 28;
+        const left = 130;
+        const right = 16;
+        const bottom = 22;
+        const plotWidth = CHART_WIDTH - left - right;
+        const height = funnelStages.length * rowHeight + bottom;
+        const rowOf = name => funnelStages.length - 1 - funnelStages.indexOf(name); // Furthest stage on top
+        return `
+            <svg viewBox="0 0 ${CHART_WIDTH} ${height}" class="w-full h-auto text-xs" role="img">
+                ${funnelStages.map(name => `
+                    <text x="${left - 8}" y="${rowOf(name) * rowHeight + 18}" text-anchor="end" class="fill-current">${escapeHTML(truncateText(name, 20))}</text>
+                    <line x1="${left}" x2="${CHART_WIDTH - right}" y1="${rowOf(name) * rowHeight + 14}" y2="${rowOf(name) * rowHeight + 14}" class="stroke-border"></line>`).join('')}
+                ${[0, 25, 50, 75, 100].map(tick => `<text x="${left + (tick / 100) * plotWidth}" y="${height - 6}" text-anchor="middle" class="fill-muted-foreground">${tick}%</text>`).join('')}
+                ${points.filter(point => point.reached !== null).map(point => {
+            const x = left + (Math.min(100, Math.max(0, point.match)) / 100) * plotWidth;
+            const y = rowOf(point.reached) * rowHeight + 14 + ((point.job_id * 7) % 9 - 4) * 1.5;
+            return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="5" fill="${escapeHTML(stageColor(point.status))}" fill-opacity="0.85"><title>${escapeHTML(`${point.title}: ${point.match}% match, reached ${point.reached}, now ${point.status}`)}</title></circle>`;
+        }).join('')}
+            </svg>`;
+    }
+
+    // NEW: Pipeline analytics, computed locally by getPipelineStats
+    async function renderDashboard() {
+        let stats;
+        try {
+            stats = await getPipelineStats({ weeks: parseInt(document.getElementById('dashboard-weeks').value) || 12 });
+        } catch (err) {
+            logEvent('ERROR', `Failed to load dashboard: ${err.message}`);
+            showStatus('Error loading dashboard.', 'error');
+            return;
+        }
+        const { totals } = stats;
+        const responseRate = totals.applied > 0 ? totals.responded / totals.applied : null;
+        document.getElementById('dashboard-totals').innerHTML = [
+            ['Jobs tracked', totals.jobs],
+            ['Applied', totals.applied],
+            ['Response rate', formatPercent(responseRate)]
+        ].map(([label, value]) => `
+            <div class="bg-card rounded-lg shadow-md px-4 py-2">
+                <p class="text-xs text-muted-foreground">${label}</p>
+                <p class="text-2xl font-semibold">${value}</p>
+            </div>`).join('');
+
+        document.getElementById('dashboard-funnel').innerHTML = totals.jobs === 0 ? emptyChart() : svgHorizontalBars(stats.funnel.map(step => ({
+            label: step.stage,
+            value: step.reached,
+            color: step.color,
+            text: step.conversion === null ? `${step.reached}` : `${step.reached} · ${formatPercent(step.conversion)}`,
+            title: `${step.reached} job(s) reached ${step.stage}${step.conversion === null ? '' : `, ${formatPercent(step.conversion)} of the stage before`}`
+        })));
+
+        // Without an applied stage nothing counts as applied, so say how to fix that instead of charting zeros
+        const noAppliedStage = stats.appliedStage === null && emptyChart('Mark a pipeline stage as Applied in Settings to count applications.');
+        document.getElementById('dashboard-weekly').innerHTML = noAppliedStage || svgColumns(stats.weekly.map(({ week, applied }) => ({
+            label: new Date(`${week}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' }),
+            value: applied,
+            title: `Week of ${formatDueDate(week)}: ${applied} application(s)`
+        })));
+
+        const rateRows = (groups, noneLabel) => svgHorizontalBars(groups.map(group => ({
+            label: group.name ?? noneLabel,
+            value: group.rate,
+            max: 1,
+            text: `${formatPercent(group.rate)} of ${group.applied}`,
+            title: `${group.name ?? noneLabel}: ${group.responded} of ${group.applied} applied job(s) got a response`
+        })));
+        document.getElementById('dashboard-by-profile').innerHTML = noAppliedStage || rateRows(stats.byProfile, 'No profile');
+        document.getElementById('dashboard-by-company').innerHTML = noAppliedStage || rateRows(stats.byCompany.slice(0, DASHBOARD_COMPANY_LIMIT), 'No company');
+
+        document.getElementById('dashboard-stage-time').innerHTML = svgHorizontalBars(stats.stageDurations.map(stay => ({
+            label: stay.stage,
+            value: stay.average,
+            color: stay.color,
+            text: formatDuration(stay.average),
+            title: `${stay.stage}: ${formatDuration(stay.average)} on average over ${stay.stays} stay(s)`
+        })));
+
+        document.getElementById('dashboard-match').innerHTML = svgMatchScatter(stats.matchOutcomes, stats.funnel.map(step => step.stage));
+    }
+
     // REPLACED: renderProfiles with new version (was renderProfilesTable)
     async function renderProfiles() {
         try {
@@ -1104,6 +1373,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         editCompanyForm.elements.website.value = website || '';
         editCompanyForm.elements.linkedin.value = linkedin || '';
         editCompanyForm.elements.notes.value = notes || '';
+        renderCustomFieldInputs(editCompanyForm, 'companies', company.custom);
+        await renderAttachments('company-attachments');
 
         // 2. Fetch and render related jobs
         const profiles = await getAllProfiles();
@@ -1120,7 +1391,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         } else {
             // UPDATED: Loop uses job objects
             relatedJobsList.innerHTML = jobs.map(job => {
-                const { id: jobId, title, status, location, salary, created_at, match_percentage, profile_id } = job;
+                const { id: jobId, title, status, location, compensation, created_at, match_percentage, profile_id } = job;
                 return `
                 <div class="related-job-card">
                     <div class="flex justify-between items-start">
@@ -1128,7 +1399,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         <span class="text-xs font-medium bg-secondary text-secondary-foreground px-2 py-0.5 rounded-full whitespace-nowrap">${status}</span>
                     </div>
                     <p><span class="material-symbols-outlined !text-sm">location_on</span> ${location || 'N/A'}</p>
-                    <p><span class="material-symbols-outlined !text-sm">paid</span> ${salary ? `₹${salary} LPA` : 'N/A'}</p>
+                    <p><span class="material-symbols-outlined !text-sm">paid</span> ${escapeHTML(formatPay(compensation)) || 'N/A'}</p>
                     <p><span class="material-symbols-outlined !text-sm">badge</span> ${profilesMap[profile_id] || 'N/A'}</p>
                     <p><span class="material-symbols-outlined !text-sm">percent</span> ${match_percentage !== null ? `${match_percentage}% Match` : 'N/A'}</p>
                     <p><span class="material-symbols-outlined !text-sm">calendar_today</span> ${new Date(created_at).toLocaleDateString()}</p>
@@ -1167,7 +1438,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                 location: data.location,
                 website: data.website,
                 linkedin: data.linkedin,
-                notes: data.notes
+                notes: data.notes,
+                custom: readCustomFieldInputs(e.target)
             };
             await updateCompany(updatedCompany);
 
@@ -1193,30 +1465,223 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    // REMOVED: openMergeModal, confirmMergeCompany
+    // NEW: Duplicate company detection and merge
+    async function openMergeCompaniesModal() {
+        await renderMergeGroups();
+        openModal('merge-companies-modal');
+    }
 
-    // REPLACED: renderPeople with new version (was renderPeopleTable)
-    async function renderPeople() {
+    async function renderMergeGroups() {
+        const list = document.getElementById('merge-groups-list');
+        const groups = await findDuplicateCompanies();
+
+        if (groups.length === 0) {
+            list.innerHTML = `<p class="text-muted-foreground text-sm">No likely duplicates found.</p>`;
+            return;
+        }
+
+        const groupsHtml = await Promise.all(groups.map(async (group, groupIndex) => {
+            const rows = await Promise.all(group.map(async (company, i) => {
+                const { jobs, people } = await getCompanyDependents(company.id);
+                return `
+                    <label class="flex items-center gap-3 p-2 rounded-md hover:bg-muted">
+                        <input type="checkbox" class="merge-include h-4 w-4" value="${company.id}" checked title="Include in merge">
+                        <input type="radio" name="merge-survivor-${groupIndex}" class="merge-survivor h-4 w-4" value="${company.id}" ${i === 0 ? 'checked' : ''} title="Keep this record">
+                        <span class="flex-grow text-sm font-medium">${escapeHTML(company.name)}</span>
+                        <span class="text-xs text-muted-foreground whitespace-nowrap">${jobs} job(s) · ${people} contact(s)</span>
+                    </label>`;
+            }));
+            return `
+                <div class="merge-group border border-border rounded-lg p-3" data-group="${groupIndex}">
+                    <div class="flex justify-between items-center mb-2">
+                        <span class="text-xs text-muted-foreground uppercase tracking-wide">Keep one, merge the checked others into it</span>
+                        <button type="button" class="merge-group-btn px-3 py-1 bg-primary hover:bg-accent text-primary-foreground rounded-lg text-sm font-semibold">Merge</button>
+                    </div>
+                    ${rows.join('')}
+                </div>`;
+        }));
+        list.innerHTML = groupsHtml.join('');
+    }
+
+    async function confirmMergeCompanies(groupEl) {
+        const survivorId = parseInt(groupEl.querySelector('.merge-survivor:checked').value);
+        const duplicateIds = [...groupEl.querySelectorAll('.merge-include:checked')]
+            .map(input => parseInt(input.value))
+            .filter(id => id !== survivorId);
+        if (duplicateIds.length === 0) {
+            showStatus('Select at least one other company to merge.', 'error');
+            return;
+        }
+
+        const survivorName = companyMap.get(survivorId);
         try {
-            const people = await getAllPeople();
-            const tbody = document.getElementById('people-table-body');
-            tbody.innerHTML = '';
+            await takeSnapshot('before-merge-companies');
+            const moved = await mergeCompanies(survivorId, duplicateIds);
+            duplicateIds.forEach(id => companyMap.delete(id));
+            logEvent('SUCCESS', `Merged ${duplicateIds.length} company record(s) into "${survivorName}" (${moved.jobs} job(s), ${moved.people} contact(s) moved).`);
+            showStatus(`Merged into "${survivorName}".`, 'success');
+            await renderMergeGroups();
+            await renderCompaniesGrid();
+            await renderPeople();
+        } catch (err) {
+            logEvent('ERROR', `Failed to merge companies: ${err.message}`);
+            showStatus('Error merging companies.', 'error');
+        }
+    }
 
-            if (people.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="7" class="text-center p-4 text-muted-foreground">No contacts found.</td></tr>';
-                return;
-            }
+    // --- Duplicate Jobs ---
 
-            people.forEach(person => {
-                const tr = document.createElement('tr');
-                tr.className = 'job-row';
-                const fullName = `${person.first_name} ${person.last_name}`;
-                tr.innerHTML = `
-                    <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">${escapeHTML(fullName)}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHTML(person.job_title)}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHTML(person.company_name)}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm">${person.email ? `<a href="mailto:${escapeHTML(person.email)}" class="text-primary hover:underline">${escapeHTML(person.email)}</a>` : ''}</td>
-                    <td class="px-6 py-4 whitespace-nowrap text-sm">${person.linkedin ? `<a href="${person.linkedin}" target="_blank" class="text-primary hover:underline">View Profile</a>` : ''}</td>
+    const DUPLICATE_REASON_LABELS = { url: 'same posting URL', title: 'same title and company' };
+
+    function hideDuplicateWarning() {
+        const form = document.getElementById('add-job-form');
+        delete form.dataset.allowDuplicate;
+        document.getElementById('job-duplicate-warning').classList.add('hidden');
+    }
+
+    // NEW: Lists the saved jobs a new one matches, with ways forward
+    function renderDuplicateWarning(matches) {
+        const warning = document.getElementById('job-duplicate-warning');
+        warning.innerHTML = `
+            <p class="font-medium mb-2">This looks like a job you already track:</p>
+            <ul class="space-y-2 mb-3">
+                ${matches.map(job => `
+                    <li class="flex flex-wrap items-center justify-between gap-2">
+                        <span>
+                            <button type="button" class="duplicate-view-btn text-primary hover:underline" data-job-id="${job.id}">${escapeHTML(job.title)} — ${escapeHTML(job.company_name || 'Unknown Company')}</button>
+                            <span class="text-xs text-muted-foreground">${stageLabel(job.status)} · ${DUPLICATE_REASON_LABELS[job.duplicate_of]}</span>
+                        </span>
+                        <button type="button" class="duplicate-update-btn px-3 py-1 bg-secondary text-secondary-foreground hover:bg-muted rounded-lg text-xs" data-job-id="${job.id}">Update it instead</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <button type="button" class="duplicate-save-btn text-xs text-muted-foreground hover:underline">Save as a new job anyway</button>
+        `;
+        warning.classList.remove('hidden');
+        showStatus('Possible duplicate job. Choose what to do below the form.', 'error');
+    }
+
+    async function handleDuplicateWarningClick(e) {
+        const form = document.getElementById('add-job-form');
+        const viewBtn = e.target.closest('.duplicate-view-btn');
+        const updateBtn = e.target.closest('.duplicate-update-btn');
+        if (viewBtn) {
+            closeModal('add-job-modal');
+            await showJobDetail(parseInt(viewBtn.dataset.jobId));
+        } else if (updateBtn) {
+            await loadDuplicateForUpdate(parseInt(updateBtn.dataset.jobId));
+        } else if (e.target.closest('.duplicate-save-btn')) {
+            form.dataset.allowDuplicate = 'true';
+            form.requestSubmit();
+        }
+    }
+
+    // NEW: Switches the form to editing the saved job; what was typed wins, blanks keep the saved values
+    async function loadDuplicateForUpdate(jobId) {
+        const job = await getJob(jobId);
+        if (!job) return;
+        const modal = document.getElementById('add-job-modal');
+        const form = document.getElementById('add-job-form');
+        const typedCustom = readCustomFieldInputs(form);
+
+        form.elements.id.value = job.id;
+        ['title', 'location', 'url', 'description', ...DUE_DATE_FIELDS].forEach(name => {
+            if (!form.elements[name].value.trim()) form.elements[name].value = job[name] ?? '';
+        });
+        if (!['salary_min', 'salary_max', 'equity', 'bonus'].some(name => form.elements[name].value.trim())) fillPayInputs(form, job.compensation);
+        if (!form.elements.company_name.value.trim()) form.elements.company_name.value = companyMap.get(job.company_id) || '';
+        const typedNotes = form.elements.notes.value.trim();
+        form.elements.notes.value = [job.notes?.trim(), typedNotes].filter(Boolean).join('\n\n');
+        form.elements.tags.value = normalizeTags([...(job.tags || []), ...form.elements.tags.value.split(',')]).join(', ');
+        const custom = { ...job.custom };
+        Object.entries(typedCustom).forEach(([id, value]) => { if (!isEmptyCustomValue(value)) custom[id] = value; });
+        renderCustomFieldInputs(form, 'jobs', custom);
+
+        hideDuplicateWarning();
+        document.getElementById('paste-posting-panel').classList.add('hidden');
+        modal.querySelector('h3').textContent = 'Edit Job Post';
+        modal.querySelector('button[type="submit"]').textContent = 'Update Job';
+        showStatus(`Editing the saved "${job.title}" with your changes. Review and click Update Job.`);
+    }
+
+    // NEW: Duplicate job detection and merge, mirroring the company tool
+    async function openMergeJobsModal() {
+        await renderMergeJobGroups();
+        openModal('merge-jobs-modal');
+    }
+
+    async function renderMergeJobGroups() {
+        const list = document.getElementById('merge-job-groups-list');
+        const groups = await findDuplicateJobs();
+
+        if (groups.length === 0) {
+            list.innerHTML = `<p class="text-muted-foreground text-sm">No likely duplicates found.</p>`;
+            return;
+        }
+
+        list.innerHTML = groups.map((group, groupIndex) => `
+            <div class="merge-group border border-border rounded-lg p-3" data-group="${groupIndex}">
+                <div class="flex justify-between items-center mb-2">
+                    <span class="text-xs text-muted-foreground uppercase tracking-wide">${group.reasons.map(reason => DUPLICATE_REASON_LABELS[reason]).join(' · ')}</span>
+                    <button type="button" class="merge-group-btn px-3 py-1 bg-primary hover:bg-accent text-primary-foreground rounded-lg text-sm font-semibold">Merge</button>
+                </div>
+                ${group.jobs.map((job, i) => `
+                    <label class="flex items-center gap-3 p-2 rounded-md hover:bg-muted">
+                        <input type="checkbox" class="merge-include h-4 w-4" value="${job.id}" checked title="Include in merge">
+                        <input type="radio" name="merge-job-survivor-${groupIndex}" class="merge-survivor h-4 w-4" value="${job.id}" ${i === 0 ? 'checked' : ''} title="Keep this job">
+                        <span class="flex-grow text-sm font-medium">${escapeHTML(job.title)} <span class="text-muted-foreground font-normal">— ${escapeHTML(job.company_name || 'Unknown Company')}</span></span>
+                        <span class="text-xs text-muted-foreground whitespace-nowrap">${stageLabel(job.status)} · ${new Date(job.created_at).toLocaleDateString()}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    async function confirmMergeJobs(groupEl) {
+        const survivorId = parseInt(groupEl.querySelector('.merge-survivor:checked').value);
+        const duplicateIds = [...groupEl.querySelectorAll('.merge-include:checked')]
+            .map(input => parseInt(input.value))
+            .filter(id => id !== survivorId);
+        if (duplicateIds.length === 0) {
+            showStatus('Select at least one other job to merge.', 'error');
+            return;
+        }
+
+        try {
+            await takeSnapshot('before-merge-jobs');
+            const { history, interviews, attachments } = await mergeJobs(survivorId, duplicateIds);
+            logEvent('SUCCESS', `Merged ${duplicateIds.length} job record(s) into job ID ${survivorId} (${history} history entries, ${interviews} interview round(s) and ${attachments} attachment(s) moved).`);
+            showStatus(`Merged ${duplicateIds.length + 1} jobs into one.`, 'success');
+            await renderMergeJobGroups();
+            await refreshJobsView();
+        } catch (err) {
+            logEvent('ERROR', `Failed to merge jobs: ${err.message}`);
+            showStatus('Error merging jobs.', 'error');
+        }
+    }
+
+    // REPLACED: renderPeople with new version (was renderPeopleTable)
+    async function renderPeople() {
+        try {
+            const people = await getAllPeople();
+            const tbody = document.getElementById('people-table-body');
+            tbody.innerHTML = '';
+
+            if (people.length === 0) {
+                tbody.innerHTML = '<tr><td colspan="7" class="text-center p-4 text-muted-foreground">No contacts found.</td></tr>';
+                return;
+            }
+
+            people.forEach(person => {
+                const tr = document.createElement('tr');
+                tr.className = 'job-row';
+                const fullName = `${person.first_name} ${person.last_name}`;
+                tr.innerHTML = `
+                    <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">${escapeHTML(fullName)}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHTML(person.job_title)}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm">${escapeHTML(person.company_name)}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm">${person.email ? `<a href="mailto:${escapeHTML(person.email)}" class="text-primary hover:underline">${escapeHTML(person.email)}</a>` : ''}</td>
+                    <td class="px-6 py-4 whitespace-nowrap text-sm">${person.linkedin ? `<a href="${person.linkedin}" target="_blank" class="text-primary hover:underline">View Profile</a>` : ''}</td>
                     <td data-field="notes" data-id="${person.id}" data-type="people" class="px-6 py-4 whitespace-pre-wrap text-sm cursor-pointer hover:bg-muted" title="${person.notes || 'Click to add notes'}">${escapeHTML(truncateText(person.notes, 100))}</td>
                     <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
                         <button class="edit-person-btn p-1 text-primary hover:text-accent" data-id="${person.id}" title="Edit Contact">
@@ -1269,16 +1734,31 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
-        const { title, company_id, description, notes, profile_id, match_percentage, ai_keywords, match_justification } = job;
+        const { title, company_id, description, notes, profile_id, match_percentage, ai_keywords, match_justification, compensation } = job;
 
         // Look up company name
         const companyName = companyMap.get(company_id) || 'Unknown Company';
 
         document.getElementById('detail-job-title').textContent = title;
         document.getElementById('detail-job-company').textContent = companyName;
+        document.getElementById('detail-job-pay').textContent = [
+            formatPay(compensation),
+            formatNormalizedPay(compensation),
+            compensation?.equity && `Equity: ${compensation.equity}`,
+            compensation?.bonus && `Bonus: ${compensation.bonus}`
+        ].filter(Boolean).join(' · ');
+        document.getElementById('detail-job-due').innerHTML = jobDueDates(job).map(dueBadge).join(' ');
         
         document.getElementById('detail-job-description').innerHTML = description ? description.replace(/\n/g, '<br>') : 'No description provided.';
         document.getElementById('detail-job-notes').textContent = notes || 'No notes for this job.';
+        const fieldsWithValues = customFields.filter(f => f.entity === 'jobs' && !isEmptyCustomValue(job.custom?.[f.id]));
+        document.getElementById('detail-job-custom').innerHTML = fieldsWithValues.map(field => `
+            <dt class="text-muted-foreground">${escapeHTML(field.label)}</dt>
+            <dd>${formatCustomValue(field, job.custom[field.id])}</dd>
+        `).join('');
+        await renderStatusTimeline(jobId);
+        await renderJobInterviews(jobId);
+        await renderAttachments('detail-job-attachments');
 
         document.getElementById('save-ai-btn').classList.add('hidden');
         unsavedAnalysisData = null;
@@ -1305,6 +1785,37 @@ document.addEventListener('DOMContentLoaded', async () => {
         jobDetailView.classList.remove('hidden');
     }
 
+    // NEW: Render the status timeline in the job detail view
+    async function renderStatusTimeline(jobId) {
+        const container = document.getElementById('detail-job-timeline');
+        const history = await getStatusHistory(jobId);
+
+        if (history.length === 0) {
+            container.innerHTML = `<p class="text-muted-foreground text-sm">No status changes recorded yet.</p>`;
+            return;
+        }
+
+        const sourceLabels = { 'new-job': 'Added', table: 'Table', kanban: 'Kanban', migration: 'Existing job' };
+
+        // Each stage lasts until the next transition (or until now for the current one)
+        container.innerHTML = history.map((entry, i) => {
+            const start = new Date(entry.changed_at);
+            const end = history[i + 1] ? new Date(history[i + 1].changed_at) : new Date();
+            const isCurrent = i === history.length - 1;
+            return `
+                <li class="timeline-entry ${isCurrent ? 'current' : ''}">
+                    <div class="flex justify-between items-baseline gap-2">
+                        <span class="font-medium text-sm">${entry.from_status ? `${escapeHTML(entry.from_status)} → ` : ''}${escapeHTML(entry.to_status)}</span>
+                        <span class="text-xs text-muted-foreground whitespace-nowrap">${start.toLocaleString()}</span>
+                    </div>
+                    <p class="text-xs text-muted-foreground">
+                        ${isCurrent ? 'In stage for' : 'Stayed'} ${formatDuration(end - start)}
+                        · via ${escapeHTML(sourceLabels[entry.source] || entry.source || 'unknown')}
+                    </p>
+                </li>`;
+        }).reverse().join(''); // Newest first
+    }
+
     // --- Event Handlers ---
     function setupEventListeners() {
         
@@ -1319,23 +1830,74 @@ document.addEventListener('DOMContentLoaded', async () => {
             form.querySelector('input[name="id"]').value = ''; // Clear ID field
             modal.querySelector('h3').textContent = 'Add a New Job Post';
             modal.querySelector('button[type="submit"]').textContent = 'Save Job';
+            renderCustomFieldInputs(form, 'jobs');
+            hideDuplicateWarning();
+            // NEW: Paste posting is offered when adding only
+            document.getElementById('paste-posting-panel').classList.remove('hidden');
+            document.getElementById('paste-posting-body').classList.add('hidden');
+            document.getElementById('paste-posting-input').value = '';
             openModal('add-job-modal');
         });
+        document.getElementById('paste-posting-toggle').addEventListener('click', () => {
+            document.getElementById('paste-posting-body').classList.toggle('hidden');
+        });
+        document.getElementById('paste-posting-btn').addEventListener('click', handlePastePosting);
+        // NEW: Duplicate warning actions; editing the identifying fields re-checks on save
+        document.getElementById('job-duplicate-warning').addEventListener('click', handleDuplicateWarningClick);
+        document.getElementById('add-job-form').addEventListener('input', e => {
+            if (['title', 'company_name', 'url'].includes(e.target.name)) hideDuplicateWarning();
+        });
+        document.getElementById('find-duplicate-jobs-btn').addEventListener('click', openMergeJobsModal);
+        document.getElementById('merge-job-groups-list').addEventListener('click', e => {
+            const mergeBtn = e.target.closest('.merge-group-btn');
+            if (mergeBtn) confirmMergeJobs(mergeBtn.closest('.merge-group'));
+        });
         document.getElementById('add-profile-btn').addEventListener('click', () => openModal('add-profile-modal'));
-        document.getElementById('add-company-btn').addEventListener('click', () => openModal('add-company-modal'));
-        document.getElementById('add-person-btn').addEventListener('click', () => openModal('add-person-modal'));
+        document.getElementById('add-company-btn').addEventListener('click', () => {
+            renderCustomFieldInputs(document.getElementById('add-company-form'), 'companies');
+            openModal('add-company-modal');
+        });
+        document.getElementById('add-person-btn').addEventListener('click', () => {
+            renderCustomFieldInputs(document.getElementById('add-person-form'), 'people');
+            openModal('add-person-modal');
+        });
         
         // Modal Cancel Buttons
         document.querySelectorAll('.cancel-modal-btn').forEach(btn => btn.addEventListener('click', () => closeModal(btn.closest('.modal').id)));
 
         statusTabs.addEventListener('click', e => {
-            if (e.target.classList.contains('status-tab')) {
-                currentJobViewStatus = e.target.dataset.status;
+            const tab = e.target.closest('.status-tab');
+            if (tab) {
+                currentJobViewStatus = tab.dataset.status;
+                if (appState.jobFilter.statuses.length > 0) {
+                    // Picking a tab replaces a multi-status filter
+                    jobFilterForm.querySelectorAll('input[name="statuses"]').forEach(input => { input.checked = false; });
+                    applyJobFilter({ ...appState.jobFilter, statuses: [] });
+                    return;
+                }
                 updateActiveTab();
                 renderJobs(currentJobViewStatus); 
             }
         });
 
+        // NEW: Filter bar listeners
+        document.getElementById('toggle-job-filters-btn').addEventListener('click', async () => {
+            const opening = jobFilterForm.classList.contains('hidden');
+            if (opening) await renderJobFilterBar(); // Pick up new companies/profiles
+            jobFilterForm.classList.toggle('hidden', !opening);
+        });
+        let filterDebounce = null;
+        jobFilterForm.addEventListener('input', () => {
+            clearTimeout(filterDebounce);
+            filterDebounce = setTimeout(() => applyJobFilter(readJobFilterForm()), 300);
+        });
+        jobFilterForm.addEventListener('submit', e => e.preventDefault());
+        document.getElementById('clear-job-filters-btn').addEventListener('click', async () => {
+            appState.jobFilter = { ...DEFAULT_JOB_FILTER };
+            await renderJobFilterBar();
+            applyJobFilter(appState.jobFilter);
+        });
+
         document.getElementById('sort-jobs-select').addEventListener('change', e => {
             currentSortOrder = e.target.value;
             logEvent('INFO', `Changed job sort order to: ${e.target.options[e.target.selectedIndex].text}`);
@@ -1364,6 +1926,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // UPDATED: jobsTableBody 'change' listener
         jobsTableBody.addEventListener('change', async e => {
+            if (e.target.classList.contains('job-select')) {
+                const jobId = parseInt(e.target.value);
+                if (e.target.checked) selectedJobIds.add(jobId);
+                else selectedJobIds.delete(jobId);
+                updateBulkActionsBar();
+                return;
+            }
             if (e.target.classList.contains('profile-select')) {
                 const jobId = parseInt(e.target.dataset.jobId);
                 const profileId = e.target.value ? parseInt(e.target.value) : null;
@@ -1392,6 +1961,49 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (cell && cell.dataset.field === 'status') makeStatusEditable(cell);
         });
 
+        // NEW: Selection and bulk action listeners
+        jobsTableContainer.querySelector('thead').addEventListener('change', e => {
+            if (e.target.id !== 'select-page-jobs') return;
+            currentPageJobIds.forEach(id => e.target.checked ? selectedJobIds.add(id) : selectedJobIds.delete(id));
+            jobsTableBody.querySelectorAll('.job-select').forEach(input => { input.checked = e.target.checked; });
+            updateBulkActionsBar();
+        });
+        document.getElementById('bulk-select-matching-btn').addEventListener('click', async () => {
+            const ids = await getMatchingJobIds({ status: currentJobViewStatus, filter: appState.jobFilter });
+            selectedJobIds = new Set(ids);
+            updateBulkActionsBar();
+        });
+        document.getElementById('bulk-clear-selection-btn').addEventListener('click', () => {
+            selectedJobIds.clear();
+            jobsTableBody.querySelectorAll('.job-select').forEach(input => { input.checked = false; });
+            updateBulkActionsBar();
+        });
+        document.getElementById('bulk-status-select').addEventListener('change', e => {
+            const status = e.target.value;
+            e.target.value = '';
+            if (status) runBulkAction(`Moved {jobs} to ${status}`, ids => bulkSetJobStatus(ids, status));
+        });
+        document.getElementById('bulk-profile-select').addEventListener('change', e => {
+            const value = e.target.value;
+            e.target.value = '';
+            if (!value) return;
+            const profileId = value === 'none' ? null : parseInt(value);
+            runBulkAction(profileId ? 'Assigned the profile to {jobs}' : 'Removed the profile from {jobs}', ids => bulkAssignProfile(ids, profileId));
+        });
+        document.getElementById('bulk-tag-form').addEventListener('submit', e => {
+            e.preventDefault();
+            const tags = normalizeTags(e.target.elements.tags.value.split(','));
+            const removing = e.submitter?.value === 'remove';
+            e.target.reset();
+            runBulkAction(removing ? 'Untagged {jobs}' : 'Tagged {jobs}', ids => bulkTagJobs(ids, removing ? { remove: tags } : { add: tags }));
+        });
+        document.getElementById('bulk-analyze-btn').addEventListener('click', analyzeSelectedJobs);
+        document.getElementById('bulk-export-btn').addEventListener('click', exportSelectedJobs);
+        document.getElementById('bulk-delete-btn').addEventListener('click', () => {
+            const count = selectedJobIds.size;
+            openDeleteModal('', 'jobs', `${count} selected job${count === 1 ? '' : 's'}`);
+        });
+
         // NEW: Event listener for Kanban view
         jobsKanbanContainer.addEventListener('click', e => {
             const card = e.target.closest('.kanban-card');
@@ -1402,6 +2014,21 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // NEW: View Toggle Buttons
         showTableViewBtn.addEventListener('click', () => toggleJobsView('table'));
+        // NEW: Calendar view controls
+        showCalendarViewBtn.addEventListener('click', () => toggleJobsView('calendar'));
+        document.getElementById('calendar-prev-btn').addEventListener('click', () => shiftCalendar(-1));
+        document.getElementById('calendar-next-btn').addEventListener('click', () => shiftCalendar(1));
+        document.getElementById('calendar-today-btn').addEventListener('click', () => {
+            calendarAnchor = localDateKey(new Date());
+            renderJobsCalendar();
+        });
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => btn.addEventListener('click', () => {
+            calendarMode = btn.dataset.calendarMode;
+            renderJobsCalendar();
+        }));
+        document.getElementById('jobs-calendar-grid').addEventListener('click', handleCalendarClick);
+        document.getElementById('dashboard-weeks').addEventListener('change', renderDashboard); // NEW
+        setupCalendarDragAndDrop();
         showKanbanViewBtn.addEventListener('click', () => toggleJobsView('kanban'));
 
         // NEW: Pagination listeners
@@ -1412,8 +2039,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         });
         nextPageBtn.addEventListener('click', () => {
-            appState.currentPage++; // renderJobs will cap this if it's too high
-            renderJobs(currentJobViewStatus);
+            if (pagination.cursors[appState.currentPage]) {
+                appState.currentPage++;
+                renderJobs(currentJobViewStatus);
+            }
         });
         itemsPerPageSelect.addEventListener('change', (e) => {
             appState.itemsPerPage = parseInt(e.target.value, 10);
@@ -1457,6 +2086,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             try {
                 // Find or create company
                 let company = await getCompanyByName(companyName);
+
+                // NEW: Warn before saving a posting we already track, unless the user chose to
+                if (!jobId && form.dataset.allowDuplicate !== 'true') {
+                    const matches = await findMatchingJobs({ title: formData.get('title'), company_id: company?.id ?? null, url: formData.get('url') });
+                    if (matches.length > 0) {
+                        renderDuplicateWarning(matches);
+                        return;
+                    }
+                }
+
                 let companyId;
                 if (!company && appState.autoCreateCompany) {
                     const newCompany = { name: companyName, industry: '', location: formData.get('location'), website: '', linkedin: '', notes: '' };
@@ -1473,10 +2112,14 @@ document.addEventListener('DOMContentLoaded', async () => {
                     title: formData.get('title'),
                     company_id: companyId, // Use foreign key
                     location: formData.get('location'),
-                    salary: parseFloat(formData.get('salary')) || null,
+                    compensation: readPayInputs(form), // UPDATED: Structured pay; throws on bad values
                     url: formData.get('url'),
                     description: formData.get('description'),
                     notes: formData.get('notes'),
+                    tags: normalizeTags(formData.get('tags').split(',')), // NEW: Tags
+                    custom: readCustomFieldInputs(form), // NEW: Custom field values
+                    // NEW: Due dates; a stage's reminder rule only fills empty ones
+                    ...Object.fromEntries(DUE_DATE_FIELDS.map(field => [field, formData.get(field) || null]))
                 };
 
                 if (jobId) {
@@ -1500,13 +2143,15 @@ document.addEventListener('DOMContentLoaded', async () => {
                 } else {
                     // ADD new job
                     jobData.created_at = new Date().toISOString();
-                    jobData.status = 'Bookmarked'; // Default status for new jobs
+                    // New jobs start in the first visible active (non-terminal) stage
+                    const firstStage = visibleStages().find(stage => stage.kind === 'active') || visibleStages()[0];
+                    jobData.status = firstStage?.name ?? 'Bookmarked';
                     jobData.match_percentage = null;
                     jobData.profile_id = null;
                     jobData.match_justification = null;
                     jobData.ai_keywords = null;
                     
-                    await addJob(jobData);
+                    await addJob(jobData, 'new-job');
                     showStatus(`New job "${jobData.title}" added.`);
                 }
                 
@@ -1533,6 +2178,38 @@ document.addEventListener('DOMContentLoaded', async () => {
             renderCompaniesGrid(); // Refresh grid in case names changed
         });
         editCompanyForm.addEventListener('submit', handleEditCompany);
+        document.getElementById('find-duplicate-companies-btn').addEventListener('click', openMergeCompaniesModal);
+        document.getElementById('merge-groups-list').addEventListener('click', e => {
+            const mergeBtn = e.target.closest('.merge-group-btn');
+            if (mergeBtn) confirmMergeCompanies(mergeBtn.closest('.merge-group'));
+        });
+
+        // NEW: Global search listeners
+        let searchDebounce = null;
+        globalSearchInput.addEventListener('input', () => {
+            clearTimeout(searchDebounce);
+            searchDebounce = setTimeout(renderGlobalSearchResults, 200);
+        });
+        globalSearchInput.addEventListener('focus', renderGlobalSearchResults);
+        // NEW: Undo/redo
+        undoBtn.addEventListener('click', () => handleUndo());
+        redoBtn.addEventListener('click', () => handleUndo(true));
+        document.addEventListener('keydown', handleUndoShortcut);
+        globalSearchInput.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                globalSearchResults.classList.add('hidden');
+                globalSearchInput.blur();
+            }
+        });
+        globalSearchResults.addEventListener('click', e => {
+            const item = e.target.closest('.search-result');
+            if (item) openSearchResult(item.dataset.entity, parseInt(item.dataset.id));
+        });
+        document.addEventListener('click', e => {
+            if (!document.getElementById('global-search').contains(e.target)) {
+                globalSearchResults.classList.add('hidden');
+            }
+        });
 
 
         document.querySelector('main').addEventListener('click', e => {
@@ -1545,6 +2222,54 @@ document.addEventListener('DOMContentLoaded', async () => {
         // UPDATED: Settings Listeners
         document.getElementById('llm-api-url').addEventListener('change', saveSettings);
         autoCreateCompanyToggle.addEventListener('change', saveSettings);
+        encryptBackupToggle.addEventListener('change', saveSettings);
+        backupAttachmentsToggle.addEventListener('change', saveSettings);
+        notifyDueToggle.addEventListener('change', handleNotifyDueToggle);
+        document.getElementById('due-jobs-list').addEventListener('click', handleDueListClick);
+        snapshotIntervalSelect.addEventListener('change', () => {
+            saveSettings();
+            scheduleSnapshots();
+        });
+        snapshotKeepSelect.addEventListener('change', async () => {
+            saveSettings();
+            await pruneSnapshots(appState.snapshotKeep);
+            await renderSnapshots();
+        });
+        document.getElementById('take-snapshot-btn').addEventListener('click', async () => {
+            if (await takeSnapshot('manual')) showStatus('Snapshot taken.', 'success');
+            else showStatus('Snapshot failed. Check logs.', 'error');
+        });
+        document.getElementById('snapshot-list').addEventListener('click', handleSnapshotListClick);
+        document.getElementById('stage-list').addEventListener('change', handleStageChange);
+        document.getElementById('stage-list').addEventListener('click', handleStageListClick);
+        document.getElementById('add-stage-form').addEventListener('submit', handleAddStage);
+        document.getElementById('custom-field-list').addEventListener('change', handleCustomFieldChange);
+        document.getElementById('custom-field-list').addEventListener('click', e => {
+            const button = e.target.closest('.delete-custom-field-btn');
+            if (!button) return;
+            const field = customFields.find(f => f.id === parseInt(button.closest('li[data-id]').dataset.id));
+            openDeleteModal(field.id, 'custom-field', field.label);
+        });
+        const addFieldForm = document.getElementById('add-custom-field-form');
+        addFieldForm.addEventListener('submit', handleAddCustomField);
+        addFieldForm.elements.type.addEventListener('change', () => {
+            addFieldForm.elements.options.classList.toggle('hidden', addFieldForm.elements.type.value !== 'select');
+        });
+        const paySettingsForm = document.getElementById('pay-settings-form');
+        paySettingsForm.addEventListener('submit', handleSavePaySettings);
+        paySettingsForm.elements.home_currency.addEventListener('change', handleHomeCurrencyChange);
+        document.getElementById('add-exchange-rate-btn').addEventListener('click', () => {
+            renderExchangeRateRows([...readExchangeRateRows(), ['', null]], paySettingsForm.dataset.home);
+        });
+        document.getElementById('exchange-rate-list').addEventListener('click', e => {
+            e.target.closest('.remove-exchange-rate-btn')?.closest('li').remove();
+        });
+        document.getElementById('confirm-restore-snapshot-btn').addEventListener('click', confirmRestoreSnapshot);
+        document.getElementById('passphrase-form').addEventListener('submit', handlePassphraseSubmit);
+        document.querySelector('#passphrase-modal .cancel-modal-btn').addEventListener('click', () => {
+            passphraseResolver?.(null);
+            passphraseResolver = null;
+        });
         themeSelect.addEventListener('change', () => {
             applyTheme(themeSelect.value);
             saveSettings();
@@ -1552,6 +2277,88 @@ document.addEventListener('DOMContentLoaded', async () => {
         document.getElementById('test-connection-btn').addEventListener('click', testLLMConnection);
         document.getElementById('backup-db-btn').addEventListener('click', downloadBackup);
         document.getElementById('restore-db-input').addEventListener('change', restoreDatabase);
+        document.getElementById('merge-import-input').addEventListener('change', startMergeImport);
+        document.getElementById('confirm-merge-import-btn').addEventListener('click', confirmMergeImport);
+        // NEW: CSV import/export
+        document.getElementById('export-csv-btn').addEventListener('click', exportJobsCSV);
+        // NEW: Interview rounds and their calendar export
+        document.getElementById('export-interviews-ics-btn').addEventListener('click', () => exportInterviewsCalendar());
+        document.getElementById('export-job-ics-btn').addEventListener('click', () => exportInterviewsCalendar(currentJobDetailId));
+        document.getElementById('add-interview-btn').addEventListener('click', () => openInterviewModal());
+        document.getElementById('interview-form').addEventListener('submit', handleInterviewSubmit);
+        document.getElementById('detail-job-interviews').addEventListener('click', handleInterviewListClick);
+        // NEW: Attachments on jobs, companies and profiles
+        document.querySelectorAll('.attachment-input').forEach(input => input.addEventListener('change', handleAttachmentInput));
+        document.querySelectorAll('.attachment-list').forEach(list => list.addEventListener('click', handleAttachmentListClick));
+        document.getElementById('csv-import-input').addEventListener('change', startCsvImport);
+        document.getElementById('csv-import-mapping').addEventListener('change', previewCsvImport);
+        document.getElementById('csv-import-status').addEventListener('change', previewCsvImport);
+        document.getElementById('csv-import-strip-guard').addEventListener('change', previewCsvImport);
+        document.getElementById('confirm-csv-import-btn').addEventListener('click', confirmCsvImport);
+    }
+
+    // --- Global Search ---
+
+    const SEARCH_GROUPS = [
+        { entity: 'jobs', label: 'Jobs', icon: 'work', title: job => job.title, subtitle: job => companyMap.get(job.company_id) || job.status },
+        { entity: 'companies', label: 'Companies', icon: 'apartment', title: company => company.name, subtitle: company => company.industry || company.location },
+        { entity: 'people', label: 'People', icon: 'person', title: person => `${person.first_name || ''} ${person.last_name || ''}`.trim(), subtitle: person => [person.job_title, person.company_name].filter(Boolean).join(' at ') },
+        { entity: 'profiles', label: 'Profiles', icon: 'badge', title: profile => profile.name, subtitle: profile => truncateText(profile.content, 60) }
+    ];
+
+    async function renderGlobalSearchResults() {
+        const query = globalSearchInput.value.trim();
+        if (!query) {
+            globalSearchResults.classList.add('hidden');
+            return;
+        }
+
+        let results;
+        try {
+            results = await searchAll(query);
+        } catch (err) {
+            logEvent('ERROR', `Search failed: ${err.message}`);
+            return;
+        }
+        if (globalSearchInput.value.trim() !== query) return; // A newer query is pending
+
+        const sections = SEARCH_GROUPS.filter(group => results[group.entity].length > 0).map(group => `
+            <div class="px-3 pt-2 pb-1 text-xs font-semibold uppercase text-muted-foreground">${group.label}</div>
+            ${results[group.entity].map(record => `
+                <button type="button" class="search-result w-full text-left px-3 py-2 flex items-center hover:bg-muted" data-entity="${group.entity}" data-id="${record.id}">
+                    <span class="material-symbols-outlined text-base text-muted-foreground mr-2">${group.icon}</span>
+                    <span class="min-w-0">
+                        <span class="block truncate">${escapeHTML(group.title(record) || 'Untitled')}</span>
+                        <span class="block truncate text-xs text-muted-foreground">${escapeHTML(group.subtitle(record) || '')}</span>
+                    </span>
+                </button>
+            `).join('')}
+        `);
+
+        globalSearchResults.innerHTML = sections.length > 0
+            ? sections.join('')
+            : '<p class="px-3 py-2 text-muted-foreground">No matches found.</p>';
+        globalSearchResults.classList.remove('hidden');
+    }
+
+    async function openSearchResult(entity, id) {
+        globalSearchResults.classList.add('hidden');
+        switch (entity) {
+            case 'jobs':
+                await switchView('jobs-view');
+                await showJobDetail(id);
+                break;
+            case 'companies':
+                await switchView('companies-view');
+                await showCompanyDetail(id);
+                break;
+            case 'people':
+                await openEditPersonModal(id);
+                break;
+            case 'profiles':
+                await openEditProfileModal(id);
+                break;
+        }
     }
 
     function openNotesEditor(cell) {
@@ -1656,7 +2463,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                 location: data.location,
                 website: data.website,
                 linkedin: data.linkedin,
-                notes: data.notes
+                notes: data.notes,
+                custom: readCustomFieldInputs(e.target)
             };
             const newId = await addCompany(newCompany);
             companyMap.set(newId, data.name); // Update cache
@@ -1676,8 +2484,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         e.preventDefault();
         const data = Object.fromEntries(new FormData(e.target).entries());
         try {
-            // No need to change data, just add it
-            await addPerson(data);
+            // Custom field inputs have no name, so they are not part of data
+            await addPerson({ ...data, custom: readCustomFieldInputs(e.target) });
             logEvent('SUCCESS', `Added contact: ${data.first_name} ${data.last_name}`);
             showStatus('Contact saved!', 'success');
             await renderPeople();
@@ -1691,7 +2499,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // UPDATED: makeStatusEditable - now async
     function makeStatusEditable(cell) {
         const currentStatus = cell.dataset.currentStatus;
-        cell.innerHTML = `<select class="editable-select text-sm">${JOB_STATUSES.map(s => `<option value="${s}" ${s === currentStatus ? 'selected' : ''}>${s}</option>`).join('')}</select>`;
+        // A retired stage stays selectable for jobs still in it
+        const names = stages.filter(stage => !stage.retired || stage.name === currentStatus).map(stage => stage.name);
+        cell.innerHTML = `<select class="editable-select text-sm">${names.map(s => `<option value="${escapeHTML(s)}" ${s === currentStatus ? 'selected' : ''}>${escapeHTML(s)}</option>`).join('')}</select>`;
         const select = cell.querySelector('select');
         select.focus();
 
@@ -1699,13 +2509,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             const newStatus = select.value;
             const jobId = parseInt(cell.closest('.job-row').dataset.id);
             try {
-                const job = await getJob(jobId);
+                const job = await setJobStatus(jobId, newStatus, 'table');
                 if (job) {
-                    job.status = newStatus;
-                    await updateJob(job);
                     logEvent('INFO', `Updated status for job ID ${jobId} to ${newStatus}`);
                     showStatus('Status updated.', 'success');
-                    await renderJobs(currentJobViewStatus); // Re-render the jobs list
+                    await refreshJobsView(); // The stage's reminder may have set a due date
                 }
             } catch (err) {
                 logEvent('ERROR', `Failed to update status: ${err.message}`);
@@ -1713,25 +2521,814 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // Re-render to revert change
                 await renderJobs(currentJobViewStatus);
             }
-        };
-        select.addEventListener('blur', saveChange);
-        select.addEventListener('change', saveChange);
+        };
+        select.addEventListener('blur', saveChange);
+        select.addEventListener('change', saveChange);
+    }
+
+    // --- Auto Backup & Persistence ---
+    // REMOVED: autoBackupDatabase() - IndexedDB persists automatically
+    // NEW: Rolling snapshots guard against bad edits, imports and migrations instead
+
+    let snapshotTimer = null;
+
+    function scheduleSnapshots() {
+        clearInterval(snapshotTimer);
+        snapshotTimer = null;
+        if (appState.snapshotInterval > 0) {
+            snapshotTimer = setInterval(async () => {
+                try {
+                    const snapshot = await createSnapshot('periodic', { keep: appState.snapshotKeep, skipIfUnchanged: true });
+                    if (snapshot) await refreshSnapshotListIfVisible();
+                } catch (err) {
+                    logEvent('ERROR', `Periodic snapshot failed: ${err.message}`);
+                }
+            }, appState.snapshotInterval * 60 * 1000);
+        }
+    }
+
+    // Snapshots before destructive actions; a failure is logged but does not block the action
+    async function takeSnapshot(reason) {
+        try {
+            await createSnapshot(reason, { keep: appState.snapshotKeep });
+            await refreshSnapshotListIfVisible();
+            return true;
+        } catch (err) {
+            logEvent('ERROR', `Snapshot (${reason}) failed: ${err.message}`);
+            return false;
+        }
+    }
+
+    async function refreshSnapshotListIfVisible() {
+        if (document.getElementById('settings-view').offsetParent !== null) {
+            await renderSnapshots();
+        }
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    async function renderSnapshots() {
+        const list = document.getElementById('snapshot-list');
+        const snapshots = await getSnapshots();
+        if (snapshots.length === 0) {
+            list.innerHTML = `<tr><td colspan="5" class="py-4 text-center text-muted-foreground">No snapshots yet.</td></tr>`;
+            return;
+        }
+        list.innerHTML = snapshots.map(snapshot => `
+            <tr class="border-t border-border">
+                <td class="py-2 whitespace-nowrap">${new Date(snapshot.created_at).toLocaleString()}</td>
+                <td>${escapeHTML(snapshot.reason)}</td>
+                <td class="text-muted-foreground">${snapshot.counts.jobs || 0} jobs · ${snapshot.counts.companies || 0} companies · ${snapshot.counts.people || 0} people</td>
+                <td class="text-right whitespace-nowrap">${formatBytes(snapshot.size)}</td>
+                <td class="text-right whitespace-nowrap">
+                    <button class="restore-snapshot-btn p-1 text-primary hover:text-accent" data-id="${snapshot.id}" title="Restore Snapshot"><span class="material-symbols-outlined text-base">settings_backup_restore</span></button>
+                    <button class="download-snapshot-btn p-1 text-muted-foreground hover:text-foreground" data-id="${snapshot.id}" title="Download Snapshot"><span class="material-symbols-outlined text-base">download</span></button>
+                    <button class="delete-snapshot-btn p-1 text-destructive hover:text-red-700" data-id="${snapshot.id}" title="Delete Snapshot"><span class="material-symbols-outlined text-base">delete</span></button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async function handleSnapshotListClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const id = parseInt(button.dataset.id);
+        try {
+            if (button.classList.contains('restore-snapshot-btn')) {
+                const snapshot = (await getSnapshots()).find(s => s.id === id);
+                document.getElementById('restore-snapshot-id').value = id;
+                document.getElementById('restore-snapshot-text').textContent =
+                    `Replace all current data with the snapshot from ${new Date(snapshot.created_at).toLocaleString()}? A snapshot of the current data is taken first.`;
+                openModal('confirm-restore-snapshot-modal');
+            } else if (button.classList.contains('download-snapshot-btn')) {
+                const snapshot = await getSnapshot(id);
+                await saveBackupFile(snapshot.data, `careerjam_snapshot_${snapshot.created_at.replace(/[:.]/g, '-')}`);
+            } else if (button.classList.contains('delete-snapshot-btn')) {
+                await deleteSnapshot(id);
+                await renderSnapshots();
+            }
+        } catch (err) {
+            logEvent('ERROR', `Snapshot action failed: ${err.message}`);
+            showStatus('Snapshot action failed.', 'error');
+        }
+    }
+
+    async function confirmRestoreSnapshot() {
+        const id = parseInt(document.getElementById('restore-snapshot-id').value);
+        closeModal('confirm-restore-snapshot-modal');
+        showLoading('Restoring snapshot...');
+        try {
+            await restoreSnapshot(id, { keep: appState.snapshotKeep });
+            await reloadAppData();
+            await renderSnapshots();
+            logEvent('SUCCESS', `Restored snapshot ${id}.`);
+            showStatus('Snapshot restored.', 'success');
+        } catch (err) {
+            logEvent('ERROR', `Snapshot restore failed: ${err.message}`);
+            showStatus(`Snapshot restore failed. ${err.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // --- Pipeline Stage Settings ---
+
+    function renderStageSettings() {
+        document.getElementById('stage-list').innerHTML = stages.map((stage, index) => `
+            <li class="flex flex-wrap items-center gap-2 ${stage.retired ? 'opacity-60' : ''}" data-id="${stage.id}">
+                <input type="color" name="color" value="${stageColor(stage.name)}" title="Colour" class="h-10 w-10 bg-input border border-border rounded-lg">
+                <input type="text" name="name" value="${escapeHTML(stage.name)}" required maxlength="40" class="flex-1 bg-input border border-border p-2 rounded-lg">
+                <select name="kind" class="editable-select text-sm w-auto">
+                    <option value="active" ${stage.kind === 'active' ? 'selected' : ''}>Active</option>
+                    <option value="terminal" ${stage.kind === 'terminal' ? 'selected' : ''}>Terminal</option>
+                </select>
+                <label class="text-sm flex items-center gap-1"><input type="checkbox" name="retired" class="h-4 w-4" ${stage.retired ? 'checked' : ''}>Retired</label>
+                <label class="text-sm flex items-center gap-1" title="Jobs count as applied once they reach this stage"><input type="radio" name="applied" class="h-4 w-4" ${stage.applied ? 'checked' : ''}>Applied</label>
+                <label class="text-sm flex items-center gap-1 ${stage.kind === 'terminal' ? '' : 'hidden'}" title="Ending here means the employer replied"><input type="checkbox" name="reply" class="h-4 w-4" ${stage.reply ? 'checked' : ''}>Reply</label>
+                <span class="text-sm flex items-center gap-1" title="Set a due date when a job enters this stage">
+                    <select name="reminder_field" class="editable-select text-sm w-auto">
+                        <option value="">No reminder</option>
+                        ${DUE_DATE_FIELDS.map(field => `<option value="${field}" ${stage.reminder?.field === field ? 'selected' : ''}>${DUE_DATE_LABELS[field]}</option>`).join('')}
+                    </select>
+                    <input type="number" name="reminder_days" min="0" max="365" value="${stage.reminder?.days ?? 7}" class="w-16 bg-input border border-border p-2 rounded-lg ${stage.reminder ? '' : 'hidden'}">
+                    <span class="${stage.reminder ? '' : 'hidden'}">days later</span>
+                </span>
+                <button class="move-stage-btn p-1 text-muted-foreground hover:text-foreground disabled:opacity-30" data-direction="-1" title="Move Up" ${index === 0 ? 'disabled' : ''}><span class="material-symbols-outlined text-base">arrow_upward</span></button>
+                <button class="move-stage-btn p-1 text-muted-foreground hover:text-foreground disabled:opacity-30" data-direction="1" title="Move Down" ${index === stages.length - 1 ? 'disabled' : ''}><span class="material-symbols-outlined text-base">arrow_downward</span></button>
+                <button class="delete-stage-btn p-1 text-destructive hover:text-red-700" title="Delete Stage"><span class="material-symbols-outlined text-base">delete</span></button>
+            </li>
+        `).join('');
+    }
+
+    // Reloads stages and every view that lists them
+    async function refreshStages() {
+        await loadStages();
+        renderStageSettings();
+        renderStatusTabs();
+        await renderJobFilterBar();
+        await refreshJobsView();
+    }
+
+    async function handleStageChange(e) {
+        const row = e.target.closest('li[data-id]');
+        if (!row) return;
+        const stage = stages.find(s => s.id === parseInt(row.dataset.id));
+        const field = name => row.querySelector(`[name="${name}"]`);
+        const updated = {
+            ...stage,
+            name: field('name').value.trim(),
+            color: field('color').value,
+            kind: field('kind').value,
+            retired: field('retired').checked,
+            applied: field('applied').checked,
+            reply: field('reply').checked,
+            reminder: field('reminder_field').value ? { field: field('reminder_field').value, days: parseInt(field('reminder_days').value) } : null
+        };
+        try {
+            const { jobs } = await updateStage(updated);
+            if (updated.name !== stage.name) {
+                // Keep the selected tab and filter pointing at the renamed stage
+                if (currentJobViewStatus === stage.name) currentJobViewStatus = updated.name;
+                appState.jobFilter.statuses = appState.jobFilter.statuses.map(s => s === stage.name ? updated.name : s);
+                saveSettings({ quiet: true });
+                logEvent('INFO', `Renamed stage "${stage.name}" to "${updated.name}"; moved ${jobs} job(s).`);
+            }
+            showStatus('Stage saved.', 'success');
+        } catch (err) {
+            logEvent('ERROR', `Failed to save stage: ${err.message}`);
+            showStatus(`Error saving stage. ${err.message}`, 'error');
+        }
+        await refreshStages();
+    }
+
+    async function handleStageListClick(e) {
+        const button = e.target.closest('button');
+        const row = e.target.closest('li[data-id]');
+        if (!button || !row) return;
+        const id = parseInt(row.dataset.id);
+        try {
+            if (button.classList.contains('move-stage-btn')) {
+                const ids = stages.map(stage => stage.id);
+                const from = ids.indexOf(id);
+                const to = from + parseInt(button.dataset.direction);
+                [ids[from], ids[to]] = [ids[to], ids[from]];
+                await reorderStages(ids);
+            } else if (button.classList.contains('delete-stage-btn')) {
+                await deleteStage(id);
+                showStatus('Stage deleted.', 'success');
+            }
+        } catch (err) {
+            logEvent('ERROR', `Stage update failed: ${err.message}`);
+            showStatus(err.message, 'error');
+        }
+        await refreshStages();
+    }
+
+    async function handleAddStage(e) {
+        e.preventDefault();
+        const form = e.target;
+        try {
+            await addStage({ name: form.elements.name.value, color: form.elements.color.value, kind: form.elements.kind.value });
+            logEvent('INFO', `Added stage "${form.elements.name.value.trim()}".`);
+            form.elements.name.value = '';
+        } catch (err) {
+            logEvent('ERROR', `Failed to add stage: ${err.message}`);
+            showStatus(`Error adding stage. ${err.message}`, 'error');
+        }
+        await refreshStages();
+    }
+
+    // --- Due Dates & Reminders ---
+
+    const DUE_DATE_LABELS = { apply_by: 'Apply by', follow_up_on: 'Follow up', offer_expires_on: 'Offer expires' };
+    const DUE_SOON_DAYS = 3; // Kanban cards flag due dates this close
+    const DUE_CHECK_INTERVAL = 15 * 60 * 1000;
+    const notifiedDueDates = new Set(); // 'jobId:field:date' already notified this session
+    let dueTimer = null;
+
+    function formatDueWhen(days) {
+        if (days < 0) return `${-days} day${days === -1 ? '' : 's'} overdue`;
+        if (days === 0) return 'today';
+        return days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+
+    function formatDueDate(dateKey) {
+        return new Date(`${dateKey}T00:00:00`).toLocaleDateString();
+    }
+
+    // NEW: e.g. "Follow up · 2 days overdue", coloured by urgency
+    function dueBadge(due) {
+        const tone = due.days < 0 ? 'bg-destructive text-destructive-foreground'
+            : due.days === 0 ? 'bg-amber-500 text-white' : 'bg-secondary text-secondary-foreground';
+        return `<span class="text-xs ${tone} px-2 py-0.5 rounded-full whitespace-nowrap" title="${formatDueDate(due.date)}">${DUE_DATE_LABELS[due.field]} · ${formatDueWhen(due.days)}</span>`;
+    }
+
+    // NEW: The soonest due date on a card, when close; terminal stages need no reminders
+    function kanbanDueBadge(job, today) {
+        if (stages.find(stage => stage.name === job.status)?.kind === 'terminal') return '';
+        const due = jobDueDates(job, today)[0];
+        return due && due.days <= DUE_SOON_DAYS ? `<div class="mt-2">${dueBadge(due)}</div>` : '';
+    }
+
+    // NEW: "Due today / overdue" panel above the jobs table and board
+    async function renderDuePanel() {
+        const panel = document.getElementById('due-jobs-panel');
+        let dueDates;
+        try {
+            dueDates = await getDueDates();
+        } catch (err) {
+            logEvent('ERROR', `Failed to load due dates: ${err.message}`);
+            return;
+        }
+        panel.classList.toggle('hidden', dueDates.length === 0);
+        document.getElementById('due-jobs-count').textContent = dueDates.length;
+        document.getElementById('due-jobs-list').innerHTML = dueDates.map(due => `
+            <li class="flex flex-wrap items-center justify-between gap-2 py-2" data-job-id="${due.job.id}" data-field="${due.field}">
+                <button type="button" class="due-open-btn text-left hover:underline">
+                    <span class="font-medium">${escapeHTML(due.job.title)}</span>
+                    <span class="text-muted-foreground">· ${escapeHTML(due.job.company_name || 'Unknown Company')}</span>
+                </button>
+                <span class="flex items-center gap-2">
+                    ${dueBadge(due)}
+                    <button type="button" class="due-snooze-btn px-2 py-1 bg-secondary text-secondary-foreground hover:bg-muted rounded-lg text-xs" title="Move to tomorrow">Tomorrow</button>
+                    <button type="button" class="due-done-btn px-2 py-1 bg-primary hover:bg-accent text-primary-foreground rounded-lg text-xs" title="Clear this date">Done</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    async function handleDueListClick(e) {
+        const row = e.target.closest('li[data-job-id]');
+        const button = e.target.closest('button');
+        if (!row || !button) return;
+        const jobId = parseInt(row.dataset.jobId);
+        const field = row.dataset.field;
+        if (button.classList.contains('due-open-btn')) {
+            await showJobDetail(jobId);
+            return;
+        }
+        try {
+            const tomorrow = localDateKey(new Date(Date.now() + 86400000));
+            await setJobDueDate(jobId, field, button.classList.contains('due-snooze-btn') ? tomorrow : null);
+            showStatus(button.classList.contains('due-snooze-btn') ? `${DUE_DATE_LABELS[field]} moved to tomorrow.` : `${DUE_DATE_LABELS[field]} cleared.`, 'success');
+        } catch (err) {
+            logEvent('ERROR', `Failed to update due date: ${err.message}`);
+            showStatus(`Error updating due date. ${err.message}`, 'error');
+        }
+        await refreshJobsView();
+    }
+
+    // NEW: Asks for notification permission when the setting is turned on
+    async function handleNotifyDueToggle() {
+        if (notifyDueToggle.checked) {
+            const permission = 'Notification' in window ? await Notification.requestPermission() : 'unsupported';
+            if (permission !== 'granted') {
+                notifyDueToggle.checked = false;
+                showStatus(permission === 'unsupported' ? 'This browser does not support notifications.' : 'Notifications are blocked for this page.', 'error');
+            }
+        }
+        saveSettings();
+        scheduleDueNotifications();
+    }
+
+    function scheduleDueNotifications() {
+        clearInterval(dueTimer);
+        dueTimer = null;
+        if (!appState.notifyDueDates) return;
+        notifyDueDates();
+        dueTimer = setInterval(notifyDueDates, DUE_CHECK_INTERVAL);
+    }
+
+    // NEW: One notification for due dates not yet notified this session
+    async function notifyDueDates() {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        try {
+            const fresh = (await getDueDates()).filter(due => !notifiedDueDates.has(`${due.job.id}:${due.field}:${due.date}`));
+            if (fresh.length === 0) return;
+            fresh.forEach(due => notifiedDueDates.add(`${due.job.id}:${due.field}:${due.date}`));
+            const lines = fresh.slice(0, 3).map(due => `${due.job.title}: ${DUE_DATE_LABELS[due.field]} ${formatDueWhen(due.days)}`);
+            if (fresh.length > 3) lines.push(`and ${fresh.length - 3} more`);
+            const notification = new Notification(`${fresh.length} job${fresh.length === 1 ? ' needs' : 's need'} attention`, { body: lines.join('\n'), tag: 'careerjam-due' });
+            notification.onclick = async () => {
+                window.focus();
+                await switchView('jobs-view');
+                if (fresh.length === 1) await showJobDetail(fresh[0].job.id);
+            };
+        } catch (err) {
+            logEvent('ERROR', `Due date check failed: ${err.message}`);
+        }
+    }
+
+    // --- Interviews ---
+
+    const INTERVIEW_FORMAT_LABELS = { phone: 'Phone', video: 'Video', onsite: 'On-site', 'take-home': 'Take-home', other: 'Other' };
+    const INTERVIEW_OUTCOME_LABELS = { pending: 'Pending', passed: 'Passed', failed: 'Not passed', cancelled: 'Cancelled' };
+    const INTERVIEW_OUTCOME_CLASSES = {
+        pending: 'bg-secondary text-secondary-foreground',
+        passed: 'bg-primary text-primary-foreground',
+        failed: 'bg-destructive text-destructive-foreground',
+        cancelled: 'bg-muted text-muted-foreground'
+    };
+
+    // 'YYYY-MM-DDTHH:MM' in local time, as a datetime-local input wants it
+    function toDateTimeInputValue(iso) {
+        const date = new Date(iso);
+        return `${localDateKey(date)}T${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    function formatInterviewTime(interview) {
+        if (!interview.scheduled_at) return 'Not scheduled';
+        const start = new Date(interview.scheduled_at);
+        return `${start.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} · ${interview.duration_minutes} min`;
+    }
+
+    // Lists the current job's rounds in the detail view
+    async function renderJobInterviews(jobId) {
+        const list = document.getElementById('detail-job-interviews');
+        const interviews = await getInterviews({ jobId });
+        document.getElementById('export-job-ics-btn').disabled = !interviews.some(i => i.scheduled_at);
+        if (interviews.length === 0) {
+            list.innerHTML = `<li class="py-2 text-muted-foreground">No interview rounds recorded yet.</li>`;
+            return;
+        }
+        list.innerHTML = interviews.map(interview => {
+            const location = /^https?:\/\//i.test(interview.location)
+                ? `<a href="${escapeHTML(interview.location)}" target="_blank" class="text-primary hover:underline">${escapeHTML(truncateText(interview.location, 40))}</a>`
+                : escapeHTML(interview.location);
+            const interviewers = interview.interviewers
+                .map(person => escapeHTML([`${person.first_name || ''} ${person.last_name || ''}`.trim(), person.job_title].filter(Boolean).join(', ')))
+                .join('; ');
+            return `
+                <li class="py-3" data-interview-id="${interview.id}">
+                    <div class="flex justify-between items-start gap-2">
+                        <div>
+                            <span class="font-medium">${escapeHTML(interview.round)}</span>
+                            <span class="text-xs text-muted-foreground">· ${INTERVIEW_FORMAT_LABELS[interview.format]}</span>
+                            <span class="ml-1 text-xs px-2 py-0.5 rounded-full ${INTERVIEW_OUTCOME_CLASSES[interview.outcome]}">${INTERVIEW_OUTCOME_LABELS[interview.outcome]}</span>
+                        </div>
+                        <div class="flex items-center space-x-2 text-muted-foreground">
+                            <button type="button" class="edit-interview-btn hover:text-foreground" title="Edit round"><span class="material-symbols-outlined text-base">edit</span></button>
+                            <button type="button" class="delete-interview-btn hover:text-destructive" title="Delete round"><span class="material-symbols-outlined text-base">delete</span></button>
+                        </div>
+                    </div>
+                    <p class="text-xs text-muted-foreground">${formatInterviewTime(interview)}${location ? ` · ${location}` : ''}</p>
+                    ${interviewers ? `<p class="text-xs">With ${interviewers}</p>` : ''}
+                    ${interview.feedback ? `<p class="mt-1 whitespace-pre-wrap text-card-foreground">${escapeHTML(interview.feedback)}</p>` : ''}
+                </li>`;
+        }).join('');
+    }
+
+    // Opens the round form, filled in when editing `interview`
+    async function openInterviewModal(interview = null) {
+        const modal = document.getElementById('interview-modal');
+        const form = document.getElementById('interview-form');
+        form.reset();
+        modal.querySelector('h3').textContent = interview ? 'Edit Interview Round' : 'Add Interview Round';
+        form.elements.id.value = interview?.id ?? '';
+
+        // Contacts at the job's company are listed first
+        const job = await getJob(currentJobDetailId);
+        const companyName = companyMap.get(job?.company_id);
+        const people = (await getAllPeople())
+            .map(person => ({ ...person, label: `${person.first_name || ''} ${person.last_name || ''}`.trim() || person.email || 'Unnamed contact' }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+        const atCompany = people.filter(person => companyName && isSameCompanyName(person.company_name, companyName));
+        const others = people.filter(person => !atCompany.includes(person));
+        const options = list => list.map(person => `<option value="${person.id}">${escapeHTML(person.label)}${person.job_title ? ` (${escapeHTML(person.job_title)})` : ''}</option>`).join('');
+        form.elements.interviewer_ids.innerHTML = atCompany.length > 0
+            ? `<optgroup label="At ${escapeHTML(companyName)}">${options(atCompany)}</optgroup>${others.length > 0 ? `<optgroup label="Other contacts">${options(others)}</optgroup>` : ''}`
+            : options(others);
+
+        if (interview) {
+            form.elements.round.value = interview.round;
+            form.elements.scheduled_at.value = interview.scheduled_at ? toDateTimeInputValue(interview.scheduled_at) : '';
+            form.elements.duration_minutes.value = interview.duration_minutes;
+            form.elements.format.value = interview.format;
+            form.elements.outcome.value = interview.outcome;
+            form.elements.location.value = interview.location;
+            form.elements.feedback.value = interview.feedback;
+            [...form.elements.interviewer_ids.options].forEach(option => {
+                option.selected = interview.interviewer_ids.includes(parseInt(option.value));
+            });
+        }
+        openModal('interview-modal');
+    }
+
+    async function handleInterviewSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const formData = new FormData(form);
+        const id = parseInt(formData.get('id'));
+        const scheduledAt = formData.get('scheduled_at');
+        const interview = {
+            job_id: currentJobDetailId,
+            round: formData.get('round'),
+            scheduled_at: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+            duration_minutes: parseInt(formData.get('duration_minutes')) || undefined,
+            format: formData.get('format'),
+            outcome: formData.get('outcome'),
+            location: formData.get('location'),
+            interviewer_ids: formData.getAll('interviewer_ids').map(Number),
+            feedback: formData.get('feedback')
+        };
+
+        try {
+            if (id) {
+                const existing = (await getInterviews({ jobId: currentJobDetailId })).find(i => i.id === id);
+                await updateInterview({ ...interview, id, created_at: existing?.created_at });
+                showStatus(`Interview round "${interview.round.trim()}" updated.`, 'success');
+            } else {
+                await addInterview(interview);
+                showStatus(`Interview round "${interview.round.trim()}" added.`, 'success');
+            }
+            closeModal('interview-modal');
+            await renderJobInterviews(currentJobDetailId);
+        } catch (err) {
+            logEvent('ERROR', `Failed to save interview round: ${err.message}`);
+            showStatus(err.code === 'INVALID_ARGUMENT' || err.code === 'NOT_FOUND' ? err.message : 'Error saving interview round.', 'error');
+        }
+    }
+
+    async function handleInterviewListClick(e) {
+        const row = e.target.closest('li[data-interview-id]');
+        const button = e.target.closest('button');
+        if (!row || !button) return;
+        const interview = (await getInterviews({ jobId: currentJobDetailId })).find(i => i.id === parseInt(row.dataset.interviewId));
+        if (!interview) return;
+        if (button.classList.contains('edit-interview-btn')) {
+            await openInterviewModal(interview);
+        } else if (button.classList.contains('delete-interview-btn')) {
+            await openDeleteModal(interview.id, 'interview', interview.round);
+        }
+    }
+
+    // Downloads the scheduled rounds of one job, or of every job
+    async function exportInterviewsCalendar(jobId = null) {
+        try {
+            const interviews = (await getInterviews({ jobId })).filter(i => i.scheduled_at);
+            if (interviews.length === 0) {
+                showStatus('No scheduled interview rounds to export.', 'error');
+                return;
+            }
+            downloadFile(interviewsToICS(interviews), `careerjam_interviews_${Date.now()}.ics`, 'text/calendar');
+            logEvent('SUCCESS', `Exported ${interviews.length} interview round(s) to .ics.`);
+            showStatus(`Exported ${interviews.length} interview round${interviews.length === 1 ? '' : 's'}.`, 'success');
+        } catch (err) {
+            logEvent('ERROR', `Calendar export failed: ${err.message}`);
+            showStatus('Calendar export failed.', 'error');
+        }
+    }
+
+    // --- Attachments ---
+
+    // Which record each attachment list shows files for
+    const ATTACHMENT_LISTS = {
+        'detail-job-attachments': { store: 'jobs', ownerId: () => currentJobDetailId },
+        'company-attachments': { store: 'companies', ownerId: () => currentCompanyDetailId },
+        'profile-attachments': { store: 'profiles', ownerId: () => parseInt(document.getElementById('edit-profile-form').elements.id.value) || null }
+    };
+    const PREVIEWABLE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    let attachmentPreviewUrl = null;
+
+    function attachmentKind(type) {
+        if (type === 'application/pdf') return { label: 'PDF', icon: 'picture_as_pdf' };
+        if (type.startsWith('image/')) return { label: 'Image', icon: 'image' };
+        return { label: 'DOCX', icon: 'description' };
+    }
+
+    async function renderAttachments(listId) {
+        const list = document.getElementById(listId);
+        const { store, ownerId } = ATTACHMENT_LISTS[listId];
+        const id = ownerId();
+        const attachments = id ? await getAttachments(store, id) : [];
+        if (attachments.length === 0) {
+            list.innerHTML = `<li class="py-2 text-muted-foreground">No files attached.</li>`;
+            return;
+        }
+        list.innerHTML = attachments.map(attachment => {
+            const kind = attachmentKind(attachment.type);
+            return `
+                <li class="py-2 flex items-center justify-between gap-2" data-attachment-id="${attachment.id}">
+                    <div class="flex items-center gap-2 min-w-0">
+                        <span class="material-symbols-outlined text-muted-foreground">${kind.icon}</span>
+                        <div class="min-w-0">
+                            <p class="font-medium truncate" title="${escapeHTML(attachment.name)}">${escapeHTML(attachment.name)}</p>
+                            <p class="text-xs text-muted-foreground">${kind.label} · ${formatBytes(attachment.size)} · ${new Date(attachment.created_at).toLocaleDateString()}</p>
+                        </div>
+                    </div>
+                    <div class="flex items-center space-x-2 text-muted-foreground flex-shrink-0">
+                        ${PREVIEWABLE_TYPES.includes(attachment.type) ? `<button type="button" class="preview-attachment-btn hover:text-foreground" title="Preview"><span class="material-symbols-outlined text-base">visibility</span></button>` : ''}
+                        <button type="button" class="download-attachment-btn hover:text-foreground" title="Download"><span class="material-symbols-outlined text-base">download</span></button>
+                        <button type="button" class="delete-attachment-btn hover:text-destructive" title="Delete file"><span class="material-symbols-outlined text-base">delete</span></button>
+                    </div>
+                </li>`;
+        }).join('');
+    }
+
+    async function refreshAttachmentLists() {
+        for (const listId of Object.keys(ATTACHMENT_LISTS)) await renderAttachments(listId);
+    }
+
+    // Stores the picked files one by one, so one bad file doesn't stop the rest
+    async function handleAttachmentInput(e) {
+        const input = e.target;
+        const listId = input.dataset.list;
+        const { store, ownerId } = ATTACHMENT_LISTS[listId];
+        const id = ownerId();
+        const files = [...input.files];
+        input.value = '';
+        let added = 0;
+        for (const file of files) {
+            try {
+                await addAttachment(store, id, file);
+                added++;
+            } catch (err) {
+                logEvent('ERROR', `Failed to attach "${file.name}": ${err.message}`);
+                showStatus(['INVALID_ARGUMENT', 'NOT_FOUND', 'QUOTA_EXCEEDED'].includes(err.code) ? err.message : `Error attaching "${file.name}".`, 'error');
+            }
+        }
+        if (added > 0) {
+            logEvent('SUCCESS', `Attached ${added} file(s) to ${store} ID ${id}.`);
+            if (added === files.length) showStatus(`Attached ${added} file${added === 1 ? '' : 's'}.`, 'success');
+        }
+        await renderAttachments(listId);
+    }
+
+    async function handleAttachmentListClick(e) {
+        const row = e.target.closest('li[data-attachment-id]');
+        const button = e.target.closest('button');
+        if (!row || !button) return;
+        const attachment = await getAttachment(parseInt(row.dataset.attachmentId));
+        if (!attachment) return;
+        if (button.classList.contains('preview-attachment-btn')) {
+            openAttachmentPreview(attachment);
+        } else if (button.classList.contains('download-attachment-btn')) {
+            downloadFile(attachment.blob, attachment.name, attachment.type);
+        } else if (button.classList.contains('delete-attachment-btn')) {
+            await openDeleteModal(attachment.id, 'attachment', attachment.name);
+        }
+    }
+
+    // PDFs show in the browser's viewer, images as an <img>
+    function openAttachmentPreview(attachment) {
+        if (attachmentPreviewUrl) URL.revokeObjectURL(attachmentPreviewUrl);
+        attachmentPreviewUrl = URL.createObjectURL(attachment.blob);
+        document.getElementById('attachment-preview-title').textContent = attachment.name;
+        document.getElementById('attachment-preview-body').innerHTML = attachment.type === 'application/pdf'
+            ? `<iframe src="${attachmentPreviewUrl}" title="${escapeHTML(attachment.name)}" class="w-full h-[70vh] rounded-lg"></iframe>`
+            : `<img src="${attachmentPreviewUrl}" alt="${escapeHTML(attachment.name)}" class="max-h-[70vh] mx-auto">`;
+        document.getElementById('attachment-preview-download-btn').onclick = () => downloadFile(attachment.blob, attachment.name, attachment.type);
+        openModal('attachment-preview-modal');
+    }
+
+    // Shows the space attachments take and, where the browser tells, the site's share of its quota
+    async function renderStorageUsage() {
+        const { attachments, usage, quota } = await getStorageUsage();
+        const files = `${attachments.count} attached file${attachments.count === 1 ? '' : 's'} (${formatBytes(attachments.bytes)})`;
+        const bar = document.getElementById('storage-usage-bar');
+        if (usage === null || !quota) {
+            bar.style.width = '0%';
+            document.getElementById('storage-usage-text').textContent = `${files}. This browser does not report its storage quota.`;
+            return;
+        }
+        const share = usage / quota;
+        bar.style.width = `${Math.min(100, Math.max(share * 100, usage > 0 ? 1 : 0)).toFixed(1)}%`;
+        bar.classList.toggle('bg-destructive', share > 0.8);
+        bar.classList.toggle('bg-primary', share <= 0.8);
+        document.getElementById('storage-usage-text').textContent = `${files}. CareerJAM uses ${formatBytes(usage)} of the ${formatBytes(quota)} this browser allows (${(share * 100).toFixed(1)}%).`;
+    }
+
+    // --- Custom Fields ---
+
+    const CUSTOM_FIELD_ENTITY_LABELS = { jobs: 'Jobs', companies: 'Companies', people: 'Contacts' };
+    const CUSTOM_FIELD_TYPE_LABELS = { text: 'Text', number: 'Number', date: 'Date', select: 'Select', checkbox: 'Checkbox', url: 'URL' };
+    // Sort option offered for each custom job field type: [order, label suffix]
+    const CUSTOM_SORT_OPTIONS = { number: ['DESC', '(High)'], date: ['DESC', '(Newest)'], checkbox: ['DESC', '(Checked first)'] };
+
+    async function loadCustomFields() {
+        customFields = await getCustomFields();
+        syncCustomColumns();
+    }
+
+    // Keeps columnConfig in step with the job fields: new fields are added
+    // as visible columns, deleted ones dropped, renamed ones relabelled
+    function syncCustomColumns() {
+        const jobFields = customFields.filter(f => f.entity === 'jobs');
+        appState.columnConfig = appState.columnConfig.filter(col =>
+            !col.key.startsWith('custom.') || jobFields.some(f => `custom.${f.id}` === col.key));
+        jobFields.forEach(field => {
+            const column = appState.columnConfig.find(col => col.key === `custom.${field.id}`);
+            if (column) column.label = field.label;
+            else appState.columnConfig.push({ key: `custom.${field.id}`, label: field.label, visible: true });
+        });
+    }
+
+    // Reloads custom fields and every view that shows them
+    async function refreshCustomFields() {
+        await loadCustomFields();
+        saveSettings({ quiet: true }); // Persist column changes
+        renderCustomFieldSettings();
+        renderCustomSortOptions();
+        renderColumnToggles();
+        // Conditions on deleted fields no longer apply
+        const custom = Object.fromEntries(Object.entries(appState.jobFilter.custom || {})
+            .filter(([id]) => customFields.some(f => f.id === parseInt(id))));
+        appState.jobFilter = { ...appState.jobFilter, custom };
+        await renderJobFilterBar();
+        await refreshJobsView();
+    }
+
+    function renderCustomFieldSettings() {
+        const inputClass = 'flex-1 bg-input border border-border p-2 rounded-lg';
+        document.getElementById('custom-field-list').innerHTML = Object.entries(CUSTOM_FIELD_ENTITY_LABELS).map(([entity, title]) => {
+            const fields = customFields.filter(f => f.entity === entity);
+            return `
+                <div>
+                    <h4 class="text-sm font-semibold mb-2">${title}</h4>
+                    ${fields.length === 0 ? '<p class="text-xs text-muted-foreground">No custom fields.</p>' : `
+                    <ul class="space-y-2">
+                        ${fields.map(field => `
+                            <li class="flex flex-wrap items-center gap-2" data-id="${field.id}">
+                                <input type="text" name="label" value="${escapeHTML(field.label)}" required maxlength="40" class="${inputClass}">
+                                <span class="text-xs bg-secondary text-secondary-foreground px-2 py-0.5 rounded-full">${CUSTOM_FIELD_TYPE_LABELS[field.type]}</span>
+                                ${field.type === 'select' ? `<input type="text" name="options" value="${escapeHTML(field.options.join(', '))}" title="Options, comma separated" class="${inputClass}">` : ''}
+                                <button class="delete-custom-field-btn p-1 text-destructive hover:text-red-700" title="Delete Field"><span class="material-symbols-outlined text-base">delete</span></button>
+                            </li>
+                        `).join('')}
+                    </ul>`}
+                </div>
+            `;
+        }).join('');
+    }
+
+    function splitOptions(text) {
+        return text.split(',').map(option => option.trim()).filter(Boolean);
+    }
+
+    async function handleCustomFieldChange(e) {
+        const row = e.target.closest('li[data-id]');
+        if (!row) return;
+        const options = row.querySelector('[name="options"]');
+        try {
+            await updateCustomField({
+                id: parseInt(row.dataset.id),
+                label: row.querySelector('[name="label"]').value,
+                options: options ? splitOptions(options.value) : undefined
+            });
+            showStatus('Custom field saved.', 'success');
+        } catch (err) {
+            logEvent('ERROR', `Failed to save custom field: ${err.message}`);
+            showStatus(`Error saving field. ${err.message}`, 'error');
+        }
+        await refreshCustomFields();
+    }
+
+    async function handleAddCustomField(e) {
+        e.preventDefault();
+        const form = e.target;
+        const field = {
+            entity: form.elements.entity.value,
+            label: form.elements.label.value,
+            type: form.elements.type.value,
+            options: splitOptions(form.elements.options.value)
+        };
+        try {
+            await addCustomField(field);
+            logEvent('INFO', `Added ${field.type} field "${field.label.trim()}" to ${CUSTOM_FIELD_ENTITY_LABELS[field.entity]}.`);
+            form.elements.label.value = '';
+            form.elements.options.value = '';
+            await refreshCustomFields();
+        } catch (err) {
+            logEvent('ERROR', `Failed to add custom field: ${err.message}`);
+            showStatus(`Error adding field. ${err.message}`, 'error');
+        }
+    }
+
+    // Renders inputs for an entity's custom fields into the form's
+    // [data-custom-fields] container. Inputs are unnamed, so FormData skips them.
+    function renderCustomFieldInputs(form, entity, values = {}) {
+        const container = form.querySelector('[data-custom-fields]');
+        const fields = customFields.filter(f => f.entity === entity);
+        container.classList.toggle('hidden', fields.length === 0);
+        container.innerHTML = fields.map(field => {
+            const value = values?.[field.id];
+            const attrs = `data-custom-field-id="${field.id}" class="bg-input border border-border p-2 rounded-lg w-full"`;
+            if (field.type === 'checkbox') {
+                return `<label class="flex items-center gap-2 text-sm font-medium text-muted-foreground">
+                    <input type="checkbox" data-custom-field-id="${field.id}" class="h-4 w-4" ${value ? 'checked' : ''}>${escapeHTML(field.label)}
+                </label>`;
+            }
+            const input = field.type === 'select'
+                ? `<select ${attrs}><option value="">-</option>${field.options.map(option =>
+                    `<option value="${escapeHTML(option)}" ${option === value ? 'selected' : ''}>${escapeHTML(option)}</option>`).join('')}</select>`
+                : `<input type="${field.type === 'text' ? 'text' : field.type}" ${field.type === 'number' ? 'step="any"' : ''} value="${escapeHTML(value ?? '')}" ${attrs}>`;
+            return `<label class="flex flex-col gap-1 text-sm font-medium text-muted-foreground">${escapeHTML(field.label)}${input}</label>`;
+        }).join('');
     }
 
-    // --- Auto Backup & Persistence ---
-    // REMOVED: autoBackupDatabase() - IndexedDB persists automatically
+    // Reads the form's custom field inputs into a `custom` object.
+    // Throws a DataError (INVALID_ARGUMENT) for a value the field cannot hold.
+    function readCustomFieldInputs(form) {
+        const custom = {};
+        form.querySelectorAll('[data-custom-field-id]').forEach(input => {
+            const field = customFields.find(f => f.id === parseInt(input.dataset.customFieldId));
+            const value = coerceCustomValue(field, input.type === 'checkbox' ? input.checked : input.value);
+            if (!isEmptyCustomValue(value)) custom[field.id] = value;
+        });
+        return custom;
+    }
+
+    function isEmptyCustomValue(value) {
+        return value === undefined || value === null || value === '' || value === false;
+    }
+
+    // HTML for a custom field value in the table and detail view
+    function formatCustomValue(field, value) {
+        if (isEmptyCustomValue(value)) return field.type === 'checkbox' ? '' : 'N/A';
+        switch (field.type) {
+            case 'checkbox':
+                return '<span class="material-symbols-outlined text-base text-primary">check</span>';
+            case 'date':
+                return new Date(`${value}T00:00:00`).toLocaleDateString();
+            case 'url':
+                return /^https?:\/\//i.test(value)
+                    ? `<a href="${escapeHTML(value)}" target="_blank" class="text-primary hover:underline">${escapeHTML(truncateText(value, 40))}</a>`
+                    : escapeHTML(value);
+            default:
+                return escapeHTML(value);
+        }
+    }
+
+    // Adds a sort option per custom job field to the sort dropdown
+    function renderCustomSortOptions() {
+        const select = document.getElementById('sort-jobs-select');
+        select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+        customFields.filter(f => f.entity === 'jobs').forEach(field => {
+            const [order, suffix] = CUSTOM_SORT_OPTIONS[field.type] || ['ASC', '(A-Z)'];
+            select.insertAdjacentHTML('beforeend', `<option data-custom value="custom.${field.id} ${order}">Sort by: ${escapeHTML(field.label)} ${suffix}</option>`);
+        });
+        if (![...select.options].some(option => option.value === currentSortOrder)) {
+            currentSortOrder = 'created_at DESC'; // The field was deleted
+        }
+        select.value = currentSortOrder;
+    }
+
+    // Merge-import conflicts name custom fields 'custom.<id>'
+    function importFieldLabel(field) {
+        if (!field.startsWith('custom.')) return field;
+        return customFields.find(f => `custom.${f.id}` === field)?.label || field;
+    }
 
     // UPDATED: downloadBackup - now uses exportDB
     async function downloadBackup() {
         try {
-            const jsonString = await exportDB();
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `careerjam_backup_${Date.now()}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+            const jsonString = await exportDB({ includeAttachments: appState.backupAttachments });
+            if (!await saveBackupFile(jsonString, `careerjam_backup_${Date.now()}`)) return;
             logEvent('SUCCESS', 'Manual database backup created.');
             showStatus('Backup file downloaded.', 'success');
         } catch (err) {
@@ -1740,6 +3337,85 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Downloads backup JSON, encrypted when the setting is on. Resolves false if cancelled.
+    async function saveBackupFile(jsonString, baseName) {
+        if (!appState.encryptBackups) {
+            downloadJSON(jsonString, `${baseName}.json`);
+            return true;
+        }
+        const passphrase = await promptPassphrase({ title: 'Encrypt Backup', confirm: true });
+        if (passphrase === null) return false;
+        showLoading('Encrypting backup...');
+        try {
+            downloadJSON(await encryptBackup(jsonString, passphrase), `${baseName}_encrypted.json`);
+        } finally {
+            hideLoading();
+        }
+        return true;
+    }
+
+    // NEW: Asks for a backup passphrase; resolves null if the user cancels
+    let passphraseResolver = null;
+
+    function promptPassphrase({ title, confirm = false }) {
+        const form = document.getElementById('passphrase-form');
+        document.getElementById('passphrase-modal-title').textContent = title;
+        form.elements.confirm.classList.toggle('hidden', !confirm);
+        form.elements.confirm.required = confirm;
+        document.getElementById('passphrase-error').classList.add('hidden');
+        openModal('passphrase-modal');
+        setTimeout(() => form.elements.passphrase.focus(), 50);
+        return new Promise(resolve => { passphraseResolver = resolve; });
+    }
+
+    function handlePassphraseSubmit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const passphrase = form.elements.passphrase.value;
+        if (!form.elements.confirm.classList.contains('hidden') && passphrase !== form.elements.confirm.value) {
+            const error = document.getElementById('passphrase-error');
+            error.textContent = 'Passphrases do not match.';
+            error.classList.remove('hidden');
+            return;
+        }
+        closeModal('passphrase-modal');
+        passphraseResolver?.(passphrase);
+        passphraseResolver = null;
+    }
+
+    /**
+     * Reads a backup file as JSON text, decrypting it first if it is an
+     * encrypted backup. Resolves null if the passphrase prompt is cancelled.
+     */
+    async function readBackupFile(file) {
+        const text = await file.text();
+        if (!parseEncryptedBackup(text)) return text;
+        const passphrase = await promptPassphrase({ title: `Passphrase for ${file.name}` });
+        if (passphrase === null) return null;
+        showLoading('Decrypting backup...');
+        try {
+            return await decryptBackup(text, passphrase);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Triggers a browser download of a JSON string
+    function downloadJSON(jsonString, filename) {
+        downloadFile(jsonString, filename, 'application/json');
+    }
+
+    // NEW: Saves text as a file through a temporary link
+    function downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
     // NEW: Apply Theme Function
     function applyTheme(themeName) {
         if (themeName === 'Humanist Dark') {
@@ -1750,19 +3426,33 @@ document.addEventListener('DOMContentLoaded', async () => {
         appState.theme = themeName;
     }
 
-    function saveSettings() {
+    // `quiet` skips the log entry and status message (used for filter changes)
+    function saveSettings({ quiet = false } = {}) {
         const apiUrl = document.getElementById('llm-api-url').value;
         appState.autoCreateCompany = autoCreateCompanyToggle.checked;
         appState.theme = themeSelect.value; // Save theme
 
+        appState.encryptBackups = encryptBackupToggle.checked;
+        appState.backupAttachments = backupAttachmentsToggle.checked;
+        appState.snapshotInterval = parseInt(snapshotIntervalSelect.value);
+        appState.snapshotKeep = parseInt(snapshotKeepSelect.value);
+        appState.notifyDueDates = notifyDueToggle.checked;
+
         const settings = {
             llmApiUrl: apiUrl,
             autoCreateCompany: appState.autoCreateCompany,
+            encryptBackups: appState.encryptBackups,
+            backupAttachments: appState.backupAttachments,
+            snapshotInterval: appState.snapshotInterval,
+            snapshotKeep: appState.snapshotKeep,
+            notifyDueDates: appState.notifyDueDates,
             itemsPerPage: appState.itemsPerPage, // Save pagination setting
             columnConfig: appState.columnConfig, // Save NEW column config
+            jobFilter: appState.jobFilter, // NEW: Save jobs table filter
             theme: appState.theme // Save theme
         };
         localStorage.setItem('jobTrackerSettings', JSON.stringify(settings));
+        if (quiet) return;
         logEvent('SUCCESS', 'Settings saved.');
         showStatus('Settings saved!', 'success');
     }
@@ -1775,6 +3465,17 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
             appState.autoCreateCompany = settings.autoCreateCompany !== false; // default to true
             autoCreateCompanyToggle.checked = appState.autoCreateCompany;
+            appState.encryptBackups = settings.encryptBackups === true;
+            encryptBackupToggle.checked = appState.encryptBackups;
+            appState.backupAttachments = settings.backupAttachments === true;
+            appState.snapshotInterval = settings.snapshotInterval ?? appState.snapshotInterval;
+            appState.snapshotKeep = settings.snapshotKeep || appState.snapshotKeep;
+            appState.notifyDueDates = settings.notifyDueDates === true;
+            // Saved filters from before structured pay held INR lakhs per annum
+            const { salaryMin, salaryMax, ...jobFilter } = settings.jobFilter || {};
+            appState.jobFilter = { ...DEFAULT_JOB_FILTER, ...jobFilter };
+            if (typeof salaryMin === 'number') appState.jobFilter.payMin = salaryMin * 100000;
+            if (typeof salaryMax === 'number') appState.jobFilter.payMax = salaryMax * 100000;
 
             // Load theme
             appState.theme = settings.theme || 'Humanist Dark';
@@ -1808,6 +3509,15 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
+        // Reflect defaults too, since saveSettings reads these controls back
+        autoCreateCompanyToggle.checked = appState.autoCreateCompany;
+        encryptBackupToggle.checked = appState.encryptBackups;
+        backupAttachmentsToggle.checked = appState.backupAttachments;
+        themeSelect.value = appState.theme;
+        snapshotIntervalSelect.value = appState.snapshotInterval;
+        snapshotKeepSelect.value = appState.snapshotKeep;
+        notifyDueToggle.checked = appState.notifyDueDates;
+
         // Load legacy visibility settings if they exist and convert them
         const legacyColumnVisibility = JSON.parse(localStorage.getItem('jobTrackerColumnVisibility'));
         if (legacyColumnVisibility) {
@@ -1826,29 +3536,442 @@ document.addEventListener('DOMContentLoaded', async () => {
     async function restoreDatabase(event) {
         const file = event.target.files[0];
         if (!file) return;
-        showLoading('Restoring Database...');
-        const reader = new FileReader();
-        reader.onload = async function (e) {
-            try {
-                const jsonString = e.target.result;
-                await importDB(jsonString);
+        try {
+            // UPDATED: Encrypted backups are decrypted before import
+            const jsonString = await readBackupFile(file);
+            if (jsonString === null) return;
 
-                // Re-init the app to load new data
-                await init();
+            showLoading('Restoring Database...');
+            parseBackup(jsonString); // Validate before snapshotting
+            await takeSnapshot('before-restore');
+            await importDB(jsonString);
 
-                logEvent('SUCCESS', `Database restored from file: ${file.name}`);
-                showStatus('Database restored successfully!', 'success');
-                switchView('jobs-view');
-            } catch (err) {
-                console.error("Restore failed:", err);
-                logEvent('ERROR', `Database restore failed: ${err.message}`);
-                showStatus('Database restore failed. Check file format.', 'error');
-            } finally {
-                hideLoading();
-                event.target.value = '';
+            await reloadAppData();
+
+            logEvent('SUCCESS', `Database restored from file: ${file.name}`);
+            showStatus('Database restored successfully!', 'success');
+            switchView('jobs-view');
+        } catch (err) {
+            console.error("Restore failed:", err);
+            logEvent('ERROR', `Database restore failed: ${err.message}`);
+            (err.details || []).slice(1).forEach(detail => logEvent('ERROR', `Backup problem: ${detail}`));
+            showStatus(`Database restore failed. ${err.message}`, 'error');
+        } finally {
+            hideLoading();
+            event.target.value = '';
+        }
+    }
+
+    // NEW: Reloads caches and views after data changed underneath them
+    async function reloadAppData() {
+        const companies = await getAllCompanies();
+        companyMap = new Map(companies.map(c => [c.id, c.name]));
+        await loadStages();
+        await loadCustomFields();
+        renderStatusTabs();
+        renderStageSettings();
+        renderCustomFieldSettings();
+        renderPaySettings();
+        renderCustomSortOptions();
+        renderColumnToggles();
+        await renderJobFilterBar();
+        await Promise.all([
+            refreshJobsView(),
+            renderCompaniesGrid(),
+            renderPeople(),
+            renderProfiles()
+        ]);
+    }
+
+    // --- Pay & Currencies ---
+
+    const PAY_PERIOD_SUFFIXES = { hour: '/hr', day: '/day', week: '/wk', month: '/mo', year: '/yr' };
+
+    // NEW: Reads the add-job form's pay inputs (see toCompensation); null when all are blank
+    function readPayInputs(form) {
+        const value = name => form.elements[name].value;
+        return toCompensation({
+            min: value('salary_min'), max: value('salary_max'), currency: value('currency'),
+            period: value('pay_period'), equity: value('equity'), bonus: value('bonus')
+        });
+    }
+
+    function fillPayInputs(form, compensation) {
+        form.elements.salary_min.value = compensation?.min ?? '';
+        form.elements.salary_max.value = compensation?.max ?? '';
+        form.elements.currency.value = compensation?.currency ?? '';
+        form.elements.pay_period.value = compensation?.period ?? 'year';
+        form.elements.equity.value = compensation?.equity ?? '';
+        form.elements.bonus.value = compensation?.bonus ?? '';
+    }
+
+    // NEW: Home currency and exchange rates (see setPaySettings)
+    function renderPaySettings() {
+        const { home_currency, rates } = getPaySettings();
+        const form = document.getElementById('pay-settings-form');
+        form.elements.home_currency.value = home_currency;
+        form.dataset.home = home_currency;
+        renderExchangeRateRows(Object.entries(rates), home_currency);
+        document.getElementById('pay-currency-options').innerHTML = [home_currency, ...Object.keys(rates)].map(code => `<option value="${escapeHTML(code)}">`).join('');
+        document.querySelector('#add-job-form input[name="currency"]').placeholder = `Currency (${home_currency})`;
+    }
+
+    function renderExchangeRateRows(entries, home) {
+        document.getElementById('exchange-rate-list').innerHTML = entries.map(([code, rate]) => `
+            <li class="flex items-center gap-2 text-sm">
+                1 <input type="text" name="rate_currency" value="${escapeHTML(code)}" required maxlength="3" placeholder="USD" class="w-20 bg-input border border-border p-2 rounded-lg uppercase">
+                = <input type="number" name="rate_value" value="${Number.isFinite(rate) ? rate : ''}" required min="0" step="any" class="w-40 bg-input border border-border p-2 rounded-lg">
+                <span>${escapeHTML(home)}</span>
+                <button type="button" class="remove-exchange-rate-btn p-1 text-destructive hover:text-red-700" title="Remove Rate"><span class="material-symbols-outlined text-base">delete</span></button>
+            </li>
+        `).join('');
+    }
+
+    function readExchangeRateRows() {
+        return [...document.querySelectorAll('#exchange-rate-list li')].map(row => [
+            row.querySelector('[name="rate_currency"]').value.trim().toUpperCase(),
+            parseFloat(row.querySelector('[name="rate_value"]').value)
+        ]);
+    }
+
+    // NEW: Re-expresses the rates in the new home currency when it has a rate itself
+    function handleHomeCurrencyChange(e) {
+        const form = e.target.form;
+        const previous = form.dataset.home;
+        const home = e.target.value.trim().toUpperCase();
+        const entries = readExchangeRateRows();
+        const homeRate = entries.find(([code]) => code === home)?.[1];
+        const rebase = rate => Number((rate / homeRate).toPrecision(6));
+        if (homeRate > 0 && previous && previous !== home) {
+            renderExchangeRateRows([[previous, rebase(1)], ...entries.filter(([code]) => code !== home).map(([code, rate]) => [code, rebase(rate)])], home);
+        } else {
+            renderExchangeRateRows(entries, home);
+            if (entries.length > 0) showStatus(`Check that every rate is in ${home} before saving.`, 'info');
+        }
+        form.dataset.home = home;
+    }
+
+    async function handleSavePaySettings(e) {
+        e.preventDefault();
+        try {
+            const saved = await setPaySettings({ home_currency: e.target.elements.home_currency.value, rates: Object.fromEntries(readExchangeRateRows()) });
+            logEvent('INFO', `Saved pay settings: home currency ${saved.home_currency}, ${Object.keys(saved.rates).length} exchange rate(s).`);
+            showStatus('Pay settings saved. Jobs are re-sorted by the new rates.', 'success');
+        } catch (err) {
+            logEvent('ERROR', `Failed to save pay settings: ${err.message}`);
+            showStatus(`Error saving pay settings. ${err.message}`, 'error');
+            return;
+        }
+        renderPaySettings();
+        await renderJobFilterBar();
+        await refreshJobsView();
+    }
+
+    // --- Undo / Redo ---
+
+    // NEW: Shows the footer Undo/Redo buttons, titled with what they would change
+    function renderUndoControls({ undo, redo }) {
+        undoBtn.classList.toggle('hidden', !undo);
+        redoBtn.classList.toggle('hidden', !redo);
+        undoBtn.title = undo ? `Undo: ${undo} (Ctrl+Z)` : '';
+        redoBtn.title = redo ? `Redo: ${redo} (Ctrl+Shift+Z)` : '';
+    }
+
+    // NEW: Undoes (or redoes) the latest change and redraws everything it may have touched
+    async function handleUndo(redo = false) {
+        try {
+            const label = redo ? await redoLastChange() : await undoLastChange();
+            if (!label) return;
+            await reloadAppData();
+            await refreshOpenDetails();
+            logEvent('INFO', `${redo ? 'Redid' : 'Undid'}: ${label}`);
+            showStatus(`${redo ? 'Redid' : 'Undid'}: ${label}`, 'success');
+        } catch (err) {
+            logEvent('ERROR', `${redo ? 'Redo' : 'Undo'} failed: ${err.message}`);
+            showStatus(err.message, 'error');
+        }
+    }
+
+    // NEW: Re-renders open detail views, or leaves them if their record is gone
+    async function refreshOpenDetails() {
+        if (currentJobDetailId !== null && !jobDetailView.classList.contains('hidden')) {
+            if (await getJob(currentJobDetailId)) {
+                await showJobDetail(currentJobDetailId);
+            } else {
+                jobDetailView.classList.add('hidden');
+                jobsListView.classList.remove('hidden');
+                currentJobDetailId = null;
+            }
+        }
+        if (currentCompanyDetailId !== null && !companyDetailContainer.classList.contains('hidden')) {
+            if (await getCompany(currentCompanyDetailId)) {
+                await showCompanyDetail(currentCompanyDetailId);
+            } else {
+                companyDetailContainer.classList.add('hidden');
+                companyGridContainer.classList.remove('hidden');
+                currentCompanyDetailId = null;
+            }
+        }
+    }
+
+    // NEW: Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside text fields, which keep their own undo
+    function handleUndoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (document.querySelector('.modal.flex')) return;
+        e.preventDefault();
+        handleUndo(key === 'y' || e.shiftKey);
+    }
+
+    // --- Merge Import ---
+
+    let pendingImport = null; // { data, entries, fileName } while the preview is open
+
+    const IMPORT_STORE_LABELS = { companies: 'Companies', profiles: 'Profiles', people: 'People', jobs: 'Jobs', status_history: 'Status history', interviews: 'Interviews', attachments: 'Attachments' };
+
+    async function startMergeImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const jsonString = await readBackupFile(file);
+            if (jsonString === null) return;
+            const data = parseBackup(jsonString);
+            const { entries, summary } = await analyzeImport(data);
+            pendingImport = { data, entries, fileName: file.name };
+            renderImportPreview(entries, summary);
+            openModal('import-preview-modal');
+        } catch (err) {
+            logEvent('ERROR', `Merge import failed: ${err.message}`);
+            (err.details || []).slice(1).forEach(detail => logEvent('ERROR', `Backup problem: ${detail}`));
+            showStatus(`Merge import failed. ${err.message}`, 'error');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    function describeImportRecord(entry) {
+        const record = entry.existing || entry.incoming;
+        switch (entry.store) {
+            case 'jobs': return `${record.title} (${companyMap.get(record.company_id) || 'No company'})`;
+            case 'people': return `${record.first_name || ''} ${record.last_name || ''}`.trim() || record.email || 'Unnamed contact';
+            default: return record.name;
+        }
+    }
+
+    function renderImportPreview(entries, summary) {
+        document.getElementById('import-preview-summary').innerHTML = Object.entries(summary).map(([store, counts]) => `
+            <tr class="border-t border-border">
+                <td class="py-1">${IMPORT_STORE_LABELS[store]}</td>
+                <td class="text-right">${counts.new}</td>
+                <td class="text-right">${counts.unchanged ?? '-'}</td>
+                <td class="text-right">${counts.changed ?? '-'}</td>
+                <td class="text-right ${counts.conflict ? 'text-destructive font-semibold' : ''}">${counts.conflict ?? '-'}</td>
+            </tr>
+        `).join('');
+
+        const conflicts = entries.filter(entry => entry.action === 'conflict');
+        document.getElementById('import-preview-conflicts').innerHTML = conflicts.length === 0
+            ? '<p class="text-sm text-muted-foreground">No conflicts.</p>'
+            : conflicts.map(entry => `
+                <div class="border border-border rounded-lg p-3">
+                    <div class="flex justify-between items-center gap-4 mb-2">
+                        <span class="text-sm font-medium">${IMPORT_STORE_LABELS[entry.store]}: ${escapeHTML(describeImportRecord(entry))}</span>
+                        <select class="import-resolution bg-input border border-border rounded-lg p-1 text-sm" data-key="${entry.key}">
+                            <option value="keep">Keep mine</option>
+                            <option value="replace">Use imported</option>
+                            ${entry.store === 'companies' ? '' : '<option value="both">Keep both</option>'}
+                        </select>
+                    </div>
+                    <dl class="text-xs grid grid-cols-[auto_1fr_1fr] gap-x-3 gap-y-1">
+                        <dt class="text-muted-foreground">Field</dt><dd class="text-muted-foreground">Mine</dd><dd class="text-muted-foreground">Imported</dd>
+                        ${entry.conflicts.map(conflict => `
+                            <dt class="font-medium">${escapeHTML(importFieldLabel(conflict.field))}</dt>
+                            <dd>${escapeHTML(truncateText(String(conflict.existing), 80))}</dd>
+                            <dd>${escapeHTML(truncateText(String(conflict.incoming), 80))}</dd>
+                        `).join('')}
+                    </dl>
+                </div>
+            `).join('');
+    }
+
+    async function confirmMergeImport() {
+        if (!pendingImport) return;
+        const resolutions = {};
+        document.querySelectorAll('#import-preview-conflicts .import-resolution').forEach(select => {
+            resolutions[select.dataset.key] = select.value;
+        });
+
+        showLoading('Merging backup...');
+        try {
+            await takeSnapshot('before-merge-import');
+            const { added, updated, skipped } = await mergeImport(pendingImport.data, resolutions);
+            closeModal('import-preview-modal');
+            await reloadAppData();
+            logEvent('SUCCESS', `Merged ${pendingImport.fileName}: ${added} added, ${updated} updated, ${skipped} unchanged or kept.`);
+            showStatus(`Import merged: ${added} added, ${updated} updated.`, 'success');
+            pendingImport = null;
+        } catch (err) {
+            logEvent('ERROR', `Merge import failed: ${err.message}`);
+            showStatus(`Merge import failed. ${err.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // --- CSV Import & Export ---
+
+    let pendingCsvImport = null; // { rows, fileName } while the CSV wizard is open
+
+    // Header spellings recognised when guessing the mapping, besides the column labels
+    const CSV_HEADER_ALIASES = {
+        title: ['job title', 'position', 'role'],
+        company_name: ['employer', 'organization', 'organisation'],
+        salary_max: ['salary', 'max salary', 'pay'],
+        salary_min: ['min salary'],
+        currency: ['salary currency'],
+        pay_period: ['period', 'salary period'],
+        url: ['link', 'job url', 'posting url'],
+        profile_id: ['profile'],
+        match_percentage: ['match'],
+        status: ['stage'],
+        created_at: ['date', 'date added', 'saved']
+    };
+
+    // NEW: The salary column is exported and imported as these columns
+    const CSV_PAY_LABELS = { salary_min: 'Salary Min', salary_max: 'Salary Max', currency: 'Currency', pay_period: 'Pay Period', equity: 'Equity', bonus: 'Bonus' };
+
+    // NEW: Job fields a column can map to, labelled like the table columns
+    function csvFieldOptions() {
+        return [
+            ...CSV_JOB_FIELDS.map(key => ({ key, label: COLUMN_DEFINITIONS[key] || CSV_PAY_LABELS[key] })),
+            ...customFields.filter(f => f.entity === 'jobs').map(f => ({ key: `custom.${f.id}`, label: f.label }))
+        ];
+    }
+
+    // NEW: Maps each header to the field whose key, label or alias it matches; each field is used once
+    function guessCsvMapping(header) {
+        const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+        const used = new Set();
+        return header.map(name => {
+            const field = csvFieldOptions().find(option => !used.has(option.key) &&
+                [option.key, option.label, ...(CSV_HEADER_ALIASES[option.key] || [])].some(candidate => normalize(candidate) === normalize(name)));
+            if (!field) return '';
+            used.add(field.key);
+            return field.key;
+        });
+    }
+
+    // NEW: Exports every job in the current table view, in its sort order, with the visible columns
+    async function exportJobsCSV() {
+        try {
+            const { jobs } = await queryJobs({ status: currentJobViewStatus, filter: appState.jobFilter, sortBy: currentSortOrder, limit: Infinity });
+            const columns = appState.columnConfig.filter(col => col.visible).flatMap(col => col.key === 'salary'
+                ? Object.entries(CSV_PAY_LABELS).map(([key, label]) => ({ key, label }))
+                : [col]);
+            downloadFile(jobsToCSV(jobs, columns), `careerjam_jobs_${Date.now()}.csv`, 'text/csv');
+            logEvent('SUCCESS', `Exported ${jobs.length} job(s) to CSV.`);
+            showStatus(`Exported ${jobs.length} job${jobs.length === 1 ? '' : 's'} to CSV.`, 'success');
+        } catch (err) {
+            logEvent('ERROR', `CSV export failed: ${err.message}`);
+            showStatus('CSV export failed.', 'error');
+        }
+    }
+
+    async function startCsvImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const [header, ...rows] = parseCSV(await file.text());
+            if (!header || rows.length === 0) throw new Error('The file has no rows below its header.');
+            pendingCsvImport = { rows, fileName: file.name };
+
+            const mapping = guessCsvMapping(header);
+            const options = csvFieldOptions();
+            document.getElementById('csv-import-mapping').innerHTML = header.map((name, i) => `
+                <tr class="border-t border-border">
+                    <td class="py-1 pr-3 font-medium">${escapeHTML(name || `Column ${i + 1}`)}</td>
+                    <td class="pr-3 text-muted-foreground">${escapeHTML(truncateText(rows[0][i] || '', 40))}</td>
+                    <td>
+                        <select class="csv-column-field bg-input border border-border rounded-lg p-1 text-sm">
+                            <option value="">Ignore</option>
+                            ${options.map(option => `<option value="${option.key}" ${option.key === mapping[i] ? 'selected' : ''}>${escapeHTML(option.label)}</option>`).join('')}
+                        </select>
+                    </td>
+                </tr>
+            `).join('');
+            document.getElementById('csv-import-status').innerHTML = visibleStages().map(stage =>
+                `<option value="${escapeHTML(stage.name)}">${escapeHTML(stage.name)}</option>`).join('');
+            const firstActive = visibleStages().find(stage => stage.kind === 'active');
+            if (firstActive) document.getElementById('csv-import-status').value = firstActive.name;
+            // Our own exports are named careerjam_jobs_<time>.csv (see exportJobsCSV)
+            document.getElementById('csv-import-strip-guard').checked = /^careerjam_jobs_/.test(file.name);
+
+            openModal('csv-import-modal');
+            await previewCsvImport();
+        } catch (err) {
+            logEvent('ERROR', `CSV import failed: ${err.message}`);
+            showStatus(`CSV import failed. ${err.message}`, 'error');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    function readCsvImportOptions() {
+        return {
+            mapping: [...document.querySelectorAll('#csv-import-mapping .csv-column-field')].map(select => select.value),
+            options: {
+                autoCreateCompany: appState.autoCreateCompany,
+                defaultStatus: document.getElementById('csv-import-status').value,
+                stripFormulaGuard: document.getElementById('csv-import-strip-guard').checked
             }
         };
-        reader.readAsText(file); // Read as text for JSON
+    }
+
+    // NEW: Dry-runs the import so the user sees what will be added and skipped before committing
+    async function previewCsvImport() {
+        if (!pendingCsvImport) return;
+        const preview = document.getElementById('csv-import-preview');
+        const confirmBtn = document.getElementById('confirm-csv-import-btn');
+        const { mapping, options } = readCsvImportOptions();
+        try {
+            const result = await importJobRows(pendingCsvImport.rows, mapping, { ...options, dryRun: true });
+            confirmBtn.disabled = result.imported === 0;
+            preview.innerHTML = `
+                <p class="mb-2"><strong>${result.imported}</strong> of ${pendingCsvImport.rows.length} row(s) will be imported${result.companiesCreated ? `, adding ${result.companiesCreated} new compan${result.companiesCreated === 1 ? 'y' : 'ies'}` : ''}.
+                ${!appState.autoCreateCompany ? '<span class="text-muted-foreground">Unknown companies are skipped; enable auto-create in Settings to add them.</span>' : ''}</p>
+                ${result.skipped.length ? `
+                    <p class="text-destructive font-medium mb-1">${result.skipped.length} row(s) will be skipped:</p>
+                    <ul class="text-xs space-y-0.5">
+                        ${result.skipped.map(skip => `<li>Row ${skip.row}: ${escapeHTML(skip.reason)}</li>`).join('')}
+                    </ul>` : ''}
+            `;
+        } catch (err) {
+            confirmBtn.disabled = true;
+            preview.innerHTML = `<p class="text-destructive">${escapeHTML(err.message)}</p>`;
+        }
+    }
+
+    async function confirmCsvImport() {
+        if (!pendingCsvImport) return;
+        const { mapping, options } = readCsvImportOptions();
+        showLoading('Importing jobs...');
+        try {
+            await takeSnapshot('before-csv-import');
+            const { imported, companiesCreated, skipped } = await importJobRows(pendingCsvImport.rows, mapping, options);
+            closeModal('csv-import-modal');
+            await reloadAppData();
+            logEvent('SUCCESS', `Imported ${imported} job(s) and ${companiesCreated} compan${companiesCreated === 1 ? 'y' : 'ies'} from ${pendingCsvImport.fileName}.`);
+            skipped.forEach(skip => logEvent('INFO', `CSV row ${skip.row} skipped: ${skip.reason}`));
+            showStatus(`Imported ${imported} job${imported === 1 ? '' : 's'}${skipped.length ? `, skipped ${skipped.length} row(s) (see Logs)` : ''}.`, skipped.length ? 'info' : 'success');
+            pendingCsvImport = null;
+        } catch (err) {
+            logEvent('ERROR', `CSV import failed: ${err.message}`);
+            showStatus(`CSV import failed. ${err.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
     }
 
     // --- AI Integration ---
@@ -1939,6 +4062,214 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
 
+    // --- Paste Posting Import ---
+
+    const POSTING_TEXT_LIMIT = 12000; // Characters of page text sent to the LLM
+
+    // NEW: Turns posting HTML (possibly entity-escaped, as in JSON-LD) into readable text
+    function htmlToText(html) {
+        let doc = new DOMParser().parseFromString(html || '', 'text/html');
+        if (/<\/?[a-z][^>]*>/i.test(doc.body.textContent)) {
+            doc = new DOMParser().parseFromString(doc.body.textContent, 'text/html');
+        }
+        doc.querySelectorAll('script, style').forEach(el => el.remove());
+        doc.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+        doc.querySelectorAll('li').forEach(li => li.prepend('• '));
+        doc.querySelectorAll('p, div, li, h1, h2, h3, h4, h5, h6, tr, ul, ol').forEach(el => el.append('\n'));
+        return doc.body.textContent.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // NEW: Finds a schema.org JobPosting in the page's JSON-LD blocks (top level, arrays or @graph)
+    function findJobPostingJsonLd(doc) {
+        const isPosting = item => [].concat(item?.['@type']).includes('JobPosting');
+        for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+            let data;
+            try {
+                data = JSON.parse(script.textContent);
+            } catch (err) {
+                continue; // Pages often carry broken blocks next to good ones
+            }
+            const items = [].concat(data).flatMap(item => [item, ...[].concat(item?.['@graph'] || [])]);
+            const posting = items.find(isPosting);
+            if (posting) return posting;
+        }
+        return null;
+    }
+
+    // NEW: Reads JobPosting microdata (itemprop attributes) into the same shape as JSON-LD
+    function findJobPostingMicrodata(doc) {
+        const scope = doc.querySelector('[itemtype*="schema.org/JobPosting"]');
+        if (!scope) return null;
+        const prop = (name, root = scope) => {
+            const el = root.querySelector(`[itemprop="${name}"]`);
+            return el ? (el.getAttribute('content') || el.getAttribute('href') || el.textContent).trim() : null;
+        };
+        const organization = scope.querySelector('[itemprop="hiringOrganization"]');
+        const place = scope.querySelector('[itemprop="jobLocation"]');
+        const salary = scope.querySelector('[itemprop="baseSalary"]');
+        return {
+            title: prop('title'),
+            url: prop('url'),
+            hiringOrganization: organization ? (prop('name', organization) || organization.textContent.trim()) : null,
+            jobLocation: place ? {
+                address: {
+                    addressLocality: prop('addressLocality', place),
+                    addressRegion: prop('addressRegion', place),
+                    addressCountry: prop('addressCountry', place)
+                }
+            } : null,
+            baseSalary: salary ? {
+                currency: prop('currency', salary),
+                value: { minValue: prop('minValue', salary), maxValue: prop('maxValue', salary), value: prop('value', salary), unitText: prop('unitText', salary) }
+            } : null,
+            description: scope.querySelector('[itemprop="description"]')?.innerHTML || null
+        };
+    }
+
+    // NEW: "City, Region, Country" for each jobLocation; remote-only postings read "Remote"
+    function formatPostingLocation(posting) {
+        const places = [].concat(posting.jobLocation || []).map(place => {
+            const address = typeof place === 'string' ? { addressLocality: place } : (place.address || place);
+            if (typeof address === 'string') return address;
+            const country = address.addressCountry?.name || address.addressCountry;
+            return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ');
+        }).filter(Boolean);
+        if (posting.jobLocationType === 'TELECOMMUTE') places.push('Remote');
+        return [...new Set(places)].join('; ');
+    }
+
+    /**
+     * UPDATED: Reads a baseSalary MonetaryAmount into the form's pay fields
+     * (salary_min, salary_max, currency, pay_period). A pay period the form
+     * has no option for is kept as text for the notes instead. Returns
+     * { pay, text } (either may be null).
+     */
+    function parsePostingSalary(baseSalary) {
+        if (!baseSalary || typeof baseSalary !== 'object') return { pay: null, text: null };
+        const value = typeof baseSalary.value === 'object' ? baseSalary.value : { value: baseSalary.value };
+        const amount = key => {
+            const number = parseFloat(String(value[key] ?? '').replace(/,/g, ''));
+            return Number.isFinite(number) ? number : null;
+        };
+        const min = amount('minValue');
+        const max = amount('maxValue') ?? amount('value') ?? min;
+        if (max === null) return { pay: null, text: null };
+        const unit = String(value.unitText || 'YEAR').toUpperCase();
+        const currency = String(baseSalary.currency || '').toUpperCase();
+        const range = [min, max].filter((n, i, all) => n !== null && all.indexOf(n) === i).map(n => n.toLocaleString()).join('–');
+        const text = `${currency ? `${currency} ` : ''}${range} per ${unit.toLowerCase()}`;
+        const period = unit.toLowerCase();
+        const pay = PAY_PERIODS[period] ? { salary_min: min === max ? null : min, salary_max: max, currency, pay_period: period } : null;
+        return { pay, text };
+    }
+
+    /**
+     * NEW: Extracts job fields from pasted HTML. Prefers JSON-LD, then
+     * microdata, then the page's Open Graph title and first heading.
+     * Returns { source, fields } where source is 'json-ld', 'microdata',
+     * 'markup' or null when nothing was found.
+     */
+    function extractJobPosting(raw) {
+        const doc = new DOMParser().parseFromString(raw, 'text/html');
+        const jsonLd = findJobPostingJsonLd(doc);
+        const posting = jsonLd || findJobPostingMicrodata(doc);
+        if (posting) {
+            const organization = posting.hiringOrganization;
+            const salary = parsePostingSalary(posting.baseSalary || posting.estimatedSalary);
+            return {
+                source: jsonLd ? 'json-ld' : 'microdata',
+                fields: {
+                    title: htmlToText(posting.title),
+                    company_name: htmlToText(typeof organization === 'object' ? organization?.name : organization),
+                    location: formatPostingLocation(posting),
+                    ...salary.pay,
+                    salary_text: salary.text,
+                    url: posting.url || doc.querySelector('link[rel="canonical"]')?.href || '',
+                    description: htmlToText(posting.description)
+                }
+            };
+        }
+
+        const meta = name => doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content')?.trim() || '';
+        const title = meta('og:title') || doc.querySelector('h1')?.textContent.trim() || '';
+        if (!title) return { source: null, fields: {} };
+        return {
+            source: 'markup',
+            fields: {
+                title,
+                url: meta('og:url') || doc.querySelector('link[rel="canonical"]')?.getAttribute('href') || '',
+                description: meta('og:description') || meta('description')
+            }
+        };
+    }
+
+    // NEW: Asks the LLM for the same fields when the page has no structured data
+    async function extractJobPostingWithLLM(raw) {
+        const prompt = `Extract the job posting from the following page text. Return a single, minified JSON object with no extra text or markdown, using null for anything not stated. Keys: "title", "company", "location", "salary_min", "salary_max", "salary_currency" (ISO code), "salary_period" ("YEAR", "MONTH", "WEEK", "DAY" or "HOUR"), "description" (the full description as plain text). Example: {"title":"Backend Engineer","company":"Acme","location":"Pune, India","salary_min":1500000,"salary_max":2000000,"salary_currency":"INR","salary_period":"YEAR","description":"..."}`;
+        const text = htmlToText(raw).slice(0, POSTING_TEXT_LIMIT);
+        let result;
+        try {
+            result = JSON.parse(await callLLM(prompt, text));
+        } catch (err) {
+            logEvent('ERROR', `Failed to parse posting JSON: ${err.message}`);
+            throw new Error('AI failed to return valid JSON for the posting.');
+        }
+        const salary = parsePostingSalary({
+            currency: result.salary_currency,
+            value: { minValue: result.salary_min, maxValue: result.salary_max, unitText: result.salary_period }
+        });
+        return {
+            title: result.title || '',
+            company_name: result.company || '',
+            location: result.location || '',
+            ...salary.pay,
+            salary_text: salary.text,
+            description: result.description || ''
+        };
+    }
+
+    // NEW: Fills the add-job form from the pasted posting, leaving fields it found nothing for alone
+    async function handlePastePosting() {
+        const raw = document.getElementById('paste-posting-input').value.trim();
+        if (!raw) {
+            showStatus('Paste the job page first.', 'error');
+            return;
+        }
+        let { source, fields } = extractJobPosting(raw);
+        const structured = source === 'json-ld' || source === 'microdata';
+        if (!structured && document.getElementById('paste-posting-ai').checked) {
+            showLoading('Extracting the posting with AI...');
+            try {
+                const extracted = await extractJobPostingWithLLM(raw);
+                // Values read from the page's markup win over the LLM's reading
+                fields = { ...extracted, ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value)) };
+                source = source ? `${source} + AI` : 'AI';
+            } catch (err) {
+                showStatus(`AI extraction failed: ${err.message}`, 'error');
+                if (!source) return;
+            } finally {
+                hideLoading();
+            }
+        } else if (!source) {
+            showStatus('No job posting data found in the pasted page.', 'error');
+            return;
+        }
+
+        const form = document.getElementById('add-job-form');
+        const filled = ['title', 'company_name', 'location', 'salary_min', 'salary_max', 'currency', 'pay_period', 'url', 'description'].filter(name => {
+            if (fields[name] === null || fields[name] === undefined || fields[name] === '') return false;
+            form.elements[name].value = fields[name];
+            return true;
+        });
+        if (fields.salary_text && !fields.salary_max) {
+            const notes = form.elements.notes;
+            notes.value = [notes.value.trim(), `Salary: ${fields.salary_text}`].filter(Boolean).join('\n');
+            filled.push('notes');
+        }
+        logEvent('INFO', `Pre-filled ${filled.length} job field(s) from a pasted posting (${source}).`);
+        showStatus(`Filled ${filled.join(', ').replace(/_/g, ' ')} from the posting (${source}). Check them before saving.`, 'success');
+    }
+
     // UPDATED: handleAnalyzeMatchFromList - now async
     async function handleAnalyzeMatchFromList(jobId, profileId) {
         showStatus(`Analyzing match for job...`, 'info');
@@ -2094,6 +4425,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             btn.addEventListener('click', () => closeDeleteModal());
         });
 
+        // Picking a reassignment target implies the 'reassign' option
+        document.getElementById('delete-reassign-target').addEventListener('change', () => {
+            deleteModal.querySelector('input[name="delete-dependents-mode"][value="reassign"]').checked = true;
+        });
+
         // --- Job Edit/Delete (Detail View) ---
         document.getElementById('edit-job-detail-btn').addEventListener('click', handleEditJobDetail);
         document.getElementById('delete-job-detail-btn').addEventListener('click', handleDeleteJobDetail);
@@ -2111,16 +4447,53 @@ document.addEventListener('DOMContentLoaded', async () => {
     /**
      * 2. GENERIC DELETE MODAL FUNCTIONS
      */
-    function openDeleteModal(id, type, name) {
+    async function openDeleteModal(id, type, name) {
         const modal = document.getElementById('confirm-delete-modal');
         document.getElementById('delete-confirmation-text').textContent = `Do you really want to delete "${name}"? This action cannot be undone.`;
         document.getElementById('delete-item-id').value = id;
         document.getElementById('delete-item-type').value = type;
+        await renderDeleteDependents(id, type);
         modal.classList.add('flex');
         setTimeout(() => modal.style.opacity = '1', 10);
         setTimeout(() => modal.querySelector('.modal-content').classList.remove('scale-95'), 100);
     }
 
+    /**
+     * Shows how many jobs/contacts a company or profile delete affects and
+     * the options for handling them. Hidden when nothing depends on the item.
+     */
+    async function renderDeleteDependents(id, type) {
+        const section = document.getElementById('delete-dependents-section');
+        const targetSelect = document.getElementById('delete-reassign-target');
+        section.classList.add('hidden');
+        if (type !== 'company' && type !== 'profile') return;
+
+        let summary;
+        let candidates;
+        if (type === 'company') {
+            const { jobs, people } = await getCompanyDependents(id);
+            if (jobs === 0 && people === 0) return;
+            summary = `${jobs} job(s) and ${people} contact(s) are linked to this company.`;
+            candidates = (await getAllCompanies()).filter(c => c.id !== id);
+        } else {
+            const jobs = await getJobsByProfileId(id);
+            if (jobs.length === 0) return;
+            summary = `${jobs.length} job(s) were applied with this profile.`;
+            candidates = (await getAllProfiles()).filter(p => p.id !== id);
+        }
+
+        document.getElementById('delete-dependents-summary').textContent = summary;
+        targetSelect.innerHTML = `<option value="">- Select ${type} -</option>` + candidates
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(c => `<option value="${c.id}">${escapeHTML(c.name)}</option>`).join('');
+
+        const reassignRadio = section.querySelector('input[value="reassign"]');
+        reassignRadio.disabled = candidates.length === 0;
+        targetSelect.disabled = candidates.length === 0;
+        section.querySelector('input[value="clear"]').checked = true;
+        section.classList.remove('hidden');
+    }
+
     function closeDeleteModal() {
         const modal = document.getElementById('confirm-delete-modal');
         modal.querySelector('.modal-content').classList.add('scale-95');
@@ -2135,6 +4508,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         const id = parseInt(document.getElementById('delete-item-id').value);
         const type = document.getElementById('delete-item-type').value;
 
+        // How to handle linked jobs/contacts (only shown for companies and profiles)
+        const dependentsSection = document.getElementById('delete-dependents-section');
+        const mode = dependentsSection.classList.contains('hidden')
+            ? 'clear'
+            : dependentsSection.querySelector('input[name="delete-dependents-mode"]:checked').value;
+        const targetId = parseInt(document.getElementById('delete-reassign-target').value) || null;
+        if (mode === 'reassign' && !targetId) {
+            showStatus(`Select a ${type} to reassign to.`, 'error');
+            return;
+        }
+
         try {
             switch (type) {
                 case 'job':
@@ -2149,7 +4533,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                     await refreshJobsView(); 
                     break;
                 case 'profile':
-                    await deleteProfile(id);
+                    await takeSnapshot('before-delete-profile');
+                    const { jobs: profileJobs } = await deleteProfileWithDependents(id, { mode, targetId });
+                    logEvent('SUCCESS', `Deleted profile ID ${id} (${mode}: ${profileJobs} job(s)).`);
                     showStatus(`Profile deleted successfully.`);
                     await renderProfiles();
                     await refreshJobsView(); // Refresh jobs in case profile was used
@@ -2161,15 +4547,44 @@ document.addEventListener('DOMContentLoaded', async () => {
                     break;
                 case 'company':
                     const companyName = companyMap.get(id) || 'Unknown';
-                    await deleteCompany(id);
+                    await takeSnapshot('before-delete-company');
+                    const affected = await deleteCompanyWithDependents(id, { mode, targetId });
                     companyMap.delete(id); // Remove from cache
+                    logEvent('SUCCESS', `Deleted company "${companyName}" (${mode}: ${affected.jobs} job(s), ${affected.people} contact(s)).`);
                     showStatus(`Company "${companyName}" deleted.`);
                     // Go back to company grid
                     document.getElementById('company-detail-container').classList.add('hidden');
                     document.getElementById('company-grid-container').classList.remove('hidden');
                     currentCompanyDetailId = null;
                     await renderCompaniesGrid();
-                    await refreshJobsView(); // Refresh jobs to show 'Unknown Company'
+                    await renderPeople(); // Contacts may have been relinked or removed
+                    await refreshJobsView();
+                    break;
+                case 'jobs': {
+                    await takeSnapshot('before-bulk-delete');
+                    const { deleted, missing } = await bulkDeleteJobs([...selectedJobIds]);
+                    logEvent('SUCCESS', `Bulk deleted ${deleted} job(s).`);
+                    showStatus(describeBulkResult('Deleted {jobs}', { updated: deleted, missing }));
+                    selectedJobIds.clear();
+                    await refreshJobsView();
+                    break;
+                }
+                case 'interview':
+                    await deleteInterview(id);
+                    showStatus('Interview round deleted.');
+                    if (currentJobDetailId) await renderJobInterviews(currentJobDetailId);
+                    break;
+                case 'attachment':
+                    await deleteAttachment(id);
+                    showStatus('Attachment deleted.');
+                    await refreshAttachmentLists();
+                    break;
+                case 'custom-field':
+                    await takeSnapshot('before-delete-field');
+                    await deleteCustomField(id);
+                    logEvent('SUCCESS', `Deleted custom field ID ${id}.`);
+                    showStatus('Custom field deleted.');
+                    await refreshCustomFields();
                     break;
             }
         } catch (error) {
@@ -2202,10 +4617,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Get company name from map
         form.querySelector('input[name="company_name"]').value = companyMap.get(job.company_id) || '';
         form.querySelector('input[name="location"]').value = job.location || '';
-        form.querySelector('input[name="salary"]').value = job.salary || '';
+        fillPayInputs(form, job.compensation);
+        DUE_DATE_FIELDS.forEach(field => { form.elements[field].value = job[field] || ''; });
         form.querySelector('input[name="url"]').value = job.url || '';
         form.querySelector('textarea[name="description"]').value = job.description || '';
         form.querySelector('textarea[name="notes"]').value = job.notes || '';
+        form.querySelector('input[name="tags"]').value = (job.tags || []).join(', ');
+        renderCustomFieldInputs(form, 'jobs', job.custom);
+        document.getElementById('paste-posting-panel').classList.add('hidden');
+        hideDuplicateWarning();
 
         // Change modal title and button text
         modal.querySelector('h3').textContent = 'Edit Job Post';
@@ -2245,6 +4665,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         form.querySelector('input[name="name"]').value = profile.name;
         form.querySelector('textarea[name="content"]').value = profile.content || '';
         form.querySelector('textarea[name="notes"]').value = profile.notes || '';
+        await renderAttachments('profile-attachments');
 
         openModal('edit-profile-modal');
     }
@@ -2297,6 +4718,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         form.querySelector('input[name="email"]').value = person.email || '';
         form.querySelector('input[name="linkedin"]').value = person.linkedin || '';
         form.querySelector('textarea[name="notes"]').value = person.notes || '';
+        renderCustomFieldInputs(form, 'people', person.custom);
 
         openModal('edit-person-modal');
     }
@@ -2318,6 +4740,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         };
 
         try {
+            personData.custom = readCustomFieldInputs(form);
             await updatePerson(personData);
             showStatus('Contact updated successfully.');
             closeModal('edit-person-modal');
@@ -2346,6 +4769,36 @@ document.addEventListener('DOMContentLoaded', async () => {
             .replace(/'/g, '&#039;');
     }
 
+    // Helper to format a duration in ms as e.g. "3d 4h", "5h 10m" or "12m"
+    function formatDuration(ms) {
+        const minutes = Math.max(0, Math.floor(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m`;
+        return `${minutes}m`;
+    }
+
+    // NEW: Helper to format money compactly in the browser's locale, e.g. "$120K"
+    function formatMoney(amount, currency) {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency, notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 }).format(amount);
+    }
+
+    // NEW: Helper to format a job's pay as e.g. "$120K–$150K /yr"; '' when it has no amount
+    function formatPay(compensation) {
+        const amounts = [...new Set([compensation?.min, compensation?.max].filter(n => typeof n === 'number'))];
+        if (amounts.length === 0) return '';
+        return `${amounts.map(n => formatMoney(n, compensation.currency)).join('–')} ${PAY_PERIOD_SUFFIXES[compensation.period] || ''}`.trim();
+    }
+
+    // NEW: Helper for the yearly home-currency value of pay quoted otherwise; '' when it already is
+    function formatNormalizedPay(compensation) {
+        const { home_currency } = getPaySettings();
+        if (!formatPay(compensation) || (compensation.currency === home_currency && compensation.period === 'year')) return '';
+        const value = normalizePay(compensation);
+        return value === null ? `No ${compensation.currency} exchange rate set` : `≈ ${formatMoney(value, home_currency)} /yr`;
+    }
+
     // Helper to truncate text
     function truncateText(text, maxLength) {
         if (!text) return '';
@@ -0,0 +1,306 @@
+// Backup, merge import, CSV, encryption and snapshot tests.
+require('fake-indexeddb/auto');
+const { IDBFactory, IDBObjectStore } = require('fake-indexeddb');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const data = require('../database.js');
+
+beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    await data.initDB();
+});
+
+afterEach(() => data.closeDB());
+
+async function seed() {
+    const companyId = await data.addCompany({ name: 'Acme' });
+    const profileId = await data.addProfile({ name: 'Backend' });
+    const jobId = await data.addJob({ title: 'SRE', status: 'Applied', created_at: '2024-01-01T00:00:00.000Z', company_id: companyId, profile_id: profileId, url: 'https://jobs.example/1' });
+    return { companyId, profileId, jobId };
+}
+
+test('export then import round-trips every store', async () => {
+    const { jobId } = await seed();
+    const backup = await data.exportDB();
+
+    await data.addCompany({ name: 'Temporary' });
+    await data.importDB(backup);
+
+    assert.deepEqual((await data.getAllCompanies()).map(c => c.name), ['Acme']);
+    assert.equal((await data.getJob(jobId)).title, 'SRE');
+    assert.equal((await data.getStatusHistory(jobId)).length, 1);
+    assert.equal((await data.searchAll('sre')).jobs.length, 1);
+});
+
+test('backups from before structured pay convert LPA salaries', async () => {
+    await data.setPaySettings({ home_currency: 'USD', rates: { INR: 0.012 } });
+    const legacy = { jobs: [{ id: 1, title: 'SRE', status: 'Applied', created_at: '2024-01-01T00:00:00.000Z', salary: 30 }] };
+    await data.importDB(JSON.stringify(legacy));
+
+    const sre = await data.getJob(1);
+    assert.deepEqual(sre.compensation, { min: null, max: 3000000, currency: 'INR', period: 'year', equity: '', bonus: '' });
+    assert.equal('salary' in sre, false);
+    assert.equal(sre.sort_salary, 36000);
+    assert.equal(data.getPaySettings().home_currency, 'USD'); // The backup has no settings to restore
+});
+
+test('a restore that fails to commit rejects and leaves the data as it was', async (t) => {
+    await seed();
+    const backup = await data.exportDB();
+    await data.addCompany({ name: 'Later' });
+
+    // A second write of the same search entry fails after importDB has queued everything
+    const { add, put } = IDBObjectStore.prototype;
+    t.mock.method(IDBObjectStore.prototype, 'put', function (value, key) {
+        if (this.name !== 'search_index') return put.call(this, value, key);
+        add.call(this, value);
+        return add.call(this, value);
+    });
+    await assert.rejects(data.importDB(backup), { code: 'CONSTRAINT' });
+    t.mock.restoreAll();
+    assert.ok(await data.getCompanyByName('Later'));
+});
+
+test('jobs restored without a created_at date stay listed under their status', async () => {
+    await data.importDB(JSON.stringify({ jobs: [{ id: 1, title: 'Undated', status: 'Applied' }] }));
+    const { jobs, total } = await data.queryJobs({ status: 'Applied' });
+    assert.equal(total, 1);
+    assert.deepEqual(jobs.map(job => job.title), ['Undated']);
+    assert.ok(!isNaN(new Date(jobs[0].created_at)));
+});
+
+test('invalid backups are rejected before anything is cleared', async () => {
+    await seed();
+    const broken = JSON.stringify({ jobs: [{ id: 1, title: 'x', status: 'Applied', company_id: 9 }], people: 'nope' });
+
+    assert.deepEqual(data.validateBackup(JSON.parse(broken)), [
+        '"people" must be an array.',
+        'jobs[0].company_id points to missing companies id 9.'
+    ]);
+    await assert.rejects(data.importDB(broken), err => err.code === 'INVALID_BACKUP' && err.details.length === 2);
+    await assert.rejects(data.importDB('not json'), { code: 'INVALID_BACKUP' });
+    await assert.rejects(data.importDB(JSON.stringify({ jobs: [{ id: 1, title: 42, status: 'Applied' }] })), err =>
+        err.code === 'INVALID_BACKUP' && err.details[0] === 'jobs[0].title must be text.');
+    assert.equal((await data.getAllCompanies()).length, 1);
+});
+
+test('merge import previews and applies new, changed and conflicting records', async () => {
+    const { companyId, jobId } = await seed();
+    const incoming = {
+        companies: [{ id: 7, name: 'ACME Inc.', industry: 'Tools' }, { id: 8, name: 'Zeta' }],
+        jobs: [
+            { id: 3, title: 'SRE II', status: 'Interviewing', company_id: 7, url: 'https://jobs.example/1' },
+            { id: 4, title: 'Analyst', status: 'Bookmarked', company_id: 8 }
+        ],
+        status_history: [{ id: 1, job_id: 4, from_status: null, to_status: 'Bookmarked', changed_at: '2024-02-01T00:00:00.000Z' }]
+    };
+
+    const { summary, entries } = await data.analyzeImport(incoming);
+    assert.deepEqual(summary.companies, { new: 1, unchanged: 0, changed: 1, conflict: 0 });
+    assert.deepEqual(summary.jobs, { new: 1, unchanged: 0, changed: 0, conflict: 1 });
+    const conflict = entries.find(e => e.action === 'conflict');
+    assert.deepEqual(conflict.conflicts.map(c => c.field), ['title', 'status']);
+
+    const result = await data.mergeImport(incoming, { [conflict.key]: 'replace' });
+    assert.deepEqual(result, { added: 3, updated: 2, skipped: 0 });
+
+    assert.equal((await data.getCompany(companyId)).industry, 'Tools');
+    assert.equal((await data.getJob(jobId)).status, 'Interviewing');
+    const analyst = (await data.getAllJobs()).find(j => j.title === 'Analyst');
+    const zeta = await data.getCompanyByName('Zeta');
+    assert.equal(analyst.company_id, zeta.id, 'foreign keys are remapped to the new ids');
+    assert.equal((await data.getStatusHistory(analyst.id))[0].changed_at, '2024-02-01T00:00:00.000Z');
+});
+
+test('exported jobs bring their interviews and interviewers into a merge import', async () => {
+    const { jobId } = await seed();
+    const ana = await data.addPerson({ first_name: 'Ana', last_name: 'Li', email: 'ana@acme.example' });
+    await data.addInterview({ job_id: jobId, round: 'Onsite', scheduled_at: '2024-03-05T10:00:00.000Z', interviewer_ids: [ana] });
+    const exported = JSON.parse(await data.exportJobs([jobId]));
+    assert.deepEqual(exported.people.map(p => p.first_name), ['Ana']);
+
+    data.closeDB();
+    globalThis.indexedDB = new IDBFactory();
+    await data.initDB();
+    assert.deepEqual((await data.analyzeImport(exported)).summary.interviews, { new: 1 });
+    await data.mergeImport(exported);
+    await data.mergeImport(exported); // Already-imported rounds are skipped
+
+    const [interview] = await data.getInterviews();
+    assert.equal((await data.getInterviews()).length, 1);
+    assert.deepEqual([interview.job.title, interview.interviewers.map(p => p.email)], ['SRE', ['ana@acme.example']]);
+});
+
+// Counts the files snapshots keep, read straight from the database
+function countSnapshotFiles() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(data.DB_NAME);
+        open.onsuccess = () => {
+            const request = open.result.transaction('snapshot_files').objectStore('snapshot_files').count();
+            request.onsuccess = () => {
+                open.result.close();
+                resolve(request.result);
+            };
+        };
+        open.onerror = () => reject(open.error);
+    });
+}
+
+test('attachments are backed up on request and kept by restores without them', async () => {
+    const { jobId, profileId } = await seed();
+    await data.addAttachment('jobs', jobId, new Blob(['%PDF-1.7 sent']), 'resume.pdf');
+    await data.addAttachment('profiles', profileId, new Blob(['PK']), 'cv.docx');
+
+    const plain = await data.exportDB();
+    assert.equal('attachments' in JSON.parse(plain), false);
+    const full = await data.exportDB({ includeAttachments: true });
+    assert.deepEqual(JSON.parse(full).attachments.map(a => [a.name, a.data, 'blob' in a]), [['resume.pdf', 'JVBERi0xLjcgc2VudA==', false], ['cv.docx', 'UEs=', false]]);
+
+    // Snapshots share one copy of each file, so restoring one brings deleted files back
+    const snapshot = await data.createSnapshot('before-delete-profile');
+    assert.equal(snapshot.counts.attachments, 2);
+    assert.equal(await data.createSnapshot('periodic', { skipIfUnchanged: true }), null);
+    await data.createSnapshot('manual');
+    assert.equal(await countSnapshotFiles(), 2);
+
+    const withoutProfile = JSON.parse(plain);
+    withoutProfile.profiles = [];
+    withoutProfile.jobs[0].profile_id = null;
+    await data.importDB(JSON.stringify(withoutProfile));
+    assert.deepEqual((await data.getAttachments('jobs', jobId)).map(a => a.name), ['resume.pdf']);
+    assert.equal((await data.getStorageUsage()).attachments.count, 1, 'files of records the backup drops are removed');
+
+    await data.restoreSnapshot(snapshot.id);
+    const [resume] = await data.getAttachments('jobs', jobId);
+    assert.deepEqual([resume.type, await resume.blob.text()], ['application/pdf', '%PDF-1.7 sent']);
+    assert.equal((await data.getAttachments('profiles', profileId)).length, 1);
+    for (const { id } of await data.getSnapshots()) await data.deleteSnapshot(id);
+    assert.equal(await countSnapshotFiles(), 0);
+
+    const broken = JSON.parse(full);
+    broken.attachments[0].data = 'not base64!';
+    assert.deepEqual(data.validateBackup(broken), ['attachments[0].data is not base64.']);
+
+    data.closeDB();
+    globalThis.indexedDB = new IDBFactory();
+    await data.initDB();
+    assert.deepEqual((await data.analyzeImport(JSON.parse(full))).summary.attachments, { new: 2 });
+    await data.mergeImport(JSON.parse(full));
+    await data.mergeImport(JSON.parse(full)); // Files already attached are skipped
+    assert.deepEqual((await data.getStorageUsage()).attachments, { count: 2, bytes: 15 });
+});
+
+test('merge import matches custom fields by label and adds missing ones', async () => {
+    const { jobId } = await seed();
+    const remoteId = await data.addCustomField({ entity: 'jobs', label: 'Referral', type: 'text' });
+    await data.updateJob({ ...(await data.getJob(jobId)), custom: { [remoteId]: 'Ana' } });
+    const incoming = {
+        custom_fields: [
+            { id: 5, entity: 'jobs', label: 'referral', type: 'text', options: [], order: 0 },
+            { id: 6, entity: 'jobs', label: 'Remote', type: 'checkbox', options: [], order: 1 }
+        ],
+        jobs: [{ id: 1, title: 'SRE', status: 'Applied', url: 'https://jobs.example/1', custom: { 5: 'Bo', 6: true } }]
+    };
+
+    const { entries } = await data.analyzeImport(incoming);
+    assert.deepEqual(entries[0].conflicts.map(c => c.field), [`custom.${remoteId}`]);
+
+    await data.mergeImport(incoming, { 'jobs#0': 'replace' });
+    const fields = await data.getCustomFields('jobs');
+    assert.deepEqual(fields.map(f => f.label), ['Referral', 'Remote']);
+    assert.deepEqual((await data.getJob(jobId)).custom, { [remoteId]: 'Bo', [fields[1].id]: true });
+});
+
+test('merge import refuses to duplicate a company', async () => {
+    await seed();
+    await assert.rejects(
+        data.mergeImport({ companies: [{ id: 1, name: 'Acme', industry: 'x' }] }, { 'companies#0': 'both' }),
+        { code: 'INVALID_ARGUMENT' }
+    );
+});
+
+test('CSV parses quoted fields and round-trips jobs with a formula guard', async () => {
+    assert.deepEqual(data.parseCSV('﻿a,"b ""c""",d\r\n"multi\nline",,\n\n'), [['a', 'b "c"', 'd'], ['multi\nline', '', '']]);
+    assert.throws(() => data.parseCSV('a,"b'), { code: 'INVALID_ARGUMENT' });
+
+    const { jobId } = await seed();
+    const { jobs } = await data.queryJobs({ status: 'Applied', limit: Infinity });
+    jobs[0].notes = '=HYPERLINK("x")';
+    const csv = data.jobsToCSV(jobs, [{ key: 'title', label: 'Job' }, { key: 'company_name', label: 'Company' }, { key: 'profile_id', label: 'Profile' }, { key: 'notes', label: 'Notes' }]);
+    assert.equal(csv, 'Job,Company,Profile,Notes\r\nSRE,Acme,Backend,"\'=HYPERLINK(""x"")"');
+
+    const [, ...rows] = data.parseCSV(csv);
+    const result = await data.importJobRows(rows, ['title', 'company_name', 'profile_id', 'notes'], { stripFormulaGuard: true });
+    assert.deepEqual(result, { imported: 1, companiesCreated: 0, skipped: [] });
+    const copy = (await data.getAllJobs()).find(job => job.id !== jobId);
+    assert.deepEqual([copy.company_id, copy.notes, copy.status], [(await data.getJob(jobId)).company_id, '=HYPERLINK("x")', 'Bookmarked']);
+
+    // Other apps' files keep a leading apostrophe as written
+    await data.importJobRows(data.parseCSV("Elsewhere,'-' placeholder"), ['title', 'notes']);
+    assert.equal((await data.getAllJobs()).find(job => job.title === 'Elsewhere').notes, "'-' placeholder");
+});
+
+test('CSV import validates rows, skips bad ones and creates companies on request', async () => {
+    await seed();
+    const rows = [
+        ['Dev', 'Acme Inc', '$120,000', 'interviewing', 'remote; Go'],
+        ['', 'Acme', '', '', ''],
+        ['QA', 'Initech', 'lots', '', ''],
+        ['PM', 'Initech', '', 'Shortlisted', ''],
+        ['Ops', 'Initech', '', '', '']
+    ];
+    const mapping = ['title', 'company_name', 'salary_max', 'status', 'tags'];
+
+    const preview = await data.importJobRows(rows, mapping, { dryRun: true });
+    assert.equal(preview.imported, 1);
+    assert.deepEqual(preview.skipped.map(s => s.row), [3, 4, 5, 6]);
+    assert.match(preview.skipped[3].reason, /Initech/);
+    assert.equal((await data.getAllJobs()).length, 1);
+
+    const result = await data.importJobRows(rows, mapping, { autoCreateCompany: true });
+    assert.deepEqual([result.imported, result.companiesCreated], [2, 1]);
+    assert.deepEqual(result.skipped.map(s => s.reason), ['Missing job title.', 'Maximum pay "lots" is not valid.', 'Unknown status "Shortlisted".']);
+    const dev = (await data.getAllJobs()).find(job => job.title === 'Dev');
+    assert.deepEqual([dev.compensation.max, dev.compensation.currency, dev.status, dev.tags], [120000, 'INR', 'Interviewing', ['remote', 'Go']]);
+    assert.equal(data.getJournalState().undo, 'Imported jobs from CSV');
+    await assert.rejects(data.importJobRows(rows, ['company_name']), { code: 'INVALID_ARGUMENT' });
+});
+
+test('encrypted backups decrypt only with the right passphrase', async () => {
+    await seed();
+    const backup = await data.exportDB();
+    const envelope = await data.encryptBackup(backup, 'correct horse');
+
+    const parsed = data.parseEncryptedBackup(envelope);
+    assert.equal(parsed.kdf.name, 'PBKDF2');
+    assert.equal(parsed.cipher.name, 'AES-GCM');
+    assert.ok(!envelope.includes('Acme'));
+    assert.equal(data.parseEncryptedBackup(backup), null);
+
+    assert.equal(await data.decryptBackup(envelope, 'correct horse'), backup);
+    await assert.rejects(data.decryptBackup(envelope, 'wrong'), { code: 'DECRYPT_FAILED' });
+
+    const tampered = kdf => JSON.stringify({ ...parsed, kdf: { ...parsed.kdf, ...kdf } });
+    for (const kdf of [{ hash: 'SHA-1' }, { iterations: 1 }, { iterations: 1e12 }, { iterations: '600000' }]) {
+        await assert.rejects(data.decryptBackup(tampered(kdf), 'correct horse'), { code: 'INVALID_BACKUP' });
+    }
+});
+
+test('snapshots are pruned to the retention limit and restore data', async () => {
+    await seed();
+    const first = await data.createSnapshot('manual', { keep: 2 });
+    assert.equal(first.counts.companies, 1);
+    assert.equal(await data.createSnapshot('periodic', { keep: 2, skipIfUnchanged: true }), null);
+
+    await data.addCompany({ name: 'Later' });
+    await data.createSnapshot('second', { keep: 2 });
+    await data.createSnapshot('third', { keep: 2 });
+    assert.deepEqual((await data.getSnapshots()).map(s => s.reason), ['third', 'second']);
+
+    const [, second] = await data.getSnapshots();
+    await data.deleteCompany((await data.getCompanyByName('Later')).id);
+    await data.restoreSnapshot(second.id, { keep: 2 });
+    assert.ok(await data.getCompanyByName('Later'));
+    assert.equal((await data.getSnapshots())[0].reason, 'before-restore');
+    await assert.rejects(data.restoreSnapshot(999), { code: 'NOT_FOUND' });
+});
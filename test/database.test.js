@@ -0,0 +1,497 @@
+// Data-layer tests against an in-memory IndexedDB (fake-indexeddb).
+// Each test gets a fresh factory, so databases never leak between tests.
+require('fake-indexeddb/auto');
+const { IDBFactory } = require('fake-indexeddb');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const data = require('../database.js');
+
+beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    await data.initDB();
+});
+
+afterEach(() => data.closeDB());
+
+const job = (fields = {}) => ({ title: 'Engineer', status: 'Applied', created_at: new Date().toISOString(), ...fields });
+const pay = (max, currency = 'INR', period = 'year') => data.toCompensation({ max, currency, period });
+
+test('companies support full CRUD and reject duplicate names', async () => {
+    const id = await data.addCompany({ name: 'Acme' });
+    assert.equal((await data.getCompany(id)).name, 'Acme');
+    assert.equal((await data.getCompanyByName('Acme')).id, id);
+
+    await data.updateCompany({ id, name: 'Acme Corp', industry: 'Tools' });
+    assert.equal((await data.getCompany(id)).industry, 'Tools');
+
+    await assert.rejects(data.addCompany({ name: 'Acme Corp' }), { name: 'DataError', code: 'CONSTRAINT' });
+
+    await data.deleteCompany(id);
+    assert.equal(await data.getCompany(id), undefined);
+    assert.deepEqual(await data.getAllCompanies(), []);
+});
+
+test('profiles and people support full CRUD', async () => {
+    const profileId = await data.addProfile({ name: 'Backend', content: 'Go' });
+    await data.updateProfile({ id: profileId, name: 'Backend', content: 'Go, Rust' });
+    assert.equal((await data.getProfile(profileId)).content, 'Go, Rust');
+    await data.deleteProfile(profileId);
+    assert.deepEqual(await data.getAllProfiles(), []);
+
+    const personId = await data.addPerson({ first_name: 'Ana', company_name: 'Acme' });
+    await data.updatePersonNotes(personId, 'Met at meetup');
+    assert.equal((await data.getPerson(personId)).notes, 'Met at meetup');
+    await data.updatePerson({ id: personId, first_name: 'Ana', last_name: 'Lee' });
+    assert.equal((await data.getPerson(personId)).last_name, 'Lee');
+    await data.deletePerson(personId);
+    assert.deepEqual(await data.getAllPeople(), []);
+});
+
+test('jobs record status history from creation onwards', async () => {
+    const id = await data.addJob(job({ status: 'Bookmarked' }));
+    await data.setJobStatus(id, 'Applied', 'table');
+    await data.setJobStatus(id, 'Applied', 'table'); // Unchanged status adds no entry
+    assert.equal(await data.setJobStatus(999, 'Applied', 'table'), null);
+
+    const history = await data.getStatusHistory(id);
+    assert.deepEqual(history.map(h => [h.from_status, h.to_status]), [[null, 'Bookmarked'], ['Bookmarked', 'Applied']]);
+
+    await data.deleteJob(id);
+    assert.deepEqual(await data.getStatusHistory(id), []);
+    assert.deepEqual(await data.getAllJobs(), []);
+});
+
+test('queryJobs pages with key cursors and joins company names', async () => {
+    const acme = await data.addCompany({ name: 'Acme' });
+    const zeta = await data.addCompany({ name: 'Zeta' });
+    for (let i = 0; i < 5; i++) {
+        await data.addJob(job({ title: `Job ${i}`, company_id: i % 2 ? acme : zeta }));
+    }
+
+    const first = await data.queryJobs({ status: 'Applied', sortBy: 'company_name ASC', limit: 3 });
+    assert.equal(first.total, 5);
+    assert.deepEqual(first.jobs.map(j => j.company_name), ['Acme', 'Acme', 'Zeta']);
+
+    const second = await data.queryJobs({ status: 'Applied', sortBy: 'company_name ASC', after: first.next, limit: 3 });
+    assert.deepEqual(second.jobs.map(j => j.company_name), ['Zeta', 'Zeta']);
+    assert.equal(second.next, null);
+});
+
+test('queryJobs combines statuses and filters with matching totals', async () => {
+    const acme = await data.addCompany({ name: 'Acme' });
+    await data.addJob(job({ title: 'A', status: 'Applied', compensation: pay(2000000), location: 'Pune', company_id: acme }));
+    await data.addJob(job({ title: 'B', status: 'Interviewing', compensation: pay(3500000), location: 'Remote (Pune)', company_id: acme }));
+    await data.addJob(job({ title: 'C', status: 'Interviewing', compensation: pay(5000000), location: 'Delhi', company_id: acme }));
+    await data.addJob(job({ title: 'D', status: 'Bookmarked', compensation: pay(4000000), location: 'Pune' }));
+
+    const filter = { statuses: ['Applied', 'Interviewing'], payMin: 1000000, payMax: 4500000, location: 'pune', companyId: acme };
+    const first = await data.queryJobs({ filter, sortBy: 'salary DESC', limit: 1 });
+    assert.equal(first.total, 2);
+    assert.deepEqual(first.jobs.map(j => j.title), ['B']);
+
+    const second = await data.queryJobs({ filter, sortBy: 'salary DESC', after: first.next, limit: 1 });
+    assert.deepEqual(second.jobs.map(j => j.title), ['A']);
+    assert.equal(second.next, null);
+
+    const unassigned = await data.queryJobs({ status: 'Bookmarked', filter: { profileId: 'none', savedFrom: '2000-01-01' } });
+    assert.deepEqual(unassigned.jobs.map(j => j.title), ['D']);
+});
+
+test('pay is normalized to yearly home currency for sorting and filtering', async () => {
+    await data.setPaySettings({ home_currency: 'INR', rates: { usd: 80 } });
+    await data.addJob(job({ title: 'Monthly', compensation: pay(150000, 'INR', 'month') }));
+    await data.addJob(job({ title: 'Yearly', compensation: data.toCompensation({ min: 90000, max: 100000, currency: 'USD', equity: '0.1%' }) }));
+    await data.addJob(job({ title: 'Hourly', compensation: pay(50, 'USD', 'hourly') }));
+    await data.addJob(job({ title: 'No rate', compensation: pay(70000, 'EUR') }));
+
+    const titles = async (filter = {}) => (await data.queryJobs({ status: 'Applied', filter, sortBy: 'salary DESC' })).jobs.map(j => j.title);
+    assert.deepEqual(await titles(), ['Hourly', 'Yearly', 'Monthly', 'No rate']);
+    assert.deepEqual(await titles({ payMin: 2000000 }), ['Hourly', 'Yearly']);
+
+    // Adding a rate re-sorts the jobs already saved in that currency
+    await data.setPaySettings({ home_currency: 'INR', rates: { USD: 80, EUR: 200 } });
+    assert.deepEqual(await titles(), ['No rate', 'Hourly', 'Yearly', 'Monthly']);
+    assert.equal(data.getJournalState().undo, 'Changed pay settings');
+    await data.undoLastChange();
+    assert.deepEqual(data.getPaySettings().rates, { USD: 80 });
+    assert.deepEqual(await titles(), ['Hourly', 'Yearly', 'Monthly', 'No rate']);
+
+    assert.throws(() => data.toCompensation({ min: 5, max: 1 }), { code: 'INVALID_ARGUMENT' });
+    assert.throws(() => data.toCompensation({ max: 1, currency: 'dollars' }), { code: 'INVALID_ARGUMENT' });
+    assert.equal(data.toCompensation({ min: '', max: '' }), null);
+    await assert.rejects(data.setPaySettings({ home_currency: 'INR', rates: { USD: 0 } }), { code: 'INVALID_ARGUMENT' });
+});
+
+test('renaming a company re-sorts its jobs and relinks contacts', async () => {
+    const id = await data.addCompany({ name: 'Acme' });
+    await data.addCompany({ name: 'Beta' });
+    await data.addJob(job({ company_id: id }));
+    await data.addPerson({ first_name: 'Ana', company_name: 'acme' });
+
+    await data.updateCompany({ id, name: 'Zulu' });
+
+    const { jobs } = await data.queryJobs({ status: 'Applied', sortBy: 'company_name ASC' });
+    assert.equal(jobs[0].company_name, 'Zulu');
+    assert.equal((await data.getAllPeople())[0].company_name, 'Zulu');
+});
+
+test('deleting a company can reassign, clear or cascade its jobs', async () => {
+    const from = await data.addCompany({ name: 'Old' });
+    const to = await data.addCompany({ name: 'New' });
+    const jobId = await data.addJob(job({ company_id: from }));
+
+    await assert.rejects(data.deleteCompanyWithDependents(from, { mode: 'reassign', targetId: from }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(data.deleteCompanyWithDependents(999, { mode: 'clear' }), { code: 'NOT_FOUND' });
+
+    assert.deepEqual(await data.deleteCompanyWithDependents(from, { mode: 'reassign', targetId: to }), { jobs: 1, people: 0 });
+    assert.equal((await data.getJob(jobId)).company_id, to);
+
+    await data.deleteCompanyWithDependents(to, { mode: 'delete' });
+    assert.equal(await data.getJob(jobId), undefined);
+    assert.deepEqual(await data.getStatusHistory(jobId), []);
+});
+
+test('duplicate companies are found and merged', async () => {
+    const keep = await data.addCompany({ name: 'Google' });
+    const dupe = await data.addCompany({ name: 'Google LLC', website: 'google.com' });
+    await data.addCompany({ name: 'Alphabet' });
+    const jobId = await data.addJob(job({ company_id: dupe }));
+
+    const groups = await data.findDuplicateCompanies();
+    assert.deepEqual(groups.map(g => g.map(c => c.id)), [[keep, dupe]]);
+
+    await data.mergeCompanies(keep, [dupe]);
+    assert.equal((await data.getCompany(keep)).website, 'google.com');
+    assert.equal((await data.getJob(jobId)).company_id, keep);
+    assert.equal(await data.getCompany(dupe), undefined);
+});
+
+test('search finds records by word prefix and follows edits', async () => {
+    const companyId = await data.addCompany({ name: 'Société Générale' });
+    const jobId = await data.addJob(job({ title: 'Senior Rust Engineer', company_id: companyId }));
+    await data.addPerson({ first_name: 'Ana', last_name: 'Pérez' });
+
+    assert.deepEqual((await data.searchAll('soc')).companies.map(c => c.id), [companyId]);
+    assert.deepEqual((await data.searchAll('rust eng')).jobs.map(j => j.id), [jobId]);
+    assert.equal((await data.searchAll('perez')).people.length, 1);
+
+    await data.updateJob({ ...(await data.getJob(jobId)), title: 'Staff Go Engineer' });
+    assert.equal((await data.searchAll('rust')).jobs.length, 0);
+
+    await data.deleteJob(jobId);
+    assert.equal((await data.searchAll('staff')).jobs.length, 0);
+});
+
+test('duplicate jobs are found by normalized URL or title and merged', async () => {
+    assert.equal(data.normalizeJobUrl('HTTPS://www.Jobs.example/view/42/?utm_source=x&trackingId=abc&b=2&a=1#apply'), 'jobs.example/view/42?a=1&b=2');
+    assert.equal(data.normalizeJobUrl('jobs.example/view/42'), 'jobs.example/view/42');
+
+    const acme = await data.addCompany({ name: 'Acme' });
+    const first = await data.addJob(job({ company_id: acme, url: 'https://jobs.example/42?utm_medium=mail', notes: 'Referral', tags: ['Go'], created_at: '2024-01-02T00:00:00.000Z' }));
+    const second = await data.addJob(job({ title: 'Engineer ', company_id: acme, location: 'Pune', tags: ['go', 'Remote'], notes: 'Second copy', created_at: '2024-01-01T00:00:00.000Z' }));
+    const third = await data.addJob(job({ title: 'Designer', url: 'jobs.example/42/' }));
+    await data.addJob(job({ title: 'Engineer' })); // No company, no URL: nothing to compare
+
+    const matches = await data.findMatchingJobs({ title: 'engineer', company_id: acme, url: '' });
+    assert.deepEqual(matches.map(m => [m.id, m.duplicate_of, m.company_name]), [[first, 'title', 'Acme'], [second, 'title', 'Acme']]);
+    assert.deepEqual((await data.findMatchingJobs({ id: first, url: 'http://jobs.example/42' })).map(m => m.id), [third]);
+
+    const groups = await data.findDuplicateJobs();
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].jobs.map(j => j.id), [first, second, third]);
+    assert.deepEqual(groups[0].reasons.sort(), ['title', 'url']);
+
+    await data.addInterview({ job_id: second, round: 'Screen' });
+    await data.addAttachment('jobs', third, new Blob(['%PDF'], { type: 'application/pdf' }), 'resume.pdf');
+    assert.deepEqual(await data.mergeJobs(first, [second, third]), { history: 2, interviews: 1, attachments: 1 });
+    const merged = await data.getJob(first);
+    assert.deepEqual([merged.location, merged.tags, merged.created_at], ['Pune', ['Go', 'Remote'], '2024-01-01T00:00:00.000Z']);
+    assert.match(merged.notes, /^Referral\n\n--- Merged from Engineer  ---\nSecond copy/);
+    assert.equal((await data.getStatusHistory(first)).length, 3);
+    assert.deepEqual((await data.getInterviews({ jobId: first })).map(i => i.round), ['Screen']);
+    assert.deepEqual(await data.findDuplicateJobs(), []);
+    await assert.rejects(data.mergeJobs(first, [second]), { code: 'INVALID_ARGUMENT' });
+});
+
+test('renaming a stage moves its jobs and history; stages in use cannot be deleted', async () => {
+    const jobId = await data.addJob(job({ status: 'Interviewing' }));
+    await data.setJobStatus(jobId, 'Negotiating');
+    const stages = await data.getStages();
+    const interviewing = stages.find(s => s.name === 'Interviewing');
+
+    await assert.rejects(data.updateStage({ ...interviewing, name: 'applied' }), { code: 'INVALID_ARGUMENT' });
+    await data.setJobStatus(jobId, 'Interviewing');
+    assert.deepEqual(await data.updateStage({ ...interviewing, name: 'Onsite', kind: 'active' }), { jobs: 1 });
+
+    assert.equal((await data.getJob(jobId)).status, 'Onsite');
+    const history = await data.getStatusHistory(jobId);
+    assert.deepEqual(history.map(h => h.to_status), ['Onsite', 'Negotiating', 'Onsite']);
+    assert.equal(history[1].from_status, 'Onsite');
+    assert.equal((await data.queryJobs({ status: 'Onsite' })).jobs.length, 1);
+
+    await assert.rejects(data.deleteStage(interviewing.id), { code: 'INVALID_ARGUMENT' });
+    const newId = await data.addStage({ name: 'Ghosted', kind: 'terminal' });
+    await data.reorderStages([newId, ...stages.map(s => s.id)]);
+    assert.equal((await data.getStages())[0].name, 'Ghosted');
+    await data.deleteStage(newId);
+    assert.equal((await data.getStages()).length, stages.length);
+});
+
+test('stage reminders set due dates and overdue jobs are listed until closed', async () => {
+    const applied = (await data.getStages()).find(s => s.name === 'Applied');
+    await data.updateStage({ ...applied, reminder: { field: 'follow_up_on', days: 7 } });
+    await assert.rejects(data.updateStage({ ...applied, reminder: { field: 'follow_up_on', days: -1 } }), { code: 'INVALID_ARGUMENT' });
+
+    const today = data.localDateKey(new Date());
+    const inAWeek = data.localDateKey(new Date(Date.now() + 7 * 86400000));
+    const movedId = await data.addJob(job({ title: 'Moved', status: 'Bookmarked' }));
+    await data.setJobStatus(movedId, 'Applied', 'kanban');
+    assert.equal((await data.getJob(movedId)).follow_up_on, inAWeek);
+    const keptId = await data.addJob(job({ title: 'Kept', follow_up_on: '2020-01-01', offer_expires_on: today }));
+    assert.equal((await data.getJob(keptId)).follow_up_on, '2020-01-01'); // A date already set wins
+
+    assert.deepEqual((await data.getDueDates()).map(d => [d.job.title, d.field, d.days > 0 ? 'later' : d.days === 0 ? 'today' : 'overdue']),
+        [['Kept', 'follow_up_on', 'overdue'], ['Kept', 'offer_expires_on', 'today']]);
+    assert.equal((await data.getDueDates({ within: 7 })).length, 3);
+
+    await data.setJobDueDate(keptId, 'follow_up_on', null);
+    await assert.rejects(data.setJobDueDate(keptId, 'apply_by', 'soon'), { code: 'INVALID_ARGUMENT' });
+    await data.setJobStatus(keptId, 'Rejected', 'table'); // Terminal stages need no reminders
+    assert.deepEqual(await data.getDueDates(), []);
+});
+
+test('interview rounds link jobs and contacts and export as ICS', async () => {
+    const acme = await data.addCompany({ name: 'Acme' });
+    const jobId = await data.addJob(job({ company_id: acme, url: 'https://acme.example/jobs/1' }));
+    const ana = await data.addPerson({ first_name: 'Ana', last_name: 'Li', job_title: 'EM' });
+    const bo = await data.addPerson({ first_name: 'Bo', last_name: 'Ek' });
+
+    await assert.rejects(data.addInterview({ job_id: jobId, round: ' ' }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(data.addInterview({ job_id: jobId, round: 'Onsite', format: 'zoom' }), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(data.addInterview({ job_id: jobId + 1, round: 'Onsite' }), { code: 'NOT_FOUND' });
+    await assert.rejects(data.addInterview({ job_id: jobId, round: 'Onsite', interviewer_ids: [bo + 1] }), { code: 'NOT_FOUND' });
+
+    const takeHome = await data.addInterview({ job_id: jobId, round: 'Take-home', format: 'take-home' });
+    const onsite = await data.addInterview({ job_id: jobId, round: 'Onsite; system design, part 2', scheduled_at: '2024-03-05T10:00:00.000Z', duration_minutes: 90, format: 'onsite', location: 'HQ', interviewer_ids: [ana, bo] });
+    const screen = await data.addInterview({ job_id: jobId, round: 'Screen', scheduled_at: '2024-03-01T09:30:00.000Z', format: 'phone', interviewer_ids: [ana] });
+    const rounds = await data.getInterviews({ jobId });
+    assert.deepEqual(rounds.map(i => i.id), [screen, onsite, takeHome]); // Unscheduled last
+    assert.deepEqual([rounds[1].job.company_name, rounds[1].interviewers.map(p => p.first_name)], ['Acme', ['Ana', 'Bo']]);
+    assert.deepEqual((await data.getInterviews({ from: '2024-03-02T00:00:00.000Z' })).map(i => i.id), [onsite]);
+
+    await data.updateInterview({ ...rounds[0], outcome: 'cancelled' });
+    const ics = await data.exportInterviewsICS({ jobId });
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+    assert.match(ics, /DTSTART:20240305T100000Z\r\nDTEND:20240305T113000Z\r\n/);
+    assert.match(ics, /SUMMARY:Onsite\\; system design\\, part 2: Engineer at Acme/);
+    assert.match(ics, /UID:interview-\d+@careerjam\r\n[^]*STATUS:CANCELLED/);
+    assert.ok(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+
+    await data.deletePerson(ana);
+    assert.deepEqual((await data.getInterviews({ jobId }))[1].interviewer_ids, [bo]);
+    await data.deleteJob(jobId);
+    assert.deepEqual(await data.getInterviews(), []);
+
+    // Rounds restored without interviewers read and export like any other
+    await data.importDB(JSON.stringify({ jobs: [{ id: 1, title: 'Restored', status: 'Applied' }], interviews: [{ id: 1, job_id: 1, round: 'Screen' }] }));
+    assert.deepEqual((await data.getInterviews()).map(i => [i.interviewer_ids, i.interviewers]), [[[], []]]);
+    assert.equal(JSON.parse(await data.exportJobs([1])).interviews.length, 1);
+});
+
+test('calendar items cover saved, applied, interview and due dates in range', async () => {
+    const local = (date, time = '12:00') => new Date(`${date}T${time}:00`).toISOString();
+    const first = await data.addJob(job({ title: 'Alpha', status: 'Bookmarked', created_at: local('2024-03-01'), follow_up_on: '2024-03-10' }));
+    const second = await data.addJob(job({ title: 'Beta', status: 'Rejected', created_at: local('2024-02-20'), apply_by: '2024-03-05' }));
+    await data.setJobStatus(first, 'Applied', 'table');
+    await data.addInterview({ job_id: first, round: 'Screen', scheduled_at: local('2024-03-04', '09:00') });
+    await data.addInterview({ job_id: second, round: 'Late', scheduled_at: local('2024-04-01', '09:00') });
+
+    const items = await data.getCalendarItems({ from: '2024-03-01', to: '2024-03-31' });
+    const today = data.localDateKey(new Date());
+    assert.deepEqual(items.filter(i => i.type !== 'applied').map(i => [i.type, i.date, i.job.title]), [
+        ['saved', '2024-03-01', 'Alpha'],
+        ['interview', '2024-03-04', 'Alpha'],
+        ['due', '2024-03-10', 'Alpha'] // Beta is rejected, so its apply-by date is not shown
+    ]);
+    assert.equal(items.find(i => i.type === 'interview').interview.round, 'Screen');
+    assert.deepEqual((await data.getCalendarItems({ from: today, to: today })).map(i => [i.type, i.job.title]), [['applied', 'Alpha']]);
+    // Renaming the applied stage rewrites the history, so the item stays
+    await data.updateStage({ ...(await data.getStages()).find(stage => stage.name === 'Applied'), name: 'Sent' });
+    assert.deepEqual((await data.getCalendarItems({ from: today, to: today })).map(i => [i.type, i.job.title]), [['applied', 'Alpha']]);
+    await assert.rejects(data.getCalendarItems({ from: '2024-03', to: '2024-03-31' }), { code: 'INVALID_ARGUMENT' });
+});
+
+test('pipeline stats cover the funnel, weekly applications, response rates and stage times', async () => {
+    const moves = [[1, 'Bookmarked', '03-04'], [1, 'Applied', '03-06'], [1, 'Interviewing', '03-16'], [2, 'Applied', '03-05'], [2, 'Rejected', '03-09'], [3, 'Applied', '03-12'], [4, 'Bookmarked', '03-12'], [5, 'Applied', '03-13'], [5, 'Spam', '03-14']];
+    await data.importDB(JSON.stringify({
+        companies: [{ id: 1, name: 'Acme' }, { id: 2, name: 'Zeta' }],
+        profiles: [{ id: 1, name: 'Backend' }],
+        jobs: [
+            { id: 1, title: 'A', status: 'Interviewing', company_id: 1, profile_id: 1, match_percentage: 80 },
+            { id: 2, title: 'B', status: 'Rejected', company_id: 1, profile_id: 1, match_percentage: 40 },
+            { id: 3, title: 'C', status: 'Applied', company_id: 2 },
+            { id: 4, title: 'D', status: 'Bookmarked' },
+            { id: 5, title: 'E', status: 'Spam' } // Closed without a reply, so not a response
+        ],
+        status_history: moves.map(([jobId, status, day]) => ({ job_id: jobId, to_status: status, changed_at: `2024-${day}T10:00:00.000Z` }))
+    }));
+
+    const stats = await data.getPipelineStats({ weeks: 3, now: new Date('2024-03-20T12:00:00') });
+    assert.deepEqual(stats.totals, { jobs: 5, applied: 4, responded: 2 });
+    assert.equal(stats.appliedStage, 'Applied');
+    assert.deepEqual(stats.funnel.map(step => [step.stage, step.reached, step.conversion]), [
+        ['Bookmarked', 5, null], ['Applying', 4, 0.8], ['Applied', 4, 1], ['Interviewing', 1, 0.25], ['Negotiating', 0, 0], ['Accepted', 0, null]
+    ]);
+    assert.deepEqual(stats.weekly, [{ week: '2024-03-04', applied: 2 }, { week: '2024-03-11', applied: 2 }, { week: '2024-03-18', applied: 0 }]);
+    assert.deepEqual(stats.byProfile.map(g => [g.name, g.applied, g.rate]), [['Backend', 2, 1], [null, 2, 0]]);
+    assert.deepEqual(stats.byCompany.map(g => [g.name, g.responded]), [['Acme', 2], ['Zeta', 0], [null, 0]]);
+    assert.deepEqual(stats.stageDurations.map(s => [s.stage, s.average / 86400000, s.stays]), [['Bookmarked', 2, 1], ['Applied', 5, 3]]);
+    assert.deepEqual(stats.matchOutcomes.map(m => [m.match, m.reached, m.status]), [[80, 'Interviewing', 'Interviewing'], [40, 'Applied', 'Rejected']]);
+
+    // Undated history still counts towards the funnel but times nothing
+    const undated = data.computePipelineStats({
+        jobs: [{ id: 1, title: 'A', status: 'Interviewing' }],
+        history: [{ job_id: 1, to_status: 'Applied' }, { job_id: 1, to_status: 'Interviewing', changed_at: '2024-03-16T10:00:00.000Z' }],
+        stages: await data.getStages(),
+        companies: [],
+        profiles: []
+    }, { weeks: 3, now: new Date('2024-03-20T12:00:00') });
+    assert.deepEqual([undated.totals, undated.stageDurations, undated.weekly.map(w => w.applied)], [{ jobs: 1, applied: 1, responded: 1 }, [], [0, 0, 0]]);
+
+    // The markers belong to the stages, so renaming them keeps the numbers
+    const stages = await data.getStages();
+    const applied = stages.find(stage => stage.name === 'Applied');
+    const spam = stages.find(stage => stage.name === 'Spam');
+    await data.updateStage({ ...applied, name: 'Sent' });
+    await data.updateStage({ ...spam, name: 'Ghosted', reply: true });
+    const renamed = await data.getPipelineStats({ weeks: 3, now: new Date('2024-03-20T12:00:00') });
+    assert.equal(renamed.appliedStage, 'Sent');
+    assert.deepEqual(renamed.totals, { jobs: 5, applied: 4, responded: 3 });
+
+    // Marking another stage as applied unmarks the old one
+    await data.updateStage({ ...stages.find(stage => stage.name === 'Interviewing'), applied: true });
+    assert.deepEqual((await data.getStages()).filter(stage => stage.applied).map(stage => stage.name), ['Interviewing']);
+    assert.deepEqual((await data.getPipelineStats()).totals, { jobs: 5, applied: 1, responded: 0 });
+});
+
+test('attachments are stored as typed blobs and removed with their owner', async () => {
+    const companyId = await data.addCompany({ name: 'Acme' });
+    const profileId = await data.addProfile({ name: 'Backend' });
+    const jobId = await data.addJob(job({ company_id: companyId, profile_id: profileId }));
+
+    const resumeId = await data.addAttachment('jobs', jobId, new Blob(['%PDF-1.7'], { type: '' }), 'Resume.PDF');
+    await data.addAttachment('jobs', jobId, new Blob(['PK']), 'cover letter.docx');
+    await data.addAttachment('profiles', profileId, new Blob(['png'], { type: 'image/png' }), 'headshot.png');
+    await data.addAttachment('companies', companyId, new Blob(['%PDF'], { type: 'application/pdf' }), 'brochure.pdf');
+
+    const files = await data.getAttachments('jobs', jobId);
+    assert.deepEqual(files.map(f => [f.name, f.type, f.size]), [
+        ['Resume.PDF', 'application/pdf', 8],
+        ['cover letter.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 2]
+    ]);
+    assert.equal(await (await data.getAttachment(resumeId)).blob.text(), '%PDF-1.7');
+    assert.deepEqual((await data.getStorageUsage()).attachments, { count: 4, bytes: 17 });
+
+    await assert.rejects(data.addAttachment('jobs', jobId, new Blob(['<svg/>'], { type: 'image/svg+xml' }), 'logo.svg'), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(data.addAttachment('jobs', jobId, { size: data.MAX_ATTACHMENT_BYTES + 1, type: 'application/pdf' }, 'huge.pdf'), { code: 'INVALID_ARGUMENT' });
+    await assert.rejects(data.addAttachment('jobs', 999, new Blob(['%PDF']), 'a.pdf'), { code: 'NOT_FOUND' });
+    await assert.rejects(data.addAttachment('people', 1, new Blob(['%PDF']), 'a.pdf'), { code: 'INVALID_ARGUMENT' });
+
+    await data.deleteJob(jobId);
+    await data.deleteProfileWithDependents(profileId);
+    assert.deepEqual((await data.getStorageUsage()).attachments, { count: 1, bytes: 4 });
+    await data.deleteCompanyWithDependents(companyId);
+    assert.deepEqual(await data.getAttachments('companies', companyId), []);
+});
+
+test('custom fields coerce, sort, filter and are removed with their values', async () => {
+    const level = await data.addCustomField({ entity: 'jobs', label: 'Level', type: 'select', options: ['Junior', 'Senior', ''] });
+    const rounds = await data.addCustomField({ entity: 'jobs', label: 'Rounds', type: 'number' });
+    await assert.rejects(data.addCustomField({ entity: 'jobs', label: 'level', type: 'text' }), { code: 'INVALID_ARGUMENT' });
+    const [levelField, roundsField] = await data.getCustomFields('jobs');
+    assert.deepEqual(levelField.options, ['Junior', 'Senior']);
+
+    assert.equal(data.coerceCustomValue(levelField, 'senior'), 'Senior');
+    assert.equal(data.coerceCustomValue(roundsField, '3'), 3);
+    assert.equal(data.coerceCustomValue(roundsField, ''), null);
+    assert.throws(() => data.coerceCustomValue(levelField, 'Staff'), { code: 'INVALID_ARGUMENT' });
+
+    await data.addJob(job({ title: 'A', custom: { [level]: 'Senior', [rounds]: 4 } }));
+    await data.addJob(job({ title: 'B', custom: { [level]: 'Junior', [rounds]: 2 } }));
+    await data.addJob(job({ title: 'C' }));
+
+    const sorted = await data.queryJobs({ status: 'Applied', sortBy: `custom.${rounds} DESC` });
+    assert.deepEqual(sorted.jobs.map(j => j.title), ['A', 'B', 'C']);
+    const page = await data.queryJobs({ status: 'Applied', sortBy: `custom.${rounds} ASC`, limit: 2 });
+    const rest = await data.queryJobs({ status: 'Applied', sortBy: `custom.${rounds} ASC`, after: page.next });
+    assert.deepEqual([...page.jobs, ...rest.jobs].map(j => j.title), ['C', 'B', 'A']);
+
+    const filtered = await data.queryJobs({ status: 'Applied', filter: { custom: { [level]: { equals: 'Senior' }, [rounds]: { min: 3 } } } });
+    assert.deepEqual(filtered.jobs.map(j => j.title), ['A']);
+    assert.equal((await data.searchAll('junior')).jobs.length, 1);
+
+    await data.deleteCustomField(level);
+    assert.deepEqual((await data.getAllJobs()).find(j => j.title === 'A').custom, { [rounds]: 4 });
+    assert.equal((await data.searchAll('junior')).jobs.length, 0);
+});
+
+test('bulk actions change many jobs in one transaction', async () => {
+    const profileId = await data.addProfile({ name: 'Backend' });
+    const ids = [];
+    for (const title of ['A', 'B', 'C']) ids.push(await data.addJob(job({ title, match_percentage: 50 })));
+
+    assert.deepEqual(await data.bulkSetJobStatus([ids[0], ids[1], 999], 'Interviewing'), { updated: 2, unchanged: 0, missing: 1 });
+    assert.deepEqual(await data.getMatchingJobIds({ status: 'Interviewing' }), ids.slice(0, 2));
+    assert.equal((await data.getStatusHistory(ids[0])).at(-1).source, 'bulk');
+
+    await data.bulkAssignProfile(ids, profileId);
+    assert.equal((await data.getJob(ids[2])).match_percentage, null);
+    await assert.rejects(data.bulkAssignProfile(ids, 999), { code: 'NOT_FOUND' });
+
+    await data.bulkTagJobs(ids, { add: ['Remote', ' remote ', 'Referral'] });
+    assert.deepEqual(await data.bulkTagJobs(ids.slice(0, 2), { remove: ['REMOTE'] }), { updated: 2, unchanged: 0, missing: 0 });
+    assert.deepEqual((await data.getJob(ids[2])).tags, ['Remote', 'Referral']);
+    assert.deepEqual((await data.queryJobs({ status: 'Applied', filter: { tag: 'remote' } })).jobs.map(j => j.title), ['C']);
+
+    const exported = JSON.parse(await data.exportJobs([ids[0]]));
+    assert.deepEqual([exported.jobs.length, exported.profiles.length, exported.status_history.length], [1, 1, 2]);
+
+    assert.deepEqual(await data.bulkDeleteJobs([ids[0], ids[1]]), { deleted: 2, missing: 0 });
+    assert.deepEqual((await data.getAllJobs()).map(j => j.title), ['C']);
+    assert.deepEqual(await data.getStatusHistory(ids[0]), []);
+});
+
+test('undo restores deleted records with their ids and redo reapplies', async () => {
+    const companyId = await data.addCompany({ name: 'Acme' });
+    const jobId = await data.addJob(job({ company_id: companyId }));
+    await data.setJobStatus(jobId, 'Interviewing', 'kanban');
+    assert.equal(data.getJournalState().undo, 'Moved "Engineer" to Interviewing');
+
+    await data.deleteCompanyWithDependents(companyId, { mode: 'delete' });
+    assert.deepEqual(data.getJournalState(), { undo: 'Deleted company "Acme"', redo: null });
+
+    assert.equal(await data.undoLastChange(), 'Deleted company "Acme"');
+    assert.equal((await data.getJob(jobId)).company_id, companyId);
+    assert.equal((await data.getStatusHistory(jobId)).length, 2);
+    assert.deepEqual((await data.searchAll('acme')).companies.map(c => c.id), [companyId]);
+
+    await data.undoLastChange();
+    assert.equal((await data.getJob(jobId)).status, 'Applied');
+    assert.equal((await data.getStatusHistory(jobId)).length, 1);
+
+    assert.equal(await data.redoLastChange(), 'Moved "Engineer" to Interviewing');
+    assert.equal((await data.getJob(jobId)).status, 'Interviewing');
+
+    // A new change discards what could have been redone
+    await data.updateJobNotes(jobId, 'Call back');
+    assert.deepEqual(data.getJournalState(), { undo: 'Edited job "Engineer"', redo: null });
+
+    await data.importDB(await data.exportDB());
+    assert.equal(await data.undoLastChange(), null);
+});
+
+test('operations on a closed database fail with a DataError', async () => {
+    data.closeDB();
+    await assert.rejects(data.getAllJobs(), { name: 'DataError', code: 'DB_ERROR' });
+});
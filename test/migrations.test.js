@@ -0,0 +1,116 @@
+// Schema migration tests: a version 1 database is upgraded in place.
+require('fake-indexeddb/auto');
+const { IDBFactory, IDBCursor } = require('fake-indexeddb');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const data = require('../database.js');
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+});
+
+afterEach(() => data.closeDB());
+
+// Creates the original (version 1) schema holding the given records
+function createV1Database(records) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(data.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('companies', { keyPath: 'id', autoIncrement: true }).createIndex('name', 'name', { unique: true });
+            db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
+            db.createObjectStore('people', { keyPath: 'id', autoIncrement: true });
+            const jobs = db.createObjectStore('jobs', { keyPath: 'id', autoIncrement: true });
+            ['status', 'company_id', 'profile_id', 'created_at', 'salary', 'match_percentage', 'title']
+                .forEach(field => jobs.createIndex(field, field, { unique: false }));
+            for (const [storeName, items] of Object.entries(records)) {
+                items.forEach(item => request.transaction.objectStore(storeName).add(item));
+            }
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getStoredVersion() {
+    return new Promise(resolve => {
+        const request = indexedDB.open(data.DB_NAME);
+        request.onsuccess = () => {
+            resolve(request.result.version);
+            request.result.close();
+        };
+    });
+}
+
+test('a version 1 database upgrades to the latest schema with its data', async () => {
+    await createV1Database({
+        companies: [{ id: 1, name: 'Acme' }],
+        jobs: [
+            { id: 1, title: 'SRE', status: 'Applied', company_id: 1, created_at: '2024-01-01T00:00:00.000Z', salary: 30 },
+            { id: 2, title: 'QA', status: 'Shortlisted', created_at: '2024-01-02T00:00:00.000Z' }
+        ]
+    });
+
+    const log = [];
+    await data.initDB({ onLog: (type, message) => log.push(type) });
+
+    assert.equal(await getStoredVersion(), data.DB_VERSION);
+    assert.equal(data.getPreMigrationSnapshot().from_version, 1);
+    assert.ok(log.includes('SUCCESS'));
+
+    const history = await data.getStatusHistory(1);
+    assert.deepEqual(history.map(h => [h.to_status, h.source]), [['Applied', 'migration']]);
+
+    const { jobs } = await data.queryJobs({ status: 'Applied', sortBy: 'salary DESC' });
+    assert.equal(jobs[0].company_name, 'Acme');
+    // LPA salaries become yearly INR compensation
+    assert.deepEqual([jobs[0].compensation.max, jobs[0].compensation.currency, jobs[0].sort_salary, jobs[0].salary], [3000000, 'INR', 3000000, undefined]);
+    assert.equal((await data.searchAll('sre')).jobs.length, 1);
+
+    // Built-in stages are seeded and unknown statuses get a stage of their own
+    const stages = await data.getStages();
+    assert.equal(stages[0].name, 'Bookmarked');
+    assert.deepEqual(stages.at(-1), { id: stages.at(-1).id, name: 'Shortlisted', color: '#64748b', kind: 'active', order: 8, retired: false, applied: false, reply: false });
+    assert.deepEqual(stages.filter(stage => stage.applied).map(stage => stage.name), ['Applied']);
+    assert.deepEqual(stages.filter(stage => stage.reply).map(stage => stage.name), ['Accepted', 'Rejected']);
+});
+
+test('jobs and history saved without a date are dated and charted', async () => {
+    await createV1Database({
+        jobs: [
+            { id: 1, title: 'SRE', status: 'Applied', created_at: '2024-01-01T00:00:00.000Z' },
+            { id: 2, title: 'QA', status: 'Applied' }
+        ]
+    });
+    await data.initDB();
+
+    const [undated] = await data.getStatusHistory(2);
+    assert.equal(undated.changed_at, (await data.getJob(2)).created_at);
+    assert.equal((await data.getStatusHistory(1))[0].changed_at, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual((await data.getPipelineStats()).totals, { jobs: 2, applied: 2, responded: 0 });
+});
+
+test('a failing migration rolls back and hands over the snapshot', async (t) => {
+    await createV1Database({ jobs: [{ id: 1, title: 'SRE', status: 'Applied', created_at: '2024-01-01T00:00:00.000Z' }] });
+    // The sort-key backfill fails to write, as it would with a full disk
+    t.mock.method(IDBCursor.prototype, 'update', () => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    });
+
+    await assert.rejects(data.initDB(), err => {
+        assert.equal(err.code, 'MIGRATION_FAILED');
+        assert.equal(err.snapshot.from_version, 1);
+        assert.equal(JSON.parse(err.snapshot.data).jobs[0].title, 'SRE');
+        return true;
+    });
+    assert.equal(await getStoredVersion(), 1);
+});
+
+test('records with non-text titles still migrate', async () => {
+    await createV1Database({ jobs: [{ id: 1, title: 42, status: 'Applied', created_at: '2024-01-01T00:00:00.000Z' }] });
+    await data.initDB();
+    assert.equal((await data.getJob(1)).sort_title, '42');
+});